@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+/**
+ * Backup Script - Shamir secret-sharing backup of the wallet secret
+ * Usage:
+ *   node src/backup.js split --shares 5 --threshold 3 [--format words|hex] [--out-dir <dir>]
+ *   node src/backup.js restore [--share-file <file>...] [--wallet <name>] [--check]
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { writeFileSync, readFileSync, mkdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { bytesToHex, hexToBytes, isAddress } from 'viem';
+import { english } from 'viem/accounts';
+import { mnemonicToEntropy, entropyToMnemonic } from '@scure/bip39';
+import { takeOption } from './lib/args.js';
+import { split, combine } from './lib/shamir.js';
+import {
+  unlockWallet,
+  fromPrivateKey,
+  fromMnemonic,
+  encryptWallet,
+  save,
+  exists,
+  resolveWalletName,
+  getWalletPath
+} from './lib/wallet.js';
+import { promptHidden, getNewPassphrase } from './lib/passphrase.js';
+
+/**
+ * Share layout (all integers big-endian):
+ *   version (1) | backup id (2) | threshold (1) | index x (1) | secret type (1)
+ *   | address fingerprint (4) | share data (16 or 32) | checksum (4)
+ * The checksum is the first 4 bytes of sha256 over everything before it.
+ */
+const SHARE_VERSION = 1;
+const HEADER_LENGTH = 10;
+const CHECKSUM_LENGTH = 4;
+const SECRET_TYPES = { privateKey: 0, mnemonic: 1 };
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const jsonFlag = args.includes('--json');
+const checkFlag = args.includes('--check');
+const encryptFlag = args.includes('--encrypt');
+const forceFlag = args.includes('--force');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM Wallet Backup - Shamir secret sharing
+
+Usage: node src/backup.js split --shares <N> --threshold <K> [options]
+       node src/backup.js restore [options]
+
+Commands:
+  split          Split the wallet secret (private key or mnemonic) into N shares;
+                 any K of them rebuild the wallet, fewer reveal nothing
+  restore        Rebuild a wallet from K shares and verify its address
+
+Split options:
+  --shares <N>   Number of shares to create (2-255)
+  --threshold <K>
+                 Shares needed to restore (2-N)
+  --format <words|hex>
+                 Share encoding (default: words)
+  --out-dir <dir>
+                 Write each share to its own file (chmod 600) instead of printing
+
+Restore options:
+  --share-file <path>
+                 File with one or more shares, one per line (repeatable).
+                 Without it, shares are read from stdin or prompted for.
+  --address <addr>
+                 Expected wallet address; restore fails if it differs
+  --check        Only verify that the shares rebuild the wallet; write nothing
+  --encrypt      Encrypt the restored wallet with a passphrase
+  --force        Overwrite an existing wallet with the same name
+
+Common options:
+  --wallet <name> Wallet to back up / restore into (default: EVM_WALLET or configured default)
+  --passphrase-file <path>
+                 Passphrase file (unlock for split, new passphrase for restore --encrypt)
+  --json         Output in JSON format
+  --help         Show this help message
+
+Examples:
+  node src/backup.js split --shares 5 --threshold 3 --out-dir ./shares
+  node src/backup.js restore --share-file a.txt --share-file b.txt --share-file c.txt --check
+  node src/backup.js restore --wallet recovered --encrypt
+`);
+}
+
+function exitWithError(message, code = 1) {
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: false, error: message }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(code);
+}
+
+function checksum(bytes) {
+  return createHash('sha256').update(bytes).digest().subarray(0, CHECKSUM_LENGTH);
+}
+
+/**
+ * Pack bytes into BIP-39 words, 11 bits per word (zero-padded at the end)
+ */
+function bytesToWords(bytes) {
+  const bits = [...bytes].map(byte => byte.toString(2).padStart(8, '0')).join('');
+  const padded = bits.padEnd(Math.ceil(bits.length / 11) * 11, '0');
+  const words = [];
+  for (let i = 0; i < padded.length; i += 11) {
+    words.push(english[parseInt(padded.slice(i, i + 11), 2)]);
+  }
+  return words.join(' ');
+}
+
+/**
+ * Unpack BIP-39 words back to bytes (inverse of bytesToWords)
+ */
+function wordsToBytes(text) {
+  const bits = text.trim().toLowerCase().split(/\s+/).map(word => {
+    const index = english.indexOf(word);
+    if (index === -1) {
+      throw new Error(`Unknown share word "${word}"`);
+    }
+    return index.toString(2).padStart(11, '0');
+  }).join('');
+
+  const length = Math.floor(bits.length / 8);
+  if (/1/.test(bits.slice(length * 8))) {
+    throw new Error('Share words have non-zero padding (mistyped word?)');
+  }
+
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+  }
+  return bytes;
+}
+
+/**
+ * Serialize one share with its header and checksum
+ */
+function encodeShare({ id, threshold, secretType, fingerprint, x, y }, format) {
+  const body = Buffer.concat([
+    Buffer.from([SHARE_VERSION, id >> 8, id & 0xff, threshold, x, secretType]),
+    fingerprint,
+    Buffer.from(y)
+  ]);
+  const bytes = Buffer.concat([body, checksum(body)]);
+  return format === 'hex' ? bytesToHex(bytes) : bytesToWords(bytes);
+}
+
+/**
+ * Parse one share (words or hex) and check its checksum
+ */
+function decodeShare(text) {
+  const trimmed = text.trim();
+  const bytes = /^(0x)?[0-9a-f]+$/i.test(trimmed)
+    ? hexToBytes(trimmed.startsWith('0x') ? trimmed : `0x${trimmed}`)
+    : wordsToBytes(trimmed);
+
+  if (bytes.length <= HEADER_LENGTH + CHECKSUM_LENGTH) {
+    throw new Error('Share is too short');
+  }
+
+  const body = bytes.subarray(0, bytes.length - CHECKSUM_LENGTH);
+  if (!checksum(body).equals(Buffer.from(bytes.subarray(bytes.length - CHECKSUM_LENGTH)))) {
+    throw new Error('Share checksum mismatch (mistyped or damaged share)');
+  }
+
+  if (body[0] !== SHARE_VERSION) {
+    throw new Error(`Unsupported share version ${body[0]}`);
+  }
+
+  return {
+    id: (body[1] << 8) | body[2],
+    threshold: body[3],
+    x: body[4],
+    secretType: body[5],
+    fingerprint: Buffer.from(body.subarray(6, HEADER_LENGTH)),
+    y: body.slice(HEADER_LENGTH)
+  };
+}
+
+/**
+ * Extract the raw secret bytes of a plaintext wallet
+ */
+function walletSecret(wallet) {
+  if (wallet.mnemonic) {
+    return { secretType: SECRET_TYPES.mnemonic, secret: mnemonicToEntropy(wallet.mnemonic, english) };
+  }
+  return { secretType: SECRET_TYPES.privateKey, secret: hexToBytes(wallet.privateKey) };
+}
+
+/**
+ * Rebuild a plaintext wallet from recovered secret bytes
+ */
+function walletFromSecret(secretType, secret) {
+  if (secretType === SECRET_TYPES.mnemonic) {
+    return fromMnemonic(entropyToMnemonic(secret, english));
+  }
+  if (secretType === SECRET_TYPES.privateKey) {
+    return fromPrivateKey(bytesToHex(secret));
+  }
+  throw new Error(`Unknown secret type ${secretType} in shares`);
+}
+
+function addressFingerprint(address) {
+  return Buffer.from(hexToBytes(address).subarray(0, 4));
+}
+
+async function splitCommand(walletOptions) {
+  const shares = Number(takeOption(args, '--shares'));
+  const threshold = Number(takeOption(args, '--threshold'));
+  const format = takeOption(args, '--format') || 'words';
+  const outDir = takeOption(args, '--out-dir');
+
+  if (!shares || !threshold) {
+    exitWithError('Both --shares <N> and --threshold <K> are required.');
+  }
+  if (format !== 'words' && format !== 'hex') {
+    exitWithError('Format must be "words" or "hex".');
+  }
+  if (!exists(walletOptions)) {
+    exitWithError('No wallet found. Run setup.js first to generate a wallet.');
+  }
+
+  const wallet = await unlockWallet(walletOptions);
+  const { secretType, secret } = walletSecret(wallet);
+
+  const header = {
+    id: randomBytes(2).readUInt16BE(0),
+    threshold,
+    secretType,
+    fingerprint: addressFingerprint(wallet.address)
+  };
+  const encoded = split(secret, shares, threshold).map(share => ({
+    index: share.x,
+    share: encodeShare({ ...header, ...share }, format)
+  }));
+
+  // Prove the shares round-trip before anyone relies on them
+  const check = combine(encoded.slice(0, threshold).map(({ share }) => decodeShare(share)));
+  if (!Buffer.from(check).equals(Buffer.from(secret))) {
+    exitWithError('Share verification failed. Nothing was written.');
+  }
+
+  let files = null;
+  if (outDir) {
+    mkdirSync(outDir, { recursive: true, mode: 0o700 });
+    files = encoded.map(({ index, share }) => {
+      const path = join(outDir, `share-${index}-of-${shares}.txt`);
+      if (existsSync(path)) {
+        exitWithError(`${path} already exists. Use an empty directory.`);
+      }
+      writeFileSync(path, `${share}\n`, { mode: 0o600 });
+      return path;
+    });
+  }
+
+  if (jsonFlag) {
+    console.log(JSON.stringify({
+      success: true,
+      address: wallet.address,
+      type: wallet.mnemonic ? 'mnemonic' : 'privateKey',
+      threshold,
+      shares: files
+        ? encoded.map(({ index }, i) => ({ index, file: files[i] }))
+        : encoded,
+      format
+    }, null, 2));
+    return;
+  }
+
+  console.log(`\n🧩 Split ${wallet.mnemonic ? 'mnemonic' : 'private key'} of ${wallet.address}`);
+  console.log(`   ${threshold} of ${shares} shares are needed to restore it.\n`);
+
+  if (files) {
+    files.forEach(path => console.log(`  ${path}`));
+  } else {
+    for (const { index, share } of encoded) {
+      console.log(`Share ${index}/${shares}:\n  ${share}\n`);
+    }
+  }
+
+  console.log('\n⚠️  Give each share to a different person or place. Any ' + threshold + ' of them control the wallet.');
+  console.log('⚠️  Test a restore with: node src/backup.js restore --check');
+}
+
+/**
+ * Collect share texts from --share-file options, piped stdin or TTY prompts
+ */
+async function readShares() {
+  const texts = [];
+  let file;
+  while ((file = takeOption(args, '--share-file')) !== null) {
+    try {
+      texts.push(...readFileSync(file, 'utf8').split(/\r?\n/));
+    } catch (error) {
+      throw new Error(`Failed to read share file: ${error.message}`);
+    }
+  }
+
+  if (texts.length > 0) {
+    return texts.filter(line => line.trim());
+  }
+
+  if (!process.stdin.isTTY) {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8').split(/\r?\n/).filter(line => line.trim());
+  }
+
+  // Interactive: keep asking until the first share's threshold is reached
+  let threshold = null;
+  while (threshold === null || texts.length < threshold) {
+    const text = await promptHidden(`Share ${texts.length + 1}${threshold ? ` of ${threshold}` : ''}: `);
+    try {
+      threshold ??= decodeShare(text).threshold;
+      texts.push(text);
+    } catch (error) {
+      console.error(`  ${error.message}. Try again.`);
+    }
+  }
+  return texts;
+}
+
+async function restoreCommand(walletOptions) {
+  const expectedAddress = takeOption(args, '--address');
+  const passphraseFile = takeOption(args, '--passphrase-file');
+
+  if (expectedAddress && !isAddress(expectedAddress)) {
+    exitWithError('Invalid --address.');
+  }
+
+  const shares = (await readShares()).map((text, i) => {
+    try {
+      return decodeShare(text);
+    } catch (error) {
+      throw new Error(`Share ${i + 1}: ${error.message}`);
+    }
+  });
+
+  if (shares.length === 0) {
+    exitWithError('No shares given.');
+  }
+
+  const [first] = shares;
+  if (shares.some(share => share.id !== first.id || share.threshold !== first.threshold || share.secretType !== first.secretType)) {
+    exitWithError('Shares come from different backups.');
+  }
+
+  // Drop duplicates (the same share entered twice)
+  const unique = [...new Map(shares.map(share => [share.x, share])).values()];
+  if (unique.length < first.threshold) {
+    exitWithError(`Need ${first.threshold} distinct shares, got ${unique.length}.`);
+  }
+
+  const wallet = walletFromSecret(first.secretType, combine(unique.slice(0, first.threshold)));
+
+  if (!addressFingerprint(wallet.address).equals(first.fingerprint)) {
+    exitWithError(`Restored address ${wallet.address} does not match the backup fingerprint. Shares may be damaged.`);
+  }
+  if (expectedAddress && wallet.address.toLowerCase() !== expectedAddress.toLowerCase()) {
+    exitWithError(`Restored address ${wallet.address} does not match expected ${expectedAddress}.`);
+  }
+
+  const name = resolveWalletName(walletOptions);
+  if (!checkFlag) {
+    if (exists(walletOptions) && !forceFlag) {
+      exitWithError(`Wallet "${name}" already exists. Use --wallet <name> to restore under another name, or --force to overwrite.`);
+    }
+
+    let stored = wallet;
+    if (encryptFlag) {
+      stored = encryptWallet(wallet, await getNewPassphrase({ passphraseFile }));
+    }
+    save(stored, { ...walletOptions, overwrite: forceFlag });
+  }
+
+  if (jsonFlag) {
+    console.log(JSON.stringify({
+      success: true,
+      address: wallet.address,
+      type: wallet.mnemonic ? 'mnemonic' : 'privateKey',
+      sharesUsed: first.threshold,
+      saved: !checkFlag,
+      ...(checkFlag ? {} : { wallet: name, encrypted: encryptFlag })
+    }, null, 2));
+    return;
+  }
+
+  console.log(`\n✅ Shares rebuild ${wallet.address} (${wallet.mnemonic ? 'mnemonic' : 'private key'}, ${first.threshold} shares used)`);
+  if (checkFlag) {
+    console.log('   Check only — no wallet was written.');
+  } else {
+    console.log(`   Saved as wallet "${name}" (${getWalletPath(walletOptions)})${encryptFlag ? ', encrypted' : ''}`);
+  }
+}
+
+async function main() {
+  try {
+    if (helpFlag) {
+      showHelp();
+      return;
+    }
+
+    const walletOptions = { wallet: takeOption(args, '--wallet') };
+    const [command] = args.filter(arg => !arg.startsWith('--'));
+
+    switch (command) {
+      case 'split':
+        await splitCommand({ ...walletOptions, passphraseFile: takeOption(args, '--passphrase-file') });
+        break;
+
+      case 'restore':
+        await restoreCommand(walletOptions);
+        break;
+
+      default:
+        exitWithError(`Unknown command: ${command || '(none)'}. Use split or restore (see --help).`);
+    }
+
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+main().catch(error => {
+  exitWithError(`Unexpected error: ${error.message}`);
+});
@@ -6,17 +6,22 @@
  *   node src/balance.js <chain>                    # Native token balance
  *   node src/balance.js <chain> <tokenAddress>     # ERC20 balance
  *   node src/balance.js --all                      # All chains, native tokens
+ *   node src/balance.js --all --address <addr|label>  # Any address (e.g. watch-only)
+ *   node src/balance.js --all --testnet            # All testnets
+ *   node src/balance.js base --quorum 2            # Require 2 RPCs to agree on the balance
  */
 
 import { formatEther, parseAbi } from 'viem';
 import { printUpdateNag } from './check-update.js';
-import { getAddress, exists } from './lib/wallet.js';
-import { createPublicClientWithRetry } from './lib/rpc.js';
-import { getChain, getSupportedChains, getExplorerAddressUrl } from './lib/chains.js';
+import { takeOption, takeNetwork, takeQuorum, applyRpcUrl } from './lib/args.js';
+import { getAddress, resolveAddress, exists } from './lib/wallet.js';
+import { createPublicClientWithRetry, readWithQuorum } from './lib/rpc.js';
+import { getChain, getSupportedChains, getNetworkChains, resolveChainName, getExplorerAddressUrl } from './lib/chains.js';
 
 // Standard ERC20 ABI for balance and metadata
 const ERC20_ABI = parseAbi([
   'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
   'function symbol() view returns (string)',
   'function decimals() view returns (uint8)',
   'function name() view returns (string)'
@@ -39,7 +44,22 @@ Arguments:
   tokenAddress   ERC20 token contract address (optional)
 
 Options:
-  --all          Check all chains for native token balances
+  --all          Check all mainnets (or all testnets with --testnet) for native token balances
+  --testnet      Use the testnet of the given chain (base → base-sepolia)
+  --network <mainnet|testnet>
+                 Select the network (default: EVM_WALLET_NETWORK, else chain as given)
+  --rpc-url <url>
+                 Send RPC calls to this URL instead of the configured RPCs
+                 (local node or fork; same as EVM_WALLET_RPC_<CHAIN>)
+  --wallet <name> Wallet to use (default: EVM_WALLET or configured default)
+  --account-index <i>
+                 HD account index for mnemonic wallets (default: 0)
+  --address <addr|label>
+                 Query any address or watch-only label instead of the wallet
+  --spender <addr|label>
+                 Also show the token allowance granted to this spender
+  --quorum <n>   Read from n independent RPC endpoints at the same block and
+                 fail unless they all agree (needs n RPCs configured)
   --json         Output in JSON format
   --help         Show this help message
 
@@ -48,6 +68,11 @@ Examples:
   node src/balance.js ethereum 0x833589fcd6edb...    # USDC balance on Ethereum
   node src/balance.js --all                          # All chains, native tokens
   node src/balance.js --all --json                   # All chains, JSON output
+  node src/balance.js base --testnet                 # ETH balance on Base Sepolia
+  node src/balance.js base --account-index 2         # ETH balance of HD account #2
+  node src/balance.js --all --address cold-storage   # Watch-only wallet, all chains
+  node src/balance.js base 0x8335... --spender 0x6a00...   # USDC balance + allowance
+  node src/balance.js ethereum --quorum 2            # Balance confirmed by 2 RPCs
 `);
 }
 
@@ -114,30 +139,51 @@ function formatTokenBalance(balance, decimals) {
 /**
  * Check balance for a specific chain
  */
-async function checkBalance(chainName, tokenAddress = null) {
+async function checkBalance(chainName, address, tokenAddress = null, spender = null, quorum = null) {
   try {
     const client = createPublicClientWithRetry(chainName);
-    const address = getAddress();
     const chain = getChain(chainName);
     
-    let balance, symbol, decimals, name;
+    let balance, symbol, decimals, name, allowance, verified;
+    
+    // Balance and allowance, read on one endpoint or on every endpoint of the quorum
+    const readBalances = (reader, blockNumber) => Promise.all([
+      tokenAddress
+        ? reader.readContract({
+          address: tokenAddress,
+          abi: ERC20_ABI,
+          functionName: 'balanceOf',
+          args: [address],
+          blockNumber
+        })
+        : reader.getBalance({ address, blockNumber }),
+      tokenAddress && spender
+        ? reader.readContract({
+          address: tokenAddress,
+          abi: ERC20_ABI,
+          functionName: 'allowance',
+          args: [address, spender],
+          blockNumber
+        })
+        : null
+    ]);
+    
+    if (quorum) {
+      const result = await readWithQuorum(chainName, quorum, readBalances);
+      [balance, allowance] = result.value;
+      verified = { size: quorum, blockNumber: result.blockNumber.toString(), endpoints: result.endpoints };
+    } else {
+      [balance, allowance] = await readBalances(client);
+    }
     
     if (tokenAddress) {
-      // ERC20 token balance
-      balance = await client.readContract({
-        address: tokenAddress,
-        abi: ERC20_ABI,
-        functionName: 'balanceOf',
-        args: [address]
-      });
-      
+      // ERC20 token metadata
       const tokenInfo = await getTokenInfo(client, tokenAddress);
       symbol = tokenInfo.symbol;
       decimals = tokenInfo.decimals;
       name = tokenInfo.name;
     } else {
-      // Native token balance
-      balance = await client.getBalance({ address });
+      // Native token
       symbol = chain.nativeToken.symbol;
       decimals = chain.nativeToken.decimals;
       name = `Native ${symbol}`;
@@ -150,12 +196,18 @@ async function checkBalance(chainName, tokenAddress = null) {
     return {
       success: true,
       chain: chainName,
+      testnet: Boolean(chain.testnet),
       address,
       balance: formattedBalance,
       symbol,
       decimals,
       name,
       tokenAddress,
+      ...(spender ? {
+        spender,
+        allowance: decimals === 18 ? formatEther(allowance) : formatTokenBalance(allowance, decimals)
+      } : {}),
+      ...(verified ? { quorum: verified } : {}),
       explorerUrl: getExplorerAddressUrl(chainName, address)
     };
     
@@ -171,10 +223,10 @@ async function checkBalance(chainName, tokenAddress = null) {
 /**
  * Check balances for all chains
  */
-async function checkAllBalances() {
-  const chains = getSupportedChains();
+async function checkAllBalances(address, network, quorum) {
+  const chains = getNetworkChains(network);
   const results = await Promise.all(
-    chains.map(chainName => checkBalance(chainName))
+    chains.map(chainName => checkBalance(chainName, address, null, null, quorum))
   );
   return results;
 }
@@ -186,29 +238,43 @@ async function main() {
       return;
     }
 
-    // Check if wallet exists
-    if (!exists()) {
+    const walletOptions = {
+      wallet: takeOption(args, '--wallet'),
+      accountIndex: takeOption(args, '--account-index')
+    };
+
+    const network = takeNetwork(args);
+    const rpcUrl = takeOption(args, '--rpc-url');
+    const addressOption = takeOption(args, '--address');
+    const spenderOption = takeOption(args, '--spender');
+    const quorum = takeQuorum(args);
+
+    // Check if wallet exists (not needed when querying an explicit address)
+    if (!addressOption && !exists(walletOptions)) {
       exitWithError('No wallet found. Run setup.js first to generate a wallet.');
     }
 
+    const address = addressOption ? resolveAddress(addressOption) : getAddress(walletOptions);
+    const spender = spenderOption ? resolveAddress(spenderOption) : null;
+
     if (allFlag) {
       // Check all chains
-      const results = await checkAllBalances();
+      applyRpcUrl(rpcUrl, getNetworkChains(network ?? 'mainnet'));
+      const results = await checkAllBalances(address, network ?? 'mainnet', quorum);
       
       if (jsonFlag) {
-        console.log(JSON.stringify({ success: true, balances: results }, null, 2));
+        console.log(JSON.stringify({ success: true, network: network ?? 'mainnet', balances: results }, null, 2));
       } else {
-        const address = getAddress();
-        console.log(`\n💰 Wallet Balances`);
+        console.log(`\n💰 Wallet Balances${network === 'testnet' ? ' 🧪 TESTNETS' : ''}`);
         console.log(`Address: ${address}\n`);
         
         for (const result of results) {
           if (result.success) {
             const hasBalance = parseFloat(result.balance) > 0;
             const icon = hasBalance ? '💰' : '🕳️ ';
-            console.log(`${icon} ${result.chain.toUpperCase().padEnd(10)} ${result.balance} ${result.symbol}`);
+            console.log(`${icon} ${result.chain.toUpperCase().padEnd(18)} ${result.balance} ${result.symbol}`);
           } else {
-            console.log(`❌ ${result.chain.toUpperCase().padEnd(10)} Error: ${result.error}`);
+            console.log(`❌ ${result.chain.toUpperCase().padEnd(18)} Error: ${result.error}`);
           }
         }
         console.log();
@@ -216,14 +282,21 @@ async function main() {
       
     } else {
       // Check specific chain
-      const chainName = args.find(arg => !arg.startsWith('--'));
-      const tokenAddress = args.find(arg => !arg.startsWith('--') && arg !== chainName);
+      const chainArg = args.find(arg => !arg.startsWith('--'));
+      const tokenAddress = args.find(arg => !arg.startsWith('--') && arg !== chainArg);
       
-      if (!chainName) {
+      if (!chainArg) {
         exitWithError('Chain name is required. Use --help for usage information.');
       }
       
-      const result = await checkBalance(chainName, tokenAddress);
+      const chainName = resolveChainName(chainArg, network);
+      applyRpcUrl(rpcUrl, [chainName]);
+      
+      if (spender && !tokenAddress) {
+        exitWithError('--spender requires a token address.');
+      }
+      
+      const result = await checkBalance(chainName, address, tokenAddress, spender, quorum);
       
       if (jsonFlag) {
         console.log(JSON.stringify(result, null, 2));
@@ -232,7 +305,7 @@ async function main() {
           const hasBalance = parseFloat(result.balance) > 0;
           const icon = hasBalance ? '💰' : '🕳️';
           
-          console.log(`\n${icon} Balance on ${result.chain.toUpperCase()}`);
+          console.log(`\n${icon} Balance on ${result.chain.toUpperCase()}${result.testnet ? ' 🧪 TESTNET' : ''}`);
           console.log(`Address: ${result.address}`);
           console.log(`Balance: ${result.balance} ${result.symbol}`);
           
@@ -240,6 +313,14 @@ async function main() {
             console.log(`Token: ${result.name} (${result.tokenAddress})`);
           }
           
+          if (result.spender) {
+            console.log(`Allowance: ${result.allowance} ${result.symbol} → ${result.spender}`);
+          }
+          
+          if (result.quorum) {
+            console.log(`Verified: ${result.quorum.size} RPCs agree at block ${result.quorum.blockNumber}`);
+          }
+          
           console.log(`Explorer: ${result.explorerUrl}\n`);
           
           if (!hasBalance) {
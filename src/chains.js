@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Chains Script - Manage user-defined chains and RPC endpoints
+ * Entries live in ~/.evm-wallet/chains.json and are merged over the built-in chains
+ * Usage:
+ *   node src/chains.js [list]                                  # List chains
+ *   node src/chains.js show <name|chainId>                     # Show one chain
+ *   node src/chains.js add <name> --chain-id <id> --symbol <s> --explorer <url> --rpc <url>
+ *   node src/chains.js add base --rpc 'https://base.example.com/${BASE_RPC_KEY}'   # Override RPCs
+ *   node src/chains.js add base --wss 'wss://base.example.com/${BASE_RPC_KEY}'     # WebSocket for subscriptions
+ *   node src/chains.js remove <name>                           # Remove user entry
+ */
+
+import { readFileSync } from 'fs';
+import { takeOption } from './lib/args.js';
+import { chains as builtinChains, getChains, getChain, getChainLabel, getUserChains, setUserChain, removeUserChain } from './lib/chains.js';
+import { CHAINS_PATH } from './lib/paths.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const jsonFlag = args.includes('--json');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM Chain Manager
+
+Usage: node src/chains.js <command> [args] [options]
+
+Commands:
+  list                  List built-in and user chains (default)
+  show <name|chainId>   Show one chain's configuration
+  add <name>            Add a chain, or override fields of a built-in chain
+  remove <name>         Remove a user chain or a built-in chain's overrides
+
+Add options:
+  --file <path>         Read the whole entry from a JSON file
+  --chain-id <id>       Chain ID
+  --name <name>         Display name (default: the chain name)
+  --symbol <symbol>     Native token symbol
+  --decimals <n>        Native token decimals (default: 18)
+  --explorer <url>      Block explorer URL
+  --explorer-name <n>   Block explorer name (default: "Explorer")
+  --rpc <url>           RPC endpoint (repeatable, tried in order)
+  --header "<Name>: <value>"
+                        HTTP header sent to every --rpc (repeatable)
+  --wss <url>           WebSocket endpoint for block and log subscriptions
+                        (repeatable; without one, receipts are polled over HTTP)
+  --priority-fee <gwei> Tip used when the RPCs give no fee history
+  --min-priority-fee <gwei>
+                        Lowest tip ever sent (e.g. a chain's enforced minimum)
+  --fee-model <eip1559|legacy>
+                        Gas pricing of the chain (default: detected from the latest block)
+  --testnet             Mark the chain as a testnet (excluded from --all and sweep)
+  --mainnet <name>      With --testnet: chain that --testnet maps to this one
+
+RPC URLs and header values may contain \${ENV_VAR} placeholders, filled
+from the environment when used, so API keys stay out of ${CHAINS_PATH}.
+
+Options:
+  --json         Output in JSON format
+  --help         Show this help message
+
+Examples:
+  node src/chains.js add base --rpc 'https://base-mainnet.g.alchemy.com/v2/\${ALCHEMY_KEY}' --rpc https://mainnet.base.org
+  node src/chains.js add zora --chain-id 7777777 --symbol ETH --explorer https://explorer.zora.energy --rpc https://rpc.zora.energy
+  node src/chains.js add mychain --file mychain.json
+  node src/chains.js add zora-sepolia --chain-id 999999999 --symbol ETH --explorer https://sepolia.explorer.zora.energy --rpc https://sepolia.rpc.zora.energy --testnet --mainnet zora
+  node src/chains.js remove zora
+`);
+}
+
+function exitWithError(message, code = 1) {
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: false, error: message }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(code);
+}
+
+/**
+ * Take every value of a repeatable option
+ */
+function takeAll(name) {
+  const values = [];
+  let value;
+  while ((value = takeOption(args, name)) !== null) {
+    values.push(value);
+  }
+  return values;
+}
+
+/**
+ * Describe where a chain's config comes from
+ */
+function sourceOf(name, userChains) {
+  if (!userChains[name]) {
+    return 'built-in';
+  }
+  return builtinChains[name] ? 'built-in + user' : 'user';
+}
+
+/**
+ * RPC entry for display: the URL template (placeholders unresolved) and header names only
+ */
+function describeRpc(rpc) {
+  if (typeof rpc === 'string') {
+    return rpc;
+  }
+  const headers = Object.keys(rpc.headers || {});
+  return headers.length > 0 ? `${rpc.url} (headers: ${headers.join(', ')})` : rpc.url;
+}
+
+/**
+ * Build a chain entry from command line options
+ */
+function entryFromOptions(name) {
+  const file = takeOption(args, '--file');
+  if (file) {
+    try {
+      return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read chain file: ${error.message}`);
+    }
+  }
+
+  const chainId = takeOption(args, '--chain-id');
+  const displayName = takeOption(args, '--name');
+  const symbol = takeOption(args, '--symbol');
+  const decimals = takeOption(args, '--decimals');
+  const explorer = takeOption(args, '--explorer');
+  const explorerName = takeOption(args, '--explorer-name');
+  const mainnet = takeOption(args, '--mainnet');
+  const testnet = args.includes('--testnet');
+  const rpcUrls = takeAll('--rpc');
+  const wssUrls = takeAll('--wss');
+  const priorityFee = takeOption(args, '--priority-fee');
+  const minPriorityFee = takeOption(args, '--min-priority-fee');
+  const feeModel = takeOption(args, '--fee-model');
+  const headers = Object.fromEntries(takeAll('--header').map(header => {
+    const index = header.indexOf(':');
+    if (index <= 0) {
+      throw new Error(`Invalid --header "${header}". Expected "Name: value"`);
+    }
+    return [header.slice(0, index).trim(), header.slice(index + 1).trim()];
+  }));
+
+  const entry = {};
+  const builtin = builtinChains[name];
+
+  if (chainId !== null) {
+    entry.chainId = Number(chainId);
+  }
+  if (displayName !== null || !builtin) {
+    entry.name = displayName ?? name;
+  }
+  if (symbol !== null || decimals !== null || !builtin) {
+    entry.nativeToken = {
+      symbol: symbol ?? builtin?.nativeToken.symbol,
+      decimals: decimals !== null ? Number(decimals) : (builtin?.nativeToken.decimals ?? 18)
+    };
+  }
+  if (explorer !== null || explorerName !== null || !builtin) {
+    entry.explorer = {
+      name: explorerName ?? builtin?.explorer.name ?? 'Explorer',
+      url: explorer ?? builtin?.explorer.url
+    };
+  }
+  if (testnet) {
+    entry.testnet = true;
+  }
+  if (mainnet !== null) {
+    entry.mainnet = mainnet.toLowerCase();
+  }
+  if (rpcUrls.length > 0) {
+    entry.rpcs = Object.keys(headers).length > 0
+      ? rpcUrls.map(url => ({ url, headers }))
+      : rpcUrls;
+  } else if (Object.keys(headers).length > 0) {
+    throw new Error('--header needs at least one --rpc');
+  }
+  if (wssUrls.length > 0) {
+    entry.wss = wssUrls;
+  }
+  if (priorityFee !== null || minPriorityFee !== null) {
+    entry.priorityFee = {
+      ...builtin?.priorityFee,
+      ...(minPriorityFee !== null ? { min: minPriorityFee } : {}),
+      ...(priorityFee !== null ? { default: priorityFee } : {})
+    };
+  }
+
+  if (feeModel !== null) {
+    entry.feeModel = feeModel;
+  }
+
+  if (Object.keys(entry).length === 0) {
+    throw new Error('Nothing to add. Give --rpc, --wss, --chain-id, ... or --file.');
+  }
+
+  return entry;
+}
+
+async function main() {
+  try {
+    if (helpFlag) {
+      showHelp();
+      return;
+    }
+
+    const [command = 'list', name] = args.filter(arg => !arg.startsWith('--'));
+
+    switch (command) {
+      case 'list': {
+        const all = getChains();
+        const userChains = getUserChains();
+        const list = Object.entries(all).map(([key, chain]) => ({
+          name: key,
+          chainId: chain.chainId,
+          displayName: chain.name,
+          symbol: chain.nativeToken.symbol,
+          rpcs: chain.rpcs.length,
+          testnet: Boolean(chain.testnet),
+          source: sourceOf(key, userChains)
+        }));
+
+        if (jsonFlag) {
+          console.log(JSON.stringify({ success: true, config: CHAINS_PATH, chains: list }, null, 2));
+        } else {
+          console.log('\n⛓️  Chains\n');
+          for (const chain of list) {
+            console.log(`  ${chain.name.padEnd(18)} ${String(chain.chainId).padEnd(10)} ${chain.symbol.padEnd(6)} ${chain.rpcs} RPC(s)  ${chain.source}${chain.testnet ? '  🧪 testnet' : ''}`);
+          }
+          console.log(`\nUser config: ${CHAINS_PATH}\n`);
+        }
+        break;
+      }
+
+      case 'show': {
+        if (!name) {
+          exitWithError('Usage: chains.js show <name|chainId>');
+        }
+        const chain = getChain(name);
+        const key = Object.keys(getChains()).find(candidate => getChains()[candidate] === chain);
+        const source = sourceOf(key, getUserChains());
+
+        if (jsonFlag) {
+          console.log(JSON.stringify({
+            success: true,
+            ...chain,
+            name: key,
+            displayName: chain.name,
+            source,
+            rpcs: chain.rpcs.map(describeRpc)
+          }, null, 2));
+        } else {
+          console.log(`\n⛓️  ${getChainLabel(key)} (${key}, ${source})`);
+          if (chain.mainnet) {
+            console.log(`  Testnet of: ${chain.mainnet}`);
+          }
+          console.log(`  Chain ID:  ${chain.chainId}`);
+          console.log(`  Native:    ${chain.nativeToken.symbol} (${chain.nativeToken.decimals} decimals)`);
+          console.log(`  Explorer:  ${chain.explorer.name} ${chain.explorer.url}`);
+          if (chain.feeModel) {
+            console.log(`  Fees:      ${chain.feeModel}`);
+          }
+          if (chain.priorityFee) {
+            console.log(`  Tip:       min ${chain.priorityFee.min ?? 0} gwei, default ${chain.priorityFee.default ?? 'from RPC'}${chain.priorityFee.default !== undefined ? ' gwei' : ''}`);
+          }
+          console.log('  RPCs:');
+          chain.rpcs.forEach(rpc => console.log(`    ${describeRpc(rpc)}`));
+          if (chain.wss?.length > 0) {
+            console.log('  WebSocket:');
+            chain.wss.forEach(url => console.log(`    ${url}`));
+          }
+          console.log('');
+        }
+        break;
+      }
+
+      case 'add': {
+        if (!name) {
+          exitWithError('Usage: chains.js add <name> [options]');
+        }
+        const key = name.toLowerCase();
+        const chain = setUserChain(key, entryFromOptions(key));
+
+        if (jsonFlag) {
+          console.log(JSON.stringify({ success: true, name: key, chainId: chain.chainId, source: sourceOf(key, getUserChains()) }));
+        } else {
+          console.log(`✅ ${builtinChains[key] ? 'Updated' : 'Added'} chain "${key}" (chain ID ${chain.chainId}) in ${CHAINS_PATH}`);
+        }
+        break;
+      }
+
+      case 'remove': {
+        if (!name) {
+          exitWithError('Usage: chains.js remove <name>');
+        }
+        const key = name.toLowerCase();
+        removeUserChain(key);
+
+        if (jsonFlag) {
+          console.log(JSON.stringify({ success: true, removed: key }));
+        } else {
+          console.log(builtinChains[key]
+            ? `✅ Removed overrides for "${key}"; built-in settings apply again`
+            : `🗑️  Removed chain "${key}"`);
+        }
+        break;
+      }
+
+      default:
+        exitWithError(`Unknown command: ${command}. Use --help for usage information.`);
+    }
+
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+main().catch(error => {
+  exitWithError(`Unexpected error: ${error.message}`);
+});
@@ -3,14 +3,17 @@
 /**
  * Contract Interaction Script - Call any contract function
  * Usage: node src/contract.js <chain> <address> <functionSig> [args...] [--value <eth>]
+ *        [--gas <preset>] [--max-fee <gwei>] [--priority-fee <gwei>] [--gas-limit <n>]
  */
 
 import { parseEther, parseAbi, isAddress, encodeFunctionData, formatEther } from 'viem';
 import { printUpdateNag } from './check-update.js';
-import { getWalletClient, exists } from './lib/wallet.js';
+import { takeOption, takeNetwork, takeGasOptions, applyRpcUrl } from './lib/args.js';
+import { getWalletClient, getAddress, exists } from './lib/wallet.js';
 import { createPublicClientWithRetry } from './lib/rpc.js';
-import { getChain, getExplorerTxUrl } from './lib/chains.js';
-import { estimateGas, estimateGasLimit, formatGwei } from './lib/gas.js';
+import { getChain, resolveChainName, getChainLabel, getExplorerTxUrl } from './lib/chains.js';
+import { estimateGas, estimateGasLimit, estimateTransactionFee, getFeeParams, formatFeeParams, describeGas } from './lib/gas.js';
+import { sendTransaction, formatReceipt } from './lib/send.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -41,6 +44,25 @@ Arguments:
 Options:
   --value <eth>  ETH value to send with transaction (for payable functions)
   --yes          Skip confirmation prompt (for write operations)
+  --testnet      Use the testnet of the given chain (base → base-sepolia)
+  --network <mainnet|testnet>
+                 Select the network (default: EVM_WALLET_NETWORK, else chain as given)
+  --rpc-url <url>
+                 Send RPC calls to this URL instead of the configured RPCs
+                 (local node or fork; same as EVM_WALLET_RPC_<CHAIN>)
+  --wallet <name> Wallet to use (default: EVM_WALLET or configured default)
+  --account-index <i>
+                 HD account index for mnemonic wallets (default: 0)
+  --passphrase-file <path>
+                 Read wallet passphrase from file (encrypted wallets)
+  --gas <slow|standard|fast|urgent>
+                 Speed preset for write operations (default: standard)
+  --max-fee <gwei>
+                 Max fee per gas (the gas price on legacy chains)
+  --priority-fee <gwei>
+                 Priority fee (tip) per gas
+  --gas-limit <n>
+                 Gas limit, instead of the estimate plus 20%
   --json         Output in JSON format
   --help         Show this help message
 
@@ -53,6 +75,7 @@ Examples:
   # Write operations (state-changing functions)
   node src/contract.js base 0x833589fcd... "transfer(address,uint256)" 0x123... 1000000
   node src/contract.js base 0x456... "approve(address,uint256)" 0x123... 1000000000 --yes
+  node src/contract.js ethereum 0x456... "claim()" --gas urgent --gas-limit 150000
   
   # Payable functions
   node src/contract.js ethereum 0x789... "deposit()" --value 0.1
@@ -174,7 +197,9 @@ async function confirm(message) {
   process.stdout.write(`${message} (y/N): `);
   
   return new Promise((resolve) => {
+    process.stdin.resume();
     process.stdin.once('data', (data) => {
+      process.stdin.pause();
       const response = data.toString().trim().toLowerCase();
       resolve(response === 'y' || response === 'yes');
     });
@@ -188,19 +213,32 @@ async function main() {
       return;
     }
 
+    const walletOptions = {
+      wallet: takeOption(args, '--wallet'),
+      passphraseFile: takeOption(args, '--passphrase-file'),
+      accountIndex: takeOption(args, '--account-index')
+    };
+
+    const network = takeNetwork(args);
+    const rpcUrl = takeOption(args, '--rpc-url');
+    const gasOptions = takeGasOptions(args);
+
     // Check if wallet exists
-    if (!exists()) {
+    if (!exists(walletOptions)) {
       exitWithError('No wallet found. Run setup.js first to generate a wallet.');
     }
 
     // Parse arguments (exclude flags)
     const filteredArgs = args.filter(arg => !arg.startsWith('--') && arg !== valueInEth);
-    const [chainName, contractAddress, functionSig, ...functionArgs] = filteredArgs;
+    const [chainArg, contractAddress, functionSig, ...functionArgs] = filteredArgs;
     
-    if (!chainName || !contractAddress || !functionSig) {
+    if (!chainArg || !contractAddress || !functionSig) {
       exitWithError('Missing required arguments. Use --help for usage information.');
     }
     
+    const chainName = resolveChainName(chainArg, network);
+    applyRpcUrl(rpcUrl, [chainName]);
+    
     // Validate contract address
     if (!isAddress(contractAddress)) {
       exitWithError('Invalid contract address.');
@@ -231,8 +269,7 @@ async function main() {
     
     const chain = getChain(chainName);
     const publicClient = createPublicClientWithRetry(chainName);
-    const walletClient = getWalletClient(chainName);
-    const walletAddress = walletClient.account.address;
+    const walletAddress = getAddress(walletOptions);
     
     // Create ABI for the function
     const abi = parseAbi([
@@ -260,13 +297,14 @@ async function main() {
             result: formattedResult,
             function: functionSig,
             contract: contractAddress,
-            chain: chainName
+            chain: chainName,
+            testnet: Boolean(chain.testnet)
           }, null, 2));
         } else {
           console.log(`\n📖 Contract Read Result`);
           console.log(`Contract: ${contractAddress}`);
           console.log(`Function: ${functionSig}`);
-          console.log(`Chain: ${chain.name}`);
+          console.log(`Chain: ${getChainLabel(chainName)}`);
           console.log(`Result: ${formattedResult}`);
         }
         
@@ -276,28 +314,35 @@ async function main() {
       
     } else {
       // Write function - requires transaction
+      // Only unlock the wallet for writes so reads never ask for a passphrase
+      const walletClient = await getWalletClient(chainName, walletOptions);
       
-      // Estimate gas
-      let gasEstimate;
+      const call = {
+        to: contractAddress,
+        data: encodeFunctionData({
+          abi,
+          functionName: parsedFunction.functionName,
+          args: parsedArgs
+        }),
+        value
+      };
+      
+      // Estimate gas, and the fee including the L1 data fee on rollups
+      let gasEstimate, fee;
       try {
-        gasEstimate = await estimateGas(chainName);
-        const gasLimit = await estimateGasLimit(publicClient, {
-          to: contractAddress,
-          data: encodeFunctionData({
-            abi,
-            functionName: parsedFunction.functionName,
-            args: parsedArgs
-          }),
-          value,
-          account: walletAddress
-        });
-        gasEstimate.gasLimit = gasLimit;
+        gasEstimate = await estimateGas(chainName, gasOptions);
+        gasEstimate.gasLimit = gasOptions.gasLimit ?? await estimateGasLimit(publicClient, { ...call, account: walletAddress });
+        fee = await estimateTransactionFee(chainName, publicClient, {
+          ...call,
+          account: walletAddress,
+          gas: gasEstimate.gasLimit
+        }, gasEstimate);
       } catch (error) {
         exitWithError(`Gas estimation failed: ${error.message}`);
       }
       
-      const estimatedGasCost = gasEstimate.maxFeePerGas * gasEstimate.gasLimit;
-      const estimatedGasCostEth = formatEther(estimatedGasCost);
+      // Total cost: L2 execution plus the L1 data fee
+      const estimatedGasCostEth = formatEther(fee.total);
       
       // Show confirmation details
       const confirmationMessage = `
@@ -305,13 +350,12 @@ async function main() {
   Contract: ${contractAddress}
   Function: ${functionSig}
   Arguments: [${functionArgs.join(', ')}]
-  Chain: ${chain.name}
+  Chain: ${getChainLabel(chainName)}
   ${value > 0 ? `Value: ${valueInEth} ETH` : ''}
   
 ⛽ Gas Estimate:
-  Gas Limit: ${gasEstimate.gasLimit.toLocaleString()}
-  Max Fee: ${formatGwei(gasEstimate.maxFeePerGas)} gwei
-  Est. Cost: ${estimatedGasCostEth} ETH
+  ${describeGas(gasEstimate, gasOptions).join('\n  ')}
+${fee.l1Fee > 0n ? `  L2 Execution: ${formatEther(fee.l2Fee)} ETH\n  L1 Data Fee: ${formatEther(fee.l1Fee)} ETH\n` : ''}  Est. Cost: ${estimatedGasCostEth} ETH
   
 💰 Total Cost: ${(parseFloat(valueInEth) + parseFloat(estimatedGasCostEth)).toFixed(6)} ETH
 
@@ -331,25 +375,24 @@ Proceed with transaction?`;
         return;
       }
       
-      // Execute transaction
-      let txHash;
+      // Execute transaction (receipt only on chains with a sync send method)
+      let txHash, receipt, sync;
       try {
-        txHash = await walletClient.writeContract({
-          address: contractAddress,
-          abi,
-          functionName: parsedFunction.functionName,
-          args: parsedArgs,
-          value,
-          maxFeePerGas: gasEstimate.maxFeePerGas,
-          maxPriorityFeePerGas: gasEstimate.maxPriorityFeePerGas,
+        ({ hash: txHash, receipt, sync } = await sendTransaction(chainName, walletClient, {
+          ...call,
+          ...getFeeParams(gasEstimate),
           gas: gasEstimate.gasLimit
-        });
+        }, { wait: false }));
       } catch (error) {
         exitWithError(`Transaction failed: ${error.message}`);
       }
       
       const explorerUrl = getExplorerTxUrl(chainName, txHash);
       
+      if (receipt && receipt.status !== 'success') {
+        exitWithError(`Transaction reverted in block ${receipt.blockNumber}. Tx: ${explorerUrl}`);
+      }
+      
       if (jsonFlag) {
         console.log(JSON.stringify({
           success: true,
@@ -360,11 +403,16 @@ Proceed with transaction?`;
           args: functionArgs,
           value: valueInEth,
           chain: chainName,
+          testnet: Boolean(chain.testnet),
+          receipt: receipt ? formatReceipt(receipt, sync) : null,
           gasUsed: {
-            maxFeePerGas: gasEstimate.maxFeePerGas.toString(),
-            maxPriorityFeePerGas: gasEstimate.maxPriorityFeePerGas.toString(),
+            preset: gasEstimate.preset,
+            ...formatFeeParams(gasEstimate),
             gasLimit: gasEstimate.gasLimit.toString(),
-            estimatedCostEth: estimatedGasCostEth
+            l2ExecutionCostEth: formatEther(fee.l2Fee),
+            l1DataFeeEth: formatEther(fee.l1Fee),
+            estimatedCostEth: estimatedGasCostEth,
+            overrides: gasOptions.overrides
           }
         }, null, 2));
       } else {
@@ -376,7 +424,11 @@ Proceed with transaction?`;
           console.log(`Sent: ${valueInEth} ETH`);
         }
         console.log(`Gas used: ~${estimatedGasCostEth} ETH`);
-        console.log('\n💡 Transaction may take a few minutes to confirm.');
+        if (receipt) {
+          console.log(`Confirmed in block ${receipt.blockNumber}${sync ? ' (sync send)' : ''}, gas used ${receipt.gasUsed.toLocaleString()}`);
+        } else {
+          console.log('\n💡 Transaction may take a few minutes to confirm.');
+        }
       }
     }
     
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+
+/**
+ * Gas Tracker Script - Compare gas prices and transaction costs across chains
+ * Shows the base fee, the tip of each speed preset, and the expected USD cost of a native
+ * transfer, an ERC20 transfer and a swap on every chain, side by side.
+ * Usage:
+ *   node src/gas.js                           # All mainnets
+ *   node src/gas.js --chains base,arbitrum
+ *   node src/gas.js --record                  # Also save a sample per chain (run from cron)
+ *   node src/gas.js --history --days 7        # Cheapest hour of the day from recorded samples
+ */
+
+import { formatUnits } from 'viem';
+import { printUpdateNag } from './check-update.js';
+import { takeOption, takeNetwork, applyRpcUrl } from './lib/args.js';
+import { getChain, getChainLabel, getNetworkChains, hasRpcOverride, resolveChainName } from './lib/chains.js';
+import { getCurrentGasPrices, getExpectedGasPrice, formatGwei, GAS_PRESETS, DEFAULT_GAS_PRESET, TYPICAL_OPERATIONS } from './lib/gas.js';
+import { recordGasSamples, summarizeGasHistory } from './lib/gas-history.js';
+import { GAS_HISTORY_PATH } from './lib/paths.js';
+
+const DEFAULT_ODOS_API = 'https://api.odos.xyz';
+const NATIVE_TOKEN = '0x0000000000000000000000000000000000000000';
+
+// Native token prices are a nice-to-have: do not hold the command up for them
+const PRICE_TIMEOUT_MS = 5_000;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const jsonFlag = args.includes('--json');
+const recordFlag = args.includes('--record');
+const historyFlag = args.includes('--history');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM Gas Tracker
+
+Usage: node src/gas.js [options]
+
+Shows, for every chain side by side:
+  base fee, the tip of each speed preset (${Object.keys(GAS_PRESETS).join(', ')}),
+  and the expected cost of a native transfer, an ERC20 transfer and a swap
+  at the ${DEFAULT_GAS_PRESET} preset (base fee + tip, plus the L1 data fee on rollups),
+  in USD where the native token has a price.
+
+Options:
+  --chains <a,b>  Only these chains (default: all mainnets)
+  --testnet       Testnets instead (with --chains: base → base-sepolia)
+  --network <mainnet|testnet>
+                  Select the network (default: EVM_WALLET_NETWORK, else mainnet)
+  --rpc-url <url> Query this URL instead of the configured RPCs (with one chain in --chains)
+  --aggregator-url <url>
+                  Odos-compatible API for native token prices
+                  (default: EVM_WALLET_AGGREGATOR_URL, else ${DEFAULT_ODOS_API})
+  --record        Also save the current price of each chain to ${GAS_HISTORY_PATH}
+                  (kept 30 days; run periodically, e.g. from cron, to build up statistics;
+                  chains on --rpc-url or EVM_WALLET_RPC_<CHAIN> are not recorded)
+  --history       Show the cheapest and priciest hour of the day (UTC) from recorded samples
+  --days <n>      With --history, only the last n days (default: all recorded)
+  --json          Output in JSON format
+  --help          Show this help message
+
+Examples:
+  node src/gas.js
+  node src/gas.js --chains ethereum,base --json
+  node src/gas.js --record --json
+  node src/gas.js --history --days 7
+`);
+}
+
+function exitWithError(message, code = 1) {
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: false, error: message }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(code);
+}
+
+/**
+ * USD price of a chain's native token from the aggregator's pricing endpoint, or null
+ */
+async function getNativePriceUsd(api, chainName) {
+  const chain = getChain(chainName);
+  if (chain.testnet) {
+    return null;
+  }
+  try {
+    const res = await fetch(`${api}/pricing/token/${chain.chainId}/${NATIVE_TOKEN}`, {
+      signal: AbortSignal.timeout(PRICE_TIMEOUT_MS)
+    });
+    const data = await res.json();
+    return res.ok && typeof data.price === 'number' ? data.price : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gas prices in gwei with full precision, for JSON output
+ */
+function toGwei(wei) {
+  return formatUnits(wei, 9);
+}
+
+function formatUsd(usd) {
+  return usd < 0.01 ? `$${usd.toPrecision(2)}` : `$${usd.toFixed(2)}`;
+}
+
+/**
+ * Costs of the typical operations on one chain, in native token and USD
+ */
+function describeCosts(chainName, costs, priceUsd) {
+  const { decimals } = getChain(chainName).nativeToken;
+  return Object.fromEntries(Object.entries(costs).map(([name, wei]) => {
+    const native = formatUnits(wei, decimals);
+    return [name, {
+      gas: TYPICAL_OPERATIONS[name].gas.toString(),
+      wei: wei.toString(),
+      native,
+      usd: priceUsd === null ? null : Number(native) * priceUsd
+    }];
+  }));
+}
+
+/**
+ * Chain result for JSON output
+ */
+function formatChain(chainName, result, priceUsd) {
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+  const presets = Object.fromEntries(Object.entries(result.presets).map(([preset, gas]) => [preset,
+    gas.type === 'legacy'
+      ? { gasPriceGwei: toGwei(gas.gasPrice) }
+      : { maxFeeGwei: toGwei(gas.maxFeePerGas), priorityFeeGwei: toGwei(gas.maxPriorityFeePerGas) }
+  ]));
+  return {
+    success: true,
+    type: result.type,
+    baseFeeGwei: result.type === 'legacy' ? null : toGwei(result.baseFeePerGas),
+    expectedPriceGwei: toGwei(getExpectedGasPrice(result)),
+    presets,
+    nativeToken: { symbol: getChain(chainName).nativeToken.symbol, priceUsd },
+    costs: describeCosts(chainName, result.costs, priceUsd)
+  };
+}
+
+/**
+ * Cheapest chain per operation, among chains with a USD price (native amounts do not compare)
+ */
+function findCheapest(chains) {
+  return Object.fromEntries(Object.keys(TYPICAL_OPERATIONS).map(name => {
+    const priced = Object.entries(chains)
+      .filter(([, chain]) => chain.success && chain.costs[name].usd !== null)
+      .sort(([, a], [, b]) => a.costs[name].usd - b.costs[name].usd);
+    return [name, priced.length > 0 ? { chain: priced[0][0], usd: priced[0][1].costs[name].usd } : null];
+  }));
+}
+
+function printPrices(results, chains, cheapest) {
+  const presetNames = Object.keys(GAS_PRESETS);
+  const header = [
+    'Chain'.padEnd(18),
+    'Base fee'.padEnd(18),
+    `Tip ${presetNames.join('/')} (gwei)`.padEnd(38),
+    ...Object.values(TYPICAL_OPERATIONS).map(operation => operation.label.padEnd(18))
+  ].join(' ');
+
+  console.log('\n⛽ Gas Prices (expected cost at the standard preset)\n');
+  console.log(`  ${header}`);
+  for (const [chainName, chain] of Object.entries(chains)) {
+    if (!chain.success) {
+      continue;
+    }
+    const { symbol } = chain.nativeToken;
+    const { presets, baseFeePerGas } = results[chainName];
+    // Legacy chains have no tip: the presets differ in gas price
+    const tips = chain.type === 'legacy'
+      ? `${presetNames.map(preset => formatGwei(presets[preset].gasPrice)).join('/')} (price)`
+      : presetNames.map(preset => formatGwei(presets[preset].maxPriorityFeePerGas)).join('/');
+    const costs = Object.values(chain.costs).map(cost =>
+      (cost.usd === null ? `${Number(cost.native).toPrecision(2)} ${symbol}` : formatUsd(cost.usd)).padEnd(18));
+    console.log(`  ${[
+      getChainLabel(chainName).padEnd(18),
+      (chain.type === 'legacy' ? 'legacy' : `${formatGwei(baseFeePerGas)} gwei`).padEnd(18),
+      tips.padEnd(38),
+      ...costs
+    ].join(' ')}`);
+  }
+
+  for (const [chainName, chain] of Object.entries(chains)) {
+    if (!chain.success) {
+      console.log(`  ❌ ${getChainLabel(chainName)}: ${chain.error.split('\n')[0]}`);
+    }
+  }
+
+  if (cheapest.nativeTransfer) {
+    const lines = Object.entries(cheapest)
+      .filter(([, entry]) => entry)
+      .map(([name, entry]) => `${TYPICAL_OPERATIONS[name].label}: ${getChainLabel(entry.chain)} (${formatUsd(entry.usd)})`);
+    console.log(`\n💡 Cheapest now — ${lines.join(', ')}`);
+  }
+  console.log('');
+}
+
+function printHistory(summary, days) {
+  console.log(`\n📈 Gas Price by Hour of Day (UTC, ${days === null ? 'all recorded samples' : `last ${days} days`})\n`);
+  for (const [chainName, chain] of Object.entries(summary)) {
+    if (!chain) {
+      console.log(`  ${getChainLabel(chainName)}: no samples (record some with node src/gas.js --record)`);
+      continue;
+    }
+    const hour = entry => `${String(entry.hour).padStart(2, '0')}:00`;
+    const below = Number((chain.averagePrice - chain.cheapestHour.averagePrice) * 1000n / (chain.averagePrice || 1n)) / 10;
+    console.log(`  ${getChainLabel(chainName)} — ${chain.samples} samples, ${chain.hours.length}/24 hours covered`);
+    console.log(`    Average: ${formatGwei(chain.averagePrice)} gwei`);
+    console.log(`    Cheapest: ${hour(chain.cheapestHour)} at ${formatGwei(chain.cheapestHour.averagePrice)} gwei (${below}% below average)`);
+    console.log(`    Priciest: ${hour(chain.priciestHour)} at ${formatGwei(chain.priciestHour.averagePrice)} gwei`);
+  }
+  console.log('');
+}
+
+async function main() {
+  try {
+    if (helpFlag) {
+      showHelp();
+      return;
+    }
+
+    const chainsArg = takeOption(args, '--chains');
+    const network = takeNetwork(args);
+    const rpcUrl = takeOption(args, '--rpc-url');
+    const daysArg = takeOption(args, '--days');
+    const aggregatorApi = (takeOption(args, '--aggregator-url') || process.env.EVM_WALLET_AGGREGATOR_URL || DEFAULT_ODOS_API)
+      .replace(/\/+$/, '');
+
+    const chainNames = chainsArg
+      ? chainsArg.split(',').map(name => resolveChainName(name.trim(), network))
+      : getNetworkChains(network ?? 'mainnet');
+    applyRpcUrl(rpcUrl, chainNames);
+
+    if (historyFlag) {
+      const days = daysArg === null ? null : Number(daysArg);
+      if (days !== null && !(days > 0)) {
+        exitWithError(`Invalid --days "${daysArg}". Use a positive number of days`);
+      }
+      const summary = summarizeGasHistory(chainNames, { days });
+      if (jsonFlag) {
+        const toJson = entry => ({ hour: entry.hour, samples: entry.samples, averagePriceGwei: toGwei(entry.averagePrice) });
+        console.log(JSON.stringify({
+          success: true,
+          days,
+          chains: Object.fromEntries(Object.entries(summary).map(([chainName, chain]) => [chainName, chain && {
+            samples: chain.samples,
+            from: new Date(chain.from).toISOString(),
+            to: new Date(chain.to).toISOString(),
+            averagePriceGwei: toGwei(chain.averagePrice),
+            cheapestHour: toJson(chain.cheapestHour),
+            priciestHour: toJson(chain.priciestHour),
+            hours: chain.hours.map(toJson)
+          }]))
+        }, null, 2));
+      } else {
+        printHistory(summary, days);
+      }
+      return;
+    }
+
+    if (!jsonFlag) {
+      console.log(`\n🔍 Checking gas on ${chainNames.length} chain(s)...`);
+    }
+
+    const [results, prices] = await Promise.all([
+      getCurrentGasPrices(chainNames),
+      Promise.all(chainNames.map(chainName => getNativePriceUsd(aggregatorApi, chainName)))
+    ]);
+
+    const chains = Object.fromEntries(chainNames.map((chainName, i) => [chainName, formatChain(chainName, results[chainName], prices[i])]));
+    const cheapest = findCheapest(chains);
+
+    // Local nodes and forks say nothing about the real chain, so they are not recorded
+    let recorded = 0;
+    if (recordFlag) {
+      const samples = chainNames
+        .filter(chainName => results[chainName].success && !hasRpcOverride(chainName))
+        .map(chainName => ({ chain: chainName, price: getExpectedGasPrice(results[chainName]) }));
+      if (samples.length > 0) {
+        recordGasSamples(samples);
+      }
+      recorded = samples.length;
+    }
+
+    const failed = Object.values(chains).every(chain => !chain.success);
+
+    if (jsonFlag) {
+      console.log(JSON.stringify({
+        success: !failed,
+        preset: DEFAULT_GAS_PRESET,
+        chains,
+        cheapest,
+        ...(recordFlag ? { recorded } : {})
+      }, null, 2));
+    } else {
+      printPrices(results, chains, cheapest);
+      if (recordFlag) {
+        console.log(`📝 Recorded ${recorded} sample(s) to ${GAS_HISTORY_PATH}\n`);
+      }
+    }
+
+    if (failed) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+main().then(() => printUpdateNag()).catch(error => {
+  exitWithError(`Unexpected error: ${error.message}`);
+});
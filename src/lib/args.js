@@ -0,0 +1,125 @@
+/**
+ * Command line argument helpers shared by the CLI scripts
+ */
+
+import { parseGwei } from 'viem';
+import { NETWORKS, setRpcOverride } from './chains.js';
+import { GAS_PRESETS, DEFAULT_GAS_PRESET } from './gas.js';
+
+/**
+ * Remove an option and its value from args
+ * @param {string[]} args - Argument list (mutated)
+ * @param {string} name - Option name (e.g., "--passphrase-file")
+ * @returns {string|null} Option value, or null if not present
+ */
+export function takeOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) {
+    return null;
+  }
+  
+  const value = args[index + 1];
+  if (value === undefined || value.startsWith('--')) {
+    throw new Error(`Option ${name} requires a value`);
+  }
+  
+  args.splice(index, 2);
+  return value;
+}
+
+/**
+ * Remove the network selection (--testnet or --network <mainnet|testnet>) from args
+ * Falls back to EVM_WALLET_NETWORK so a whole session can be pointed at testnets.
+ * @param {string[]} args - Argument list (mutated)
+ * @returns {string|null} "mainnet", "testnet", or null when not selected
+ */
+export function takeNetwork(args) {
+  let network = takeOption(args, '--network');
+
+  const testnetIndex = args.indexOf('--testnet');
+  if (testnetIndex !== -1) {
+    args.splice(testnetIndex, 1);
+    if (network && network !== 'testnet') {
+      throw new Error(`--testnet conflicts with --network ${network}`);
+    }
+    network = 'testnet';
+  }
+
+  network ??= process.env.EVM_WALLET_NETWORK || null;
+  if (network && !NETWORKS.includes(network)) {
+    throw new Error(`Invalid network "${network}". Use one of: ${NETWORKS.join(', ')}`);
+  }
+  return network;
+}
+
+/**
+ * Remove --quorum <n> from args
+ * @param {string[]} args - Argument list (mutated)
+ * @returns {number|null} Number of RPC endpoints that must agree, or null for single-endpoint reads
+ */
+export function takeQuorum(args) {
+  const value = takeOption(args, '--quorum');
+  if (value === null) {
+    return null;
+  }
+  const quorum = Number(value);
+  if (!Number.isInteger(quorum) || quorum < 2) {
+    throw new Error(`Invalid --quorum "${value}". Use a whole number of endpoints, at least 2`);
+  }
+  return quorum;
+}
+
+/**
+ * Remove the gas options (--gas <preset>, --max-fee <gwei>, --priority-fee <gwei>, --gas-limit <n>) from args
+ * @param {string[]} args - Argument list (mutated)
+ * @returns {Object} { preset, maxFeePerGas, maxPriorityFeePerGas, gasLimit } (wei and gas units, null when
+ *   not set) and `overrides`, the explicit values as given, for output
+ */
+export function takeGasOptions(args) {
+  const preset = takeOption(args, '--gas') ?? DEFAULT_GAS_PRESET;
+  if (!Object.hasOwn(GAS_PRESETS, preset)) {
+    throw new Error(`Invalid --gas "${preset}". Use one of: ${Object.keys(GAS_PRESETS).join(', ')}`);
+  }
+
+  const overrides = {};
+  const takeGwei = (name, key) => {
+    const value = takeOption(args, name);
+    if (value === null) {
+      return null;
+    }
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+      throw new Error(`Invalid ${name} "${value}". Use an amount in gwei (e.g., 1.5)`);
+    }
+    overrides[key] = value;
+    return parseGwei(value);
+  };
+  const maxFeePerGas = takeGwei('--max-fee', 'maxFee');
+  const maxPriorityFeePerGas = takeGwei('--priority-fee', 'priorityFee');
+
+  const gasLimitValue = takeOption(args, '--gas-limit');
+  let gasLimit = null;
+  if (gasLimitValue !== null) {
+    if (!/^[1-9]\d*$/.test(gasLimitValue)) {
+      throw new Error(`Invalid --gas-limit "${gasLimitValue}". Use a whole number of gas units`);
+    }
+    overrides.gasLimit = gasLimitValue;
+    gasLimit = BigInt(gasLimitValue);
+  }
+
+  return { preset, maxFeePerGas, maxPriorityFeePerGas, gasLimit, overrides };
+}
+
+/**
+ * Apply --rpc-url to the chain a command runs on (local node or fork)
+ * @param {string|null} rpcUrl - Value of --rpc-url
+ * @param {string[]} chainNames - Chains the command runs on
+ */
+export function applyRpcUrl(rpcUrl, chainNames) {
+  if (!rpcUrl) {
+    return;
+  }
+  if (chainNames.length !== 1) {
+    throw new Error('--rpc-url applies to a single chain. Use EVM_WALLET_RPC_<CHAIN> to override several.');
+  }
+  setRpcOverride(chainNames[0], rpcUrl);
+}
@@ -1,8 +1,17 @@
 /**
  * EVM Chain Configurations
  * Includes chainId, native token, block explorers, and default public RPCs
+ * `tokens` lists well-known ERC20s checked when sweeping a wallet
+ * `priorityFee` bounds the tip gas.js derives from fee history (gwei)
+ * `feeModel` ("eip1559" or "legacy") skips probing a chain's gas pricing
+ * `l1DataFee` marks rollups whose fee estimates add an L1 data fee ("op-stack" or "arbitrum")
+ * User entries in ~/.evm-wallet/chains.json are merged over the built-ins
  */
 
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { CHAINS_PATH } from './paths.js';
+
 export const chains = {
   ethereum: {
     chainId: 1,
@@ -19,7 +28,19 @@ export const chains = {
       "https://ethereum.publicnode.com",
       "https://cloudflare-eth.com",
       "https://rpc.ankr.com/eth"
-    ]
+    ],
+    // Optional WebSocket endpoints for subscriptions (newHeads, logs); HTTP polling without them
+    wss: [
+      "wss://ethereum-rpc.publicnode.com"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48" },
+      { symbol: "USDT", address: "0xdAC17F958D2ee523a2206206994597C13D831ec7" },
+      { symbol: "WETH", address: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2" },
+      { symbol: "DAI", address: "0x6B175474E89094C44Da98b954EedeAC495271d0F" }
+    ],
+    // Floor for sampled tips, and the tip used when fee history is unavailable
+    priorityFee: { min: "0.01", default: "1" }
   },
   
   base: {
@@ -37,7 +58,18 @@ export const chains = {
       "https://mainnet.base.org",
       "https://base.publicnode.com",
       "https://base.llamarpc.com"
-    ]
+    ],
+    wss: [
+      "wss://base-rpc.publicnode.com"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913" },
+      { symbol: "WETH", address: "0x4200000000000000000000000000000000000006" },
+      { symbol: "DAI", address: "0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb" }
+    ],
+    priorityFee: { min: "0.001", default: "0.01" },
+    // Rollup that charges an L1 data fee on top of L2 gas
+    l1DataFee: "op-stack"
   },
   
   polygon: {
@@ -55,7 +87,18 @@ export const chains = {
       "https://polygon.llamarpc.com",
       "https://polygon.publicnode.com",
       "https://rpc.ankr.com/polygon"
-    ]
+    ],
+    wss: [
+      "wss://polygon-bor-rpc.publicnode.com"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359" },
+      { symbol: "USDT", address: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F" },
+      { symbol: "WETH", address: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619" },
+      { symbol: "WPOL", address: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270" }
+    ],
+    // Polygon PoS rejects tips below 25-30 gwei
+    priorityFee: { min: "30", default: "30" }
   },
   
   arbitrum: {
@@ -73,7 +116,20 @@ export const chains = {
       "https://arbitrum.publicnode.com",
       "https://arbitrum.llamarpc.com",
       "https://rpc.ankr.com/arbitrum"
-    ]
+    ],
+    wss: [
+      "wss://arbitrum-one-rpc.publicnode.com"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831" },
+      { symbol: "USDT", address: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9" },
+      { symbol: "WETH", address: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1" },
+      { symbol: "ARB", address: "0x912CE59144191C1204E64559FE8253a0e49E6548" }
+    ],
+    // Arbitrum has no priority auction: tips are ignored
+    priorityFee: { min: "0", default: "0" },
+    // Rollup that charges an L1 data fee on top of L2 gas
+    l1DataFee: "arbitrum"
   },
   
   optimism: {
@@ -91,7 +147,19 @@ export const chains = {
       "https://optimism.publicnode.com",
       "https://optimism.llamarpc.com",
       "https://rpc.ankr.com/optimism"
-    ]
+    ],
+    wss: [
+      "wss://optimism-rpc.publicnode.com"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85" },
+      { symbol: "USDT", address: "0x94b008aA00579c1307B0EF2c499aD98a8ce58e58" },
+      { symbol: "WETH", address: "0x4200000000000000000000000000000000000006" },
+      { symbol: "OP", address: "0x4200000000000000000000000000000000000042" }
+    ],
+    priorityFee: { min: "0.001", default: "0.01" },
+    // Rollup that charges an L1 data fee on top of L2 gas
+    l1DataFee: "op-stack"
   },
   
   megaeth: {
@@ -109,22 +177,439 @@ export const chains = {
       "https://mainnet.megaeth.com/rpc",
       "https://rpc-megaeth-mainnet.globalstake.io"
     ],
+    tokens: [],
     // MegaETH supports eth_sendRawTransactionSync (EIP-7966) — returns tx receipt directly in response (<10ms)
     // See: https://docs.megaeth.com/realtime-api
     // EIP-7966: https://ethereum-magicians.org/t/eip-7966-eth-sendrawtransactionsync-method/24640
     syncRpc: "eth_sendRawTransactionSync"
+  },
+
+  // Testnets: `testnet: true`, `mainnet` names the chain they stand in for with --testnet
+  sepolia: {
+    chainId: 11155111,
+    name: "Sepolia",
+    nativeToken: {
+      symbol: "ETH",
+      decimals: 18
+    },
+    explorer: {
+      name: "Etherscan",
+      url: "https://sepolia.etherscan.io"
+    },
+    rpcs: [
+      "https://ethereum-sepolia-rpc.publicnode.com",
+      "https://sepolia.drpc.org",
+      "https://rpc.sepolia.org"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238" },
+      { symbol: "WETH", address: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14" }
+    ],
+    priorityFee: { min: "0.01", default: "1" },
+    testnet: true,
+    mainnet: "ethereum"
+  },
+
+  "base-sepolia": {
+    chainId: 84532,
+    name: "Base Sepolia",
+    nativeToken: {
+      symbol: "ETH",
+      decimals: 18
+    },
+    explorer: {
+      name: "BaseScan",
+      url: "https://sepolia.basescan.org"
+    },
+    rpcs: [
+      "https://sepolia.base.org",
+      "https://base-sepolia-rpc.publicnode.com"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0x036CbD53842c5426634e7929541eC2318f3dCF7e" },
+      { symbol: "WETH", address: "0x4200000000000000000000000000000000000006" }
+    ],
+    priorityFee: { min: "0.001", default: "0.01" },
+    l1DataFee: "op-stack",
+    testnet: true,
+    mainnet: "base"
+  },
+
+  "polygon-amoy": {
+    chainId: 80002,
+    name: "Polygon Amoy",
+    nativeToken: {
+      symbol: "POL",
+      decimals: 18
+    },
+    explorer: {
+      name: "PolygonScan",
+      url: "https://amoy.polygonscan.com"
+    },
+    rpcs: [
+      "https://rpc-amoy.polygon.technology",
+      "https://polygon-amoy-bor-rpc.publicnode.com"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0x41E94Eb019C0762f9Bfcf9Fb1E58725BfB0e7582" }
+    ],
+    priorityFee: { min: "25", default: "30" },
+    testnet: true,
+    mainnet: "polygon"
+  },
+
+  "arbitrum-sepolia": {
+    chainId: 421614,
+    name: "Arbitrum Sepolia",
+    nativeToken: {
+      symbol: "ETH",
+      decimals: 18
+    },
+    explorer: {
+      name: "Arbiscan",
+      url: "https://sepolia.arbiscan.io"
+    },
+    rpcs: [
+      "https://sepolia-rollup.arbitrum.io/rpc",
+      "https://arbitrum-sepolia-rpc.publicnode.com"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d" }
+    ],
+    priorityFee: { min: "0", default: "0" },
+    l1DataFee: "arbitrum",
+    testnet: true,
+    mainnet: "arbitrum"
+  },
+
+  "optimism-sepolia": {
+    chainId: 11155420,
+    name: "OP Sepolia",
+    nativeToken: {
+      symbol: "ETH",
+      decimals: 18
+    },
+    explorer: {
+      name: "Optimism Etherscan",
+      url: "https://sepolia-optimism.etherscan.io"
+    },
+    rpcs: [
+      "https://sepolia.optimism.io",
+      "https://optimism-sepolia-rpc.publicnode.com"
+    ],
+    tokens: [
+      { symbol: "USDC", address: "0x5fd84259d66Cd46123540766Be93DFE6D43130D7" },
+      { symbol: "WETH", address: "0x4200000000000000000000000000000000000006" }
+    ],
+    priorityFee: { min: "0.001", default: "0.01" },
+    l1DataFee: "op-stack",
+    testnet: true,
+    mainnet: "optimism"
   }
 };
 
+export const NETWORKS = ['mainnet', 'testnet'];
+
+// Gas pricing: EIP-1559 base fee + tip, or a single legacy gasPrice
+export const FEE_MODELS = ['eip1559', 'legacy'];
+
+/**
+ * Merged chain list (built-ins + user config), loaded on first use
+ */
+let mergedChains = null;
+
+/**
+ * RPC URLs set for this process with --rpc-url, by chain name
+ */
+const rpcOverrides = {};
+
+const CHAIN_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+/**
+ * Validate one RPC endpoint: a URL string or { url, headers }
+ */
+function validateRpc(rpc, where) {
+  const url = typeof rpc === 'string' ? rpc : rpc?.url;
+  if (typeof url === 'string' && /^wss?:\/\//.test(url)) {
+    throw new Error(`${where}: ${url} is a WebSocket URL; list it under wss, rpcs takes http(s) URLs`);
+  }
+  if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+    throw new Error(`${where}: RPC must be an http(s) URL or { url, headers }`);
+  }
+  if (typeof rpc === 'object') {
+    const { headers = {} } = rpc;
+    if (typeof headers !== 'object' || Object.values(headers).some(value => typeof value !== 'string')) {
+      throw new Error(`${where}: RPC headers must map header names to strings`);
+    }
+  }
+}
+
+/**
+ * Validate a complete chain config
+ * @param {string} name - Chain name
+ * @param {Object} chain - Chain configuration
+ * @returns {Object} The chain configuration
+ */
+export function validateChain(name, chain) {
+  const where = `Chain "${name}"`;
+
+  if (!CHAIN_NAME_PATTERN.test(name)) {
+    throw new Error(`${where}: name must be lowercase letters, digits and dashes`);
+  }
+  if (!Number.isSafeInteger(chain?.chainId) || chain.chainId <= 0) {
+    throw new Error(`${where}: chainId must be a positive integer`);
+  }
+  if (typeof chain.name !== 'string' || !chain.name) {
+    throw new Error(`${where}: name is required`);
+  }
+  if (typeof chain.nativeToken?.symbol !== 'string' || !Number.isInteger(chain.nativeToken?.decimals)) {
+    throw new Error(`${where}: nativeToken needs symbol and integer decimals`);
+  }
+  if (typeof chain.explorer?.name !== 'string' || !/^https?:\/\//.test(chain.explorer?.url || '')) {
+    throw new Error(`${where}: explorer needs name and http(s) url`);
+  }
+  if (!Array.isArray(chain.rpcs) || chain.rpcs.length === 0) {
+    throw new Error(`${where}: at least one RPC is required`);
+  }
+  chain.rpcs.forEach(rpc => validateRpc(rpc, where));
+  if (chain.wss !== undefined && (!Array.isArray(chain.wss) || chain.wss.some(url => !/^wss?:\/\//.test(url)))) {
+    throw new Error(`${where}: wss must be a list of ws(s) URLs`);
+  }
+  if (chain.testnet !== undefined && typeof chain.testnet !== 'boolean') {
+    throw new Error(`${where}: testnet must be true or false`);
+  }
+  if (chain.mainnet !== undefined && (!chain.testnet || typeof chain.mainnet !== 'string')) {
+    throw new Error(`${where}: mainnet is only set on testnets, to the name of the chain they stand in for`);
+  }
+  if (chain.tokens !== undefined && (!Array.isArray(chain.tokens) || chain.tokens.some(token => !/^0x[0-9a-fA-F]{40}$/.test(token?.address || '')))) {
+    throw new Error(`${where}: tokens must be a list of { symbol, address }`);
+  }
+  if (chain.priorityFee !== undefined && (typeof chain.priorityFee !== 'object'
+    || ['min', 'default'].some(key => chain.priorityFee[key] !== undefined && !/^\d+(\.\d+)?$/.test(chain.priorityFee[key])))) {
+    throw new Error(`${where}: priorityFee must be { min, default } in gwei, as decimal strings`);
+  }
+  if (chain.feeModel !== undefined && !FEE_MODELS.includes(chain.feeModel)) {
+    throw new Error(`${where}: feeModel must be one of: ${FEE_MODELS.join(', ')}`);
+  }
+
+  return chain;
+}
+
+/**
+ * Read user chain entries from ~/.evm-wallet/chains.json
+ * @returns {Object} User entries by chain name (may be partial overrides of built-ins)
+ */
+export function getUserChains() {
+  if (!existsSync(CHAINS_PATH)) {
+    return {};
+  }
+
+  try {
+    const userChains = JSON.parse(readFileSync(CHAINS_PATH, 'utf8'));
+    if (typeof userChains !== 'object' || Array.isArray(userChains)) {
+      throw new Error('expected an object keyed by chain name');
+    }
+    return userChains;
+  } catch (error) {
+    throw new Error(`Invalid chains config ${CHAINS_PATH}: ${error.message}`);
+  }
+}
+
+/**
+ * Built-in chains with user entries merged over them
+ * A user entry for a built-in name overrides only the fields it sets (e.g. just "rpcs")
+ * @returns {Object} Chain configurations by name
+ */
+export function getChains() {
+  if (mergedChains) {
+    return mergedChains;
+  }
+
+  const merged = { ...chains };
+  for (const [name, entry] of Object.entries(getUserChains())) {
+    const chain = chains[name] ? { ...chains[name], ...entry } : entry;
+    try {
+      merged[name] = validateChain(name, chain);
+    } catch (error) {
+      throw new Error(`Invalid chains config ${CHAINS_PATH}: ${error.message}`);
+    }
+  }
+
+  // Local node / fork targeting: --rpc-url or EVM_WALLET_RPC_<CHAIN> replace the configured RPCs
+  // (ws:// URLs in the list replace the WebSocket endpoints; without any, subscriptions poll)
+  for (const name of Object.keys(merged)) {
+    const override = rpcOverrides[name] ?? process.env[getRpcEnvVar(name)];
+    if (override) {
+      const urls = override.split(',').map(url => url.trim()).filter(Boolean);
+      const wss = urls.filter(url => /^wss?:\/\//.test(url));
+      const rpcs = urls.filter(url => !wss.includes(url));
+      rpcs.forEach(rpc => validateRpc(rpc, `RPC override for "${name}"`));
+      if (rpcs.length === 0) {
+        throw new Error(`RPC override for "${name}" needs at least one http(s) URL`);
+      }
+      merged[name] = { ...merged[name], rpcs, wss };
+    }
+  }
+
+  mergedChains = merged;
+  return merged;
+}
+
+/**
+ * Environment variable that overrides a chain's RPCs, e.g. EVM_WALLET_RPC_BASE_SEPOLIA
+ * @param {string} chainName - Chain name
+ * @returns {string} Variable name
+ */
+export function getRpcEnvVar(chainName) {
+  return `EVM_WALLET_RPC_${chainName.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * Point a chain at other RPC endpoints for the rest of this process (--rpc-url)
+ * Takes precedence over EVM_WALLET_RPC_<CHAIN> and chains.json; nothing is saved.
+ * @param {string} chainName - Chain name
+ * @param {string} url - RPC URL (comma-separate several for failover)
+ */
+export function setRpcOverride(chainName, url) {
+  rpcOverrides[chainName] = url;
+  mergedChains = null;
+}
+
+/**
+ * Whether a chain's RPCs come from --rpc-url or EVM_WALLET_RPC_<CHAIN> instead of the config
+ * @param {string} chainName - Chain name
+ * @returns {boolean} True if overridden
+ */
+export function hasRpcOverride(chainName) {
+  return Boolean(rpcOverrides[chainName] ?? process.env[getRpcEnvVar(chainName)]);
+}
+
+/**
+ * Whether a URL points at this machine or a private network: loopback, RFC 1918 and
+ * IPv6 unique local addresses, localhost and single-label host names (e.g. a compose service)
+ * @param {string} url - RPC URL
+ * @returns {boolean} True for local hosts
+ */
+function isLocalUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch {
+    return false;
+  }
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname === '::1') {
+    return true;
+  }
+  const ipv4 = hostname.match(/^(\d+)\.(\d+)\.\d+\.\d+$/);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    return a === 127 || a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+  }
+  if (hostname.includes(':')) {
+    return /^f[cd][0-9a-f]{0,2}:/.test(hostname);
+  }
+  return !hostname.includes('.');
+}
+
+/**
+ * Whether a chain's RPCs are overridden with local or private-network endpoints only
+ * (a local node or fork, as opposed to a public RPC given with --rpc-url)
+ * @param {string} chainName - Chain name
+ * @returns {boolean} True if every override URL is local
+ */
+export function hasLocalRpcOverride(chainName) {
+  const override = rpcOverrides[chainName] ?? process.env[getRpcEnvVar(chainName)];
+  if (!override) {
+    return false;
+  }
+  const urls = override.split(',').map(url => url.trim()).filter(Boolean);
+  return urls.length > 0 && urls.every(isLocalUrl);
+}
+
 /**
- * Get chain config by name
- * @param {string} chainName - Chain name (e.g., "base", "ethereum")
+ * Save user chain entries and drop the cached merge
+ * @param {Object} userChains - User entries by chain name
+ */
+function saveUserChains(userChains) {
+  mkdirSync(dirname(CHAINS_PATH), { recursive: true, mode: 0o700 });
+  // Headers may carry API keys, so keep the file private like wallet files
+  writeFileSync(CHAINS_PATH, JSON.stringify(userChains, null, 2), { mode: 0o600 });
+  mergedChains = null;
+}
+
+/**
+ * Add or replace a user chain entry
+ * @param {string} name - Chain name
+ * @param {Object} entry - Full chain config, or partial override for a built-in chain
+ * @returns {Object} Merged chain configuration
+ */
+export function setUserChain(name, entry) {
+  const key = name.toLowerCase();
+  const chain = validateChain(key, chains[key] ? { ...chains[key], ...entry } : entry);
+
+  const userChains = getUserChains();
+  userChains[key] = entry;
+  saveUserChains(userChains);
+  return chain;
+}
+
+/**
+ * Remove a user chain entry (built-in chains fall back to their defaults)
+ * @param {string} name - Chain name
+ */
+export function removeUserChain(name) {
+  const key = name.toLowerCase();
+  const userChains = getUserChains();
+  if (!userChains[key]) {
+    throw new Error(chains[key]
+      ? `"${key}" is a built-in chain without user overrides`
+      : `No user chain named "${key}"`);
+  }
+
+  delete userChains[key];
+  saveUserChains(userChains);
+}
+
+/**
+ * Resolve an RPC entry to a URL and headers, filling ${ENV_VAR} placeholders
+ * Keeps API keys out of chains.json: "https://eth.example.com/${EXAMPLE_KEY}"
+ * @param {string|Object} rpc - RPC URL or { url, headers }
+ * @returns {{url: string, headers: Object}} Resolved endpoint
+ */
+export function resolveRpc(rpc) {
+  const fill = value => value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, variable) => {
+    if (process.env[variable] === undefined) {
+      throw new Error(`RPC endpoint needs environment variable ${variable}`);
+    }
+    return process.env[variable];
+  });
+
+  if (typeof rpc === 'string') {
+    return { url: fill(rpc), headers: {} };
+  }
+
+  return {
+    url: fill(rpc.url),
+    headers: Object.fromEntries(Object.entries(rpc.headers || {}).map(([name, value]) => [name, fill(value)]))
+  };
+}
+
+/**
+ * Get chain config by name or chain ID
+ * @param {string|number} chainName - Chain name (e.g., "base", "ethereum") or chain ID (e.g., 8453)
  * @returns {Object} Chain configuration
  */
 export function getChain(chainName) {
-  const chain = chains[chainName.toLowerCase()];
+  const all = getChains();
+  const key = String(chainName).toLowerCase();
+
+  const chain = /^\d+$/.test(key)
+    ? Object.values(all).find(candidate => candidate.chainId === Number(key))
+    : all[key];
+
   if (!chain) {
-    throw new Error(`Unsupported chain: ${chainName}. Supported chains: ${Object.keys(chains).join(', ')}`);
+    throw new Error(`Unsupported chain: ${chainName}. Supported chains: ${Object.keys(all).join(', ')}`);
   }
   return chain;
 }
@@ -134,7 +619,68 @@ export function getChain(chainName) {
  * @returns {string[]} Array of chain names
  */
 export function getSupportedChains() {
-  return Object.keys(chains);
+  return Object.keys(getChains());
+}
+
+/**
+ * Get the chain names of one network, for commands that cover "all chains"
+ * @param {string} [network] - "mainnet" (default) or "testnet"
+ * @returns {string[]} Array of chain names
+ */
+export function getNetworkChains(network = 'mainnet') {
+  return Object.entries(getChains())
+    .filter(([, chain]) => Boolean(chain.testnet) === (network === 'testnet'))
+    .map(([name]) => name);
+}
+
+/**
+ * Check whether a chain is a testnet
+ * @param {string} chainName - Chain name
+ * @returns {boolean}
+ */
+export function isTestnet(chainName) {
+  return Boolean(getChain(chainName).testnet);
+}
+
+/**
+ * Map a chain name onto the selected network
+ * With "testnet", base becomes base-sepolia; with "mainnet", base-sepolia becomes base.
+ * Without a network the name is used as given.
+ * @param {string} chainName - Chain name or chain ID
+ * @param {string|null} network - "mainnet", "testnet" or null
+ * @returns {string} Chain name on that network
+ */
+export function resolveChainName(chainName, network = null) {
+  const all = getChains();
+  const chain = getChain(chainName);
+  const name = Object.keys(all).find(key => all[key] === chain);
+
+  if (!network || Boolean(chain.testnet) === (network === 'testnet')) {
+    return name;
+  }
+
+  if (network === 'mainnet') {
+    if (!chain.mainnet || !all[chain.mainnet]) {
+      throw new Error(`${name} is a testnet without a mainnet counterpart`);
+    }
+    return chain.mainnet;
+  }
+
+  const testnet = Object.keys(all).find(key => all[key].testnet && all[key].mainnet === name);
+  if (!testnet) {
+    throw new Error(`No testnet for ${name}. Testnets: ${getNetworkChains('testnet').join(', ')}`);
+  }
+  return testnet;
+}
+
+/**
+ * Chain display name, with a badge for testnets
+ * @param {string} chainName - Chain name
+ * @returns {string} e.g. "Base" or "Base Sepolia 🧪 TESTNET"
+ */
+export function getChainLabel(chainName) {
+  const chain = getChain(chainName);
+  return chain.testnet ? `${chain.name} 🧪 TESTNET` : chain.name;
 }
 
 /**
@@ -0,0 +1,95 @@
+/**
+ * Local gas price samples, kept in ~/.evm-wallet/gas-history.json for "cheapest hour" statistics
+ * Each `gas.js --record` run adds one sample per chain: the price per gas a transaction would
+ * likely pay at the default speed. Samples older than the retention window are dropped on write.
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { withLock } from './lock.js';
+import { GAS_HISTORY_PATH } from './paths.js';
+
+const HISTORY_VERSION = 1;
+
+// How long samples are kept
+const RETENTION_MS = 30 * 24 * 60 * 60_000;
+
+const LOCK_PATH = `${GAS_HISTORY_PATH}.lock`;
+
+function readHistoryFile() {
+  if (!existsSync(GAS_HISTORY_PATH)) {
+    return [];
+  }
+  try {
+    const data = JSON.parse(readFileSync(GAS_HISTORY_PATH, 'utf8'));
+    return data.version === HISTORY_VERSION ? data.samples || [] : [];
+  } catch {
+    // Samples are only statistics; a corrupt file starts over
+    return [];
+  }
+}
+
+/**
+ * Append samples, dropping those past the retention window
+ * @param {Array<{chain: string, price: bigint}>} samples - One per chain
+ * @param {number} [at] - Sample time (default: now)
+ */
+export function recordGasSamples(samples, at = Date.now()) {
+  mkdirSync(dirname(GAS_HISTORY_PATH), { recursive: true, mode: 0o700 });
+  withLock(LOCK_PATH, () => {
+    const kept = readHistoryFile().filter(sample => at - sample.at < RETENTION_MS);
+    for (const { chain, price } of samples) {
+      kept.push({ chain, at, price: price.toString() });
+    }
+    const tmpPath = `${GAS_HISTORY_PATH}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ version: HISTORY_VERSION, samples: kept }), { mode: 0o600 });
+    renameSync(tmpPath, GAS_HISTORY_PATH);
+  });
+}
+
+/**
+ * Summarize samples by hour of day (UTC)
+ * Hours are compared by their average price per gas; hours without samples are left out.
+ * @param {string[]} chainNames - Chains to summarize
+ * @param {Object} [options]
+ * @param {number} [options.days] - Only samples from the last N days (default: all kept)
+ * @returns {Object} By chain: { samples, from, to, averagePrice, cheapestHour, priciestHour, hours } or null without samples
+ */
+export function summarizeGasHistory(chainNames, options = {}) {
+  const { days = null } = options;
+  const since = days === null ? 0 : Date.now() - days * 24 * 60 * 60_000;
+  const samples = readHistoryFile().filter(sample => sample.at >= since);
+
+  const summary = {};
+  for (const chainName of chainNames) {
+    const chainSamples = samples.filter(sample => sample.chain === chainName);
+    if (chainSamples.length === 0) {
+      summary[chainName] = null;
+      continue;
+    }
+
+    const byHour = new Map();
+    for (const sample of chainSamples) {
+      const hour = new Date(sample.at).getUTCHours();
+      const bucket = byHour.get(hour) || { total: 0n, count: 0 };
+      bucket.total += BigInt(sample.price);
+      bucket.count++;
+      byHour.set(hour, bucket);
+    }
+    const hours = [...byHour.entries()]
+      .map(([hour, { total, count }]) => ({ hour, samples: count, averagePrice: total / BigInt(count) }))
+      .sort((a, b) => a.hour - b.hour);
+    const ranked = [...hours].sort((a, b) => (a.averagePrice < b.averagePrice ? -1 : a.averagePrice > b.averagePrice ? 1 : 0));
+
+    summary[chainName] = {
+      samples: chainSamples.length,
+      from: Math.min(...chainSamples.map(sample => sample.at)),
+      to: Math.max(...chainSamples.map(sample => sample.at)),
+      averagePrice: chainSamples.reduce((total, sample) => total + BigInt(sample.price), 0n) / BigInt(chainSamples.length),
+      cheapestHour: ranked[0],
+      priciestHour: ranked.at(-1),
+      hours
+    };
+  }
+  return summary;
+}
@@ -1,50 +1,216 @@
 /**
  * Smart EIP-1559 Gas Estimation
- * Calculates optimal gas parameters for transactions
+ * Calculates optimal gas parameters for transactions from eth_feeHistory
+ * Chains without a base fee (legacy fee model) are priced with eth_gasPrice instead.
  */
 
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { parseAbi, parseGwei, serializeTransaction, encodeFunctionData, keccak256, toHex, concat, formatGwei as formatGweiExact } from 'viem';
 import { createPublicClientWithRetry } from './rpc.js';
+import { getChain, getSupportedChains, hasRpcOverride } from './chains.js';
+import { withLock } from './lock.js';
+import { FEE_CACHE_PATH } from './paths.js';
+
+// eth_feeHistory window and the reward percentiles requested for it
+const FEE_HISTORY_BLOCKS = 20;
+export const REWARD_PERCENTILES = [10, 25, 50, 75, 90, 95];
+
+/**
+ * Speed presets (--gas): the reward percentile the tip is sampled at, the multiple of the
+ * projected base fee the max fee allows, and on legacy chains the premium over eth_gasPrice (%)
+ */
+export const GAS_PRESETS = {
+  slow: { priorityFeePercentile: 25, safetyMargin: 1.5, gasPricePremium: 0 },
+  standard: { priorityFeePercentile: 75, safetyMargin: 2, gasPricePremium: 0 },
+  fast: { priorityFeePercentile: 90, safetyMargin: 2.5, gasPricePremium: 10 },
+  urgent: { priorityFeePercentile: 95, safetyMargin: 3, gasPricePremium: 25 }
+};
+export const DEFAULT_GAS_PRESET = 'standard';
+
+/**
+ * Representative transactions for comparing chains: gas used, and calldata (which sets the
+ * L1 data fee on rollups). A swap is a typical single-hop aggregator route.
+ */
+const TYPICAL_TRANSFER_DATA = encodeFunctionData({
+  abi: parseAbi(['function transfer(address to, uint256 amount) returns (bool)']),
+  functionName: 'transfer',
+  args: ['0x000000000000000000000000000000000000dEaD', 1_000_000n]
+});
+export const TYPICAL_OPERATIONS = {
+  nativeTransfer: { label: 'Native transfer', gas: 21_000n, data: '0x' },
+  erc20Transfer: { label: 'ERC20 transfer', gas: 65_000n, data: TYPICAL_TRANSFER_DATA },
+  swap: { label: 'Swap', gas: 180_000n, data: filler(600) }
+};
+
+/**
+ * Deterministic, incompressible calldata of a given size
+ */
+function filler(bytes) {
+  const words = Array.from({ length: Math.ceil(bytes / 32) }, (_, i) => keccak256(toHex(i)));
+  return concat(words).slice(0, 2 + bytes * 2);
+}
+
+// How long a fee history is reused, in this process and by other runs
+const FEE_CACHE_TTL_MS = 15_000;
+
+// Base fee trend: measured over the last blocks, extended over the next ones
+const BASE_FEE_TREND_BLOCKS = 5;
+const BASE_FEE_PROJECTION_BLOCKS = 3;
+
+/**
+ * Fee histories fetched by this process, by chain
+ */
+const feeHistories = new Map();
+
+/**
+ * Probed fee models, by chain
+ */
+const feeModels = new Map();
+
+/**
+ * Get a chain's fee model: `feeModel` from its config, else probed once per run
+ * A chain whose latest block has no baseFeePerGas is legacy.
+ * @param {string} chainName - Chain name
+ * @param {Object} [client] - Viem public client
+ * @returns {Promise<string>} "eip1559" or "legacy"
+ */
+export async function getFeeModel(chainName, client = createPublicClientWithRetry(chainName)) {
+  const { feeModel } = getChain(chainName);
+  if (feeModel) {
+    return feeModel;
+  }
+  
+  if (!feeModels.has(chainName)) {
+    feeModels.set(chainName, client.getBlock({ blockTag: 'latest' }).then(
+      block => (typeof block.baseFeePerGas === 'bigint' ? 'eip1559' : 'legacy'),
+      error => {
+        feeModels.delete(chainName);
+        throw error;
+      }
+    ));
+  }
+  return feeModels.get(chainName);
+}
 
 /**
- * Get smart gas estimation for EIP-1559 transaction
+ * OP Stack GasPriceOracle predeploy (same address on every OP Stack chain)
+ */
+const OP_GAS_PRICE_ORACLE = '0x420000000000000000000000000000000000000F';
+const OP_GAS_PRICE_ORACLE_ABI = parseAbi([
+  'function getL1Fee(bytes _data) view returns (uint256)'
+]);
+
+/**
+ * Arbitrum NodeInterface (virtual contract, answers eth_call only)
+ */
+const ARBITRUM_NODE_INTERFACE = '0x00000000000000000000000000000000000000C8';
+const ARBITRUM_NODE_INTERFACE_ABI = parseAbi([
+  'function gasEstimateComponents(address to, bool contractCreation, bytes data) payable returns (uint64 gasEstimate, uint64 gasEstimateForL1, uint256 baseFee, uint256 l1BaseFeeEstimate)'
+]);
+
+/**
+ * Get smart gas estimation for the chain's fee model
+ * EIP-1559: the tip is a reward percentile from eth_feeHistory over the last blocks (median
+ * across non-empty blocks), kept within the chain's priorityFee bounds. The max fee covers the
+ * base fee projected a few blocks ahead from its recent trend, times the safety margin.
+ * Legacy: the node's eth_gasPrice plus the preset's premium, paid in full (nothing is refunded).
+ * Explicit maxFeePerGas / maxPriorityFeePerGas replace the estimated values (on legacy chains
+ * maxFeePerGas is the gas price); without an explicit max fee, the max fee still covers the tip.
+ * Pass the result to getFeeParams() for the transaction fields; `gasPrice` is the highest price
+ * per gas in either model.
  * @param {string} chainName - Chain name
  * @param {Object} [options] - Gas estimation options
- * @param {number} [options.safetyMargin] - Safety margin multiplier (default: 2)
- * @param {number} [options.priorityFeePercentile] - Priority fee percentile from recent blocks (default: 75)
- * @returns {Object} Gas parameters
+ * @param {string} [options.preset] - Speed preset, a key of GAS_PRESETS (default: "standard")
+ * @param {number} [options.safetyMargin] - Safety margin multiplier, at least 1 (default: from the preset)
+ * @param {number} [options.priorityFeePercentile] - Reward percentile of recent blocks, one of REWARD_PERCENTILES (default: from the preset)
+ * @param {bigint|null} [options.maxFeePerGas] - Max fee (gas price on legacy chains) in wei, instead of the estimate
+ * @param {bigint|null} [options.maxPriorityFeePerGas] - Tip in wei, instead of the estimate
+ * @returns {Object} Gas parameters, with `type` "eip1559" or "legacy" and the `preset` used
  */
 export async function estimateGas(chainName, options = {}) {
+  const { preset = DEFAULT_GAS_PRESET } = options;
+  if (!Object.hasOwn(GAS_PRESETS, preset)) {
+    throw new Error(`Invalid gas preset "${preset}". Use one of: ${Object.keys(GAS_PRESETS).join(', ')}`);
+  }
   const {
-    safetyMargin = 2,
-    priorityFeePercentile = 75
+    safetyMargin = GAS_PRESETS[preset].safetyMargin,
+    priorityFeePercentile = GAS_PRESETS[preset].priorityFeePercentile,
+    maxFeePerGas: manualMaxFee = null,
+    maxPriorityFeePerGas: manualTip = null
   } = options;
   
+  if (!REWARD_PERCENTILES.includes(priorityFeePercentile)) {
+    throw new Error(`Invalid priority fee percentile ${priorityFeePercentile}. Use one of: ${REWARD_PERCENTILES.join(', ')}`);
+  }
+  if (!(safetyMargin >= 1)) {
+    throw new Error(`Invalid safety margin ${safetyMargin}. Use a multiplier of at least 1`);
+  }
+  
   const client = createPublicClientWithRetry(chainName);
   
   try {
-    // Get latest block
-    const latestBlock = await client.getBlock({ blockTag: 'latest' });
-    const baseFeePerGas = latestBlock.baseFeePerGas;
+    if (await getFeeModel(chainName, client) === 'legacy') {
+      if (manualTip !== null) {
+        throw new Error(`${chainName} uses legacy gas pricing, which has no priority fee. Set the gas price with --max-fee instead`);
+      }
+      const gasPrice = manualMaxFee ?? await client.getGasPrice()
+        .then(price => price * BigInt(100 + GAS_PRESETS[preset].gasPricePremium) / 100n);
+      return {
+        type: 'legacy',
+        preset,
+        gasPrice,
+        estimatedCostGwei: formatGwei(gasPrice),
+        gasPriceGwei: formatGwei(gasPrice)
+      };
+    }
     
-    if (!baseFeePerGas) {
-      throw new Error('Chain does not support EIP-1559 (no base fee found)');
+    const history = await getFeeHistory(chainName, client);
+    
+    let baseFeePerGas, projectedBaseFeePerGas, maxPriorityFeePerGas;
+    if (history) {
+      // The last entry is the base fee of the next block
+      baseFeePerGas = history.baseFeePerGas.at(-1);
+      projectedBaseFeePerGas = projectBaseFee(history.baseFeePerGas);
+      maxPriorityFeePerGas = samplePriorityFee(history, REWARD_PERCENTILES.indexOf(priorityFeePercentile));
+    } else {
+      const latestBlock = await client.getBlock({ blockTag: 'latest' });
+      baseFeePerGas = latestBlock.baseFeePerGas;
+      projectedBaseFeePerGas = baseFeePerGas;
+      maxPriorityFeePerGas = null;
     }
     
-    // Estimate priority fee from recent blocks
-    const maxPriorityFeePerGas = await estimateMaxPriorityFeePerGas(
-      client, 
-      priorityFeePercentile
-    );
+    if (typeof baseFeePerGas !== 'bigint') {
+      throw new Error(`No base fee found. If the chain uses legacy gas pricing, set it with: node src/chains.js add ${chainName} --fee-model legacy`);
+    }
     
-    // Calculate max fee with safety margin
-    // maxFeePerGas = safetyMargin * baseFee + maxPriorityFee
-    const maxFeePerGas = baseFeePerGas * BigInt(safetyMargin) + maxPriorityFeePerGas;
+    if (manualMaxFee !== null && manualMaxFee < baseFeePerGas) {
+      throw new Error(`Max fee ${formatGwei(manualMaxFee)} gwei is below the current base fee of ${formatGwei(baseFeePerGas)} gwei`);
+    }
+    
+    maxPriorityFeePerGas = manualTip ?? await boundPriorityFee(chainName, client, maxPriorityFeePerGas);
+    
+    // Calculate max fee with safety margin (in hundredths, for fractional margins)
+    // maxFeePerGas = safetyMargin * projected base fee + maxPriorityFee
+    const maxFeePerGas = manualMaxFee
+      ?? projectedBaseFeePerGas * BigInt(Math.round(safetyMargin * 100)) / 100n + maxPriorityFeePerGas;
+    
+    if (maxPriorityFeePerGas > maxFeePerGas) {
+      if (manualTip !== null) {
+        throw new Error(`Priority fee ${formatGwei(manualTip)} gwei is above the max fee of ${formatGwei(maxFeePerGas)} gwei`);
+      }
+      // An explicit max fee below the estimated tip caps the tip
+      maxPriorityFeePerGas = maxFeePerGas;
+    }
     
     return {
+      type: 'eip1559',
+      preset,
       maxFeePerGas,
       maxPriorityFeePerGas,
       baseFeePerGas,
-      gasPrice: maxFeePerGas, // For legacy compatibility
+      projectedBaseFeePerGas,
+      gasPrice: maxFeePerGas, // Highest price per gas, as in the legacy model
       estimatedCostGwei: formatGwei(maxFeePerGas),
       baseFeeGwei: formatGwei(baseFeePerGas),
       priorityFeeGwei: formatGwei(maxPriorityFeePerGas)
@@ -55,68 +221,203 @@ export async function estimateGas(chainName, options = {}) {
 }
 
 /**
- * Estimate max priority fee per gas from recent blocks
+ * Transaction fee fields for a gas estimate
+ * Legacy chains get gasPrice (type 0, or type 1 when the request carries an accessList),
+ * EIP-1559 chains maxFeePerGas and maxPriorityFeePerGas.
+ * @param {Object} gas - Result of estimateGas
+ * @returns {Object} Fee fields for sendTransaction
+ */
+export function getFeeParams(gas) {
+  if (gas.type === 'legacy') {
+    return { gasPrice: gas.gasPrice };
+  }
+  return {
+    maxFeePerGas: gas.maxFeePerGas,
+    maxPriorityFeePerGas: gas.maxPriorityFeePerGas
+  };
+}
+
+/**
+ * Gas lines for a confirmation prompt: speed, gas limit (when set) and fees, marking explicit values
+ * @param {Object} gas - Result of estimateGas
+ * @param {Object} [gasOptions] - Options from takeGasOptions (what was set by hand)
+ * @param {Object} [options]
+ * @param {number} [options.labelWidth] - Pad labels (with their colon) to this width, to align with other lines
+ * @returns {string[]} Lines, unindented
+ */
+export function describeGas(gas, gasOptions = {}, options = {}) {
+  const { labelWidth = 0 } = options;
+  const line = (label, value, manual) =>
+    `${`${label}:`.padEnd(labelWidth)} ${value}${manual !== null && manual !== undefined ? ' (manual)' : ''}`;
+  
+  const lines = [line('Speed', gas.preset)];
+  if (gas.gasLimit !== undefined) {
+    lines.push(line('Gas Limit', gas.gasLimit.toLocaleString(), gasOptions.gasLimit));
+  }
+  if (gas.type === 'legacy') {
+    lines.push(line('Gas Price', `${formatGwei(gas.gasPrice)} gwei`, gasOptions.maxFeePerGas));
+  } else {
+    lines.push(line('Max Fee', `${formatGwei(gas.maxFeePerGas)} gwei`, gasOptions.maxFeePerGas));
+    lines.push(line('Priority Fee', `${formatGwei(gas.maxPriorityFeePerGas)} gwei`, gasOptions.maxPriorityFeePerGas));
+  }
+  return lines;
+}
+
+/**
+ * Fee fields of a gas estimate for JSON output
+ * @param {Object} gas - Result of estimateGas
+ * @returns {Object} Fee fields as strings
+ */
+export function formatFeeParams(gas) {
+  return Object.fromEntries(Object.entries(getFeeParams(gas)).map(([key, value]) => [key, value.toString()]));
+}
+
+/**
+ * Recent fee history of a chain, from the cache while it is fresh
+ * Concurrent callers in one process share a single request; other processes reuse the
+ * result through FEE_CACHE_PATH. Local nodes and forks (RPC override) are never cached, and
+ * neither are failures, so the next caller asks the RPCs again.
+ * @param {string} chainName - Chain name
  * @param {Object} client - Viem public client
- * @param {number} percentile - Percentile to use (0-100)
- * @returns {bigint} Max priority fee per gas
+ * @returns {Promise<Object|null>} { baseFeePerGas, gasUsedRatio, reward } or null when the RPCs lack eth_feeHistory
  */
-async function estimateMaxPriorityFeePerGas(client, percentile = 75) {
-  try {
-    // Get last 20 blocks to analyze priority fees
-    const latestBlockNumber = await client.getBlockNumber();
-    const blocksToAnalyze = 20n;
-    const startBlock = latestBlockNumber - blocksToAnalyze + 1n;
-    
-    const priorityFees = [];
-    
-    // Analyze recent blocks
-    for (let i = 0; i < 10; i++) { // Limit to 10 blocks for performance
-      const blockNumber = startBlock + BigInt(i * 2); // Sample every other block
-      
-      try {
-        const block = await client.getBlock({
-          blockNumber,
-          includeTransactions: true
-        });
-        
-        if (block.transactions?.length > 0) {
-          // Calculate priority fees for transactions in this block
-          for (const tx of block.transactions.slice(0, 10)) { // Sample first 10 txs
-            if (tx.maxPriorityFeePerGas && tx.maxFeePerGas) {
-              priorityFees.push(tx.maxPriorityFeePerGas);
-            }
-          }
+function getFeeHistory(chainName, client) {
+  const cached = feeHistories.get(chainName);
+  if (cached && Date.now() - cached.fetchedAt < FEE_CACHE_TTL_MS) {
+    return cached.history;
+  }
+  
+  const shareable = !hasRpcOverride(chainName);
+  const shared = shareable ? readFeeCache()[chainName] : null;
+  let entry;
+  if (shared?.history && Date.now() - shared.fetchedAt < FEE_CACHE_TTL_MS && shared.percentiles?.join() === REWARD_PERCENTILES.join()) {
+    entry = { fetchedAt: shared.fetchedAt, history: Promise.resolve(decodeFeeHistory(shared.history)) };
+  } else {
+    const history = client.getFeeHistory({
+      blockCount: FEE_HISTORY_BLOCKS,
+      rewardPercentiles: REWARD_PERCENTILES
+    }).then(result => (result.reward?.length > 0 ? result : null), () => null).then(fetched => {
+      if (!fetched) {
+        if (feeHistories.get(chainName) === entry) {
+          feeHistories.delete(chainName);
         }
-      } catch (blockError) {
-        // Skip failed blocks
-        continue;
+      } else if (shareable) {
+        writeFeeCache(chainName, fetched);
       }
-    }
-    
-    if (priorityFees.length === 0) {
-      // Fallback to a reasonable default (2 gwei)
-      return BigInt(2_000_000_000);
-    }
-    
-    // Sort and get percentile
-    priorityFees.sort((a, b) => {
-      if (a < b) return -1;
-      if (a > b) return 1;
-      return 0;
+      return fetched;
     });
-    
-    const index = Math.floor((percentile / 100) * (priorityFees.length - 1));
-    const selectedFee = priorityFees[index];
-    
-    // Ensure minimum of 0.1 gwei
-    const minPriorityFee = BigInt(100_000_000); // 0.1 gwei
-    return selectedFee > minPriorityFee ? selectedFee : minPriorityFee;
-  } catch (error) {
-    // Fallback to reasonable default
-    return BigInt(2_000_000_000); // 2 gwei
+    entry = { fetchedAt: Date.now(), history };
+  }
+  
+  feeHistories.set(chainName, entry);
+  return entry.history;
+}
+
+function decodeFeeHistory(history) {
+  return history && {
+    baseFeePerGas: history.baseFeePerGas.map(BigInt),
+    gasUsedRatio: history.gasUsedRatio,
+    reward: history.reward.map(rewards => rewards.map(BigInt))
+  };
+}
+
+function readFeeCache() {
+  if (!existsSync(FEE_CACHE_PATH)) {
+    return {};
+  }
+  try {
+    return JSON.parse(readFileSync(FEE_CACHE_PATH, 'utf8'));
+  } catch {
+    // A cache only; a corrupt file is simply rewritten
+    return {};
+  }
+}
+
+function writeFeeCache(chainName, history) {
+  try {
+    mkdirSync(dirname(FEE_CACHE_PATH), { recursive: true, mode: 0o700 });
+    withLock(`${FEE_CACHE_PATH}.lock`, () => {
+      const cache = readFeeCache();
+      cache[chainName] = {
+        fetchedAt: Date.now(),
+        percentiles: REWARD_PERCENTILES,
+        history: {
+          baseFeePerGas: history.baseFeePerGas.map(String),
+          gasUsedRatio: history.gasUsedRatio,
+          reward: history.reward.map(rewards => rewards.map(String))
+        }
+      };
+      const tmpPath = `${FEE_CACHE_PATH}.${process.pid}.tmp`;
+      writeFileSync(tmpPath, JSON.stringify(cache), { mode: 0o600 });
+      renameSync(tmpPath, FEE_CACHE_PATH);
+    });
+  } catch {
+    // Never fail an estimate because the cache could not be saved
   }
 }
 
+/**
+ * Highest base fee expected over the next BASE_FEE_PROJECTION_BLOCKS blocks
+ * Extends the average per-block change of the last blocks (capped at the EIP-1559 limit of
+ * 12.5% per block); a falling base fee is not projected down.
+ * @param {bigint[]} baseFees - Base fees from eth_feeHistory, the next block's last
+ * @returns {bigint} Projected base fee
+ */
+function projectBaseFee(baseFees) {
+  const next = baseFees.at(-1);
+  const from = baseFees[Math.max(0, baseFees.length - 1 - BASE_FEE_TREND_BLOCKS)];
+  if (from === 0n || next <= from) {
+    return next;
+  }
+  
+  const blocks = Math.min(BASE_FEE_TREND_BLOCKS, baseFees.length - 1);
+  const perBlock = Math.min((Number(next) / Number(from)) ** (1 / blocks), 1.125);
+  const factor = BigInt(Math.ceil(perBlock ** BASE_FEE_PROJECTION_BLOCKS * 10_000));
+  return next * factor / 10_000n;
+}
+
+/**
+ * Median tip at one reward percentile across recent non-empty blocks
+ * @param {Object} history - Fee history
+ * @param {number} index - Index of the percentile in REWARD_PERCENTILES
+ * @returns {bigint|null} Tip in wei, or null when every block was empty
+ */
+function samplePriorityFee(history, index) {
+  const tips = history.reward
+    .filter((_, block) => history.gasUsedRatio[block] > 0)
+    .map(rewards => rewards[index])
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  
+  return tips.length > 0 ? tips[Math.floor((tips.length - 1) / 2)] : null;
+}
+
+/**
+ * Apply the chain's priorityFee bounds to a sampled tip
+ * Without a sample, the chain's default is used, else the node's eth_maxPriorityFeePerGas.
+ * @param {string} chainName - Chain name
+ * @param {Object} client - Viem public client
+ * @param {bigint|null} sampled - Tip from fee history
+ * @returns {Promise<bigint>} Tip in wei
+ */
+async function boundPriorityFee(chainName, client, sampled) {
+  const { priorityFee = {} } = getChain(chainName);
+  const min = priorityFee.min !== undefined ? parseGwei(priorityFee.min) : 0n;
+  
+  let tip = sampled;
+  if (tip === null && priorityFee.default !== undefined) {
+    tip = parseGwei(priorityFee.default);
+  }
+  if (tip === null) {
+    try {
+      tip = await client.request({ method: 'eth_maxPriorityFeePerGas' }).then(BigInt);
+    } catch {
+      throw new Error(`No fee history or priority fee suggestion from the RPCs. Set one with: node src/chains.js add ${chainName} --priority-fee <gwei>`);
+    }
+  }
+  
+  return tip > min ? tip : min;
+}
+
 /**
  * Estimate gas limit for a transaction
  * @param {Object} client - Viem public client
@@ -135,6 +436,130 @@ export async function estimateGasLimit(client, transaction) {
   }
 }
 
+/**
+ * Estimate the L1 data fee a rollup charges on top of L2 gas
+ * OP Stack chains bill it separately from gasLimit × gasPrice; on Arbitrum it is
+ * already folded into the gas estimate, so only OP Stack needs a separate reserve.
+ * @param {string} chainName - Chain name
+ * @param {Object} client - Viem public client
+ * @param {Object} transaction - Unsigned transaction fields (to, value, data, nonce, gas, getFeeParams() fields)
+ * @returns {Promise<bigint>} L1 data fee in wei (0n on chains without one)
+ */
+export async function estimateL1Fee(chainName, client, transaction) {
+  const chain = getChain(chainName);
+  if (chain.l1DataFee !== 'op-stack') {
+    return 0n;
+  }
+  
+  const serialized = serializeTransaction({
+    type: transaction.gasPrice !== undefined ? 'legacy' : 'eip1559',
+    chainId: chain.chainId,
+    ...transaction
+  });
+  
+  try {
+    return await client.readContract({
+      address: OP_GAS_PRICE_ORACLE,
+      abi: OP_GAS_PRICE_ORACLE_ABI,
+      functionName: 'getL1Fee',
+      args: [serialized]
+    });
+  } catch (error) {
+    throw new Error(`Failed to estimate L1 data fee: ${error.message}`);
+  }
+}
+
+/**
+ * Estimate what a transaction costs at most: L2 execution plus the L1 data fee
+ * OP Stack: gasLimit × gasPrice, plus getL1Fee from the GasPriceOracle.
+ * Arbitrum: gasLimit × gasPrice, of which the L1 data share is the gas NodeInterface's
+ * gasEstimateComponents attributes to L1 (eth_estimateGas already includes it).
+ * @param {string} chainName - Chain name
+ * @param {Object} client - Viem public client
+ * @param {Object} transaction - account, to, value, data, nonce, and gas (the gas limit)
+ * @param {Object} gas - Result of estimateGas
+ * @returns {Promise<{l2Fee: bigint, l1Fee: bigint, total: bigint}>} Fees in wei
+ */
+export async function estimateTransactionFee(chainName, client, transaction, gas) {
+  const { account, ...fields } = transaction;
+  const maxFee = fields.gas * gas.gasPrice;
+  
+  if (getChain(chainName).l1DataFee === 'arbitrum') {
+    const l1Gas = await estimateArbitrumL1Gas(client, transaction);
+    // A hand-set gas limit may not leave room for it; the limit caps what is paid
+    const l1Fee = (l1Gas < fields.gas ? l1Gas : fields.gas) * gas.gasPrice;
+    return { l2Fee: maxFee - l1Fee, l1Fee, total: maxFee };
+  }
+  
+  const l1Fee = await estimateL1Fee(chainName, client, { ...fields, ...getFeeParams(gas) });
+  return { l2Fee: maxFee, l1Fee, total: maxFee + l1Fee };
+}
+
+/**
+ * Gas Arbitrum charges for posting a transaction's data to L1, from NodeInterface
+ * @param {Object} client - Viem public client
+ * @param {Object} transaction - account, to, value, data
+ * @returns {Promise<bigint>} L1 share of the gas estimate
+ */
+async function estimateArbitrumL1Gas(client, transaction) {
+  try {
+    const { result } = await client.simulateContract({
+      address: ARBITRUM_NODE_INTERFACE,
+      abi: ARBITRUM_NODE_INTERFACE_ABI,
+      functionName: 'gasEstimateComponents',
+      args: [transaction.to, false, transaction.data ?? '0x'],
+      value: transaction.value,
+      account: transaction.account
+    });
+    return result[1];
+  } catch (error) {
+    throw new Error(`Failed to estimate L1 data fee: ${error.message}`);
+  }
+}
+
+/**
+ * Price per gas a transaction is likely to pay: base fee + tip (within the max fee), or the legacy gas price
+ * @param {Object} gas - Result of estimateGas
+ * @returns {bigint} Price in wei
+ */
+export function getExpectedGasPrice(gas) {
+  if (gas.type === 'legacy') {
+    return gas.gasPrice;
+  }
+  const price = gas.baseFeePerGas + gas.maxPriorityFeePerGas;
+  return price < gas.maxFeePerGas ? price : gas.maxFeePerGas;
+}
+
+/**
+ * Expected cost of a typical operation at a gas estimate
+ * Priced at what is likely paid (base fee + tip, or the legacy gas price) rather than the max
+ * fee, plus the L1 data fee on rollups.
+ * @param {string} chainName - Chain name
+ * @param {Object} client - Viem public client
+ * @param {Object} operation - An entry of TYPICAL_OPERATIONS
+ * @param {Object} gas - Result of estimateGas
+ * @returns {Promise<bigint>} Cost in wei
+ */
+export async function estimateOperationCost(chainName, client, operation, gas) {
+  const price = getExpectedGasPrice(gas);
+  const transaction = { to: '0x000000000000000000000000000000000000dEaD', data: operation.data, value: 0n };
+  
+  switch (getChain(chainName).l1DataFee) {
+    case 'arbitrum':
+      // Arbitrum adds the L1 share to the gas used
+      return (operation.gas + await estimateArbitrumL1Gas(client, transaction)) * price;
+    case 'op-stack':
+      return operation.gas * price + await estimateL1Fee(chainName, client, {
+        ...transaction,
+        nonce: 0,
+        gas: operation.gas,
+        ...getFeeParams(gas)
+      });
+    default:
+      return operation.gas * price;
+  }
+}
+
 /**
  * Format gas price to human-readable gwei
  * @param {bigint} gasPrice - Gas price in wei
@@ -142,25 +567,18 @@ export async function estimateGasLimit(client, transaction) {
  */
 export function formatGwei(gasPrice) {
   const gwei = Number(gasPrice) / 1_000_000_000;
-  return gwei.toFixed(2);
-}
-
-/**
- * Parse gwei to wei
- * @param {number|string} gwei - Gas price in gwei
- * @returns {bigint} Gas price in wei
- */
-export function parseGwei(gwei) {
-  return BigInt(Math.floor(Number(gwei) * 1_000_000_000));
+  // Sub-cent prices (L2 tips) would round to 0.00
+  return gwei > 0 && gwei < 0.01 ? formatGweiExact(gasPrice) : gwei.toFixed(2);
 }
 
 /**
  * Get current gas prices for all supported chains
+ * Each chain gets an estimate per speed preset (one fee history fetch serves them all) and the
+ * expected cost of each TYPICAL_OPERATIONS entry at the default preset.
  * @param {string[]} [chainNames] - Specific chains to check, or all if not provided
- * @returns {Object} Gas prices by chain
+ * @returns {Object} By chain: { success, ...default preset estimate, presets, costs } or { success: false, error }
  */
 export async function getCurrentGasPrices(chainNames = null) {
-  const { getSupportedChains } = await import('./chains.js');
   const chains = chainNames || getSupportedChains();
   
   const results = {};
@@ -168,10 +586,20 @@ export async function getCurrentGasPrices(chainNames = null) {
   await Promise.allSettled(
     chains.map(async (chainName) => {
       try {
-        const gasInfo = await estimateGas(chainName);
+        const client = createPublicClientWithRetry(chainName);
+        const presets = {};
+        for (const preset of Object.keys(GAS_PRESETS)) {
+          presets[preset] = await estimateGas(chainName, { preset });
+        }
+        const costs = {};
+        for (const [name, operation] of Object.entries(TYPICAL_OPERATIONS)) {
+          costs[name] = await estimateOperationCost(chainName, client, operation, presets[DEFAULT_GAS_PRESET]);
+        }
         results[chainName] = {
           success: true,
-          ...gasInfo
+          ...presets[DEFAULT_GAS_PRESET],
+          presets,
+          costs
         };
       } catch (error) {
         results[chainName] = {
@@ -183,4 +611,4 @@ export async function getCurrentGasPrices(chainNames = null) {
   );
   
   return results;
-}
\ No newline at end of file
+}
@@ -0,0 +1,266 @@
+/**
+ * RPC endpoint health, persisted in ~/.evm-wallet/rpc-health.json across runs
+ * Each endpoint keeps a rolling latency, a rolling error rate, its last seen head block
+ * and a cooldown after failures. Endpoints are ranked by score (lower is better) so a
+ * short CLI run starts on the endpoint that worked best last time.
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { withLock } from './lock.js';
+import { RPC_HEALTH_PATH } from './paths.js';
+
+const HEALTH_VERSION = 1;
+
+// Weight of the newest sample in the rolling averages
+const LATENCY_ALPHA = 0.3;
+const ERROR_ALPHA = 0.2;
+
+// Latency assumed for endpoints without samples, so untried endpoints rank mid-field
+const UNKNOWN_LATENCY_MS = 500;
+
+// Score penalty per block behind the best head (capped), and the window in which heads are comparable
+const LAG_PENALTY_MS = 100;
+const MAX_LAG_PENALTY_BLOCKS = 50;
+const HEAD_WINDOW_MS = 30_000;
+
+// Cooldown after consecutive failures: BASE * 2^(failures-1), capped
+const COOLDOWN_BASE_MS = 30_000;
+const COOLDOWN_MAX_MS = 10 * 60_000;
+
+const LOCK_PATH = `${RPC_HEALTH_PATH}.lock`;
+
+let health = null;
+let dirty = false;
+
+/**
+ * Key an endpoint by its URL template (placeholders unresolved, so no secrets are stored)
+ */
+function endpointKey(rpc) {
+  return typeof rpc === 'string' ? rpc : rpc.url;
+}
+
+function readHealthFile() {
+  if (!existsSync(RPC_HEALTH_PATH)) {
+    return {};
+  }
+  try {
+    const data = JSON.parse(readFileSync(RPC_HEALTH_PATH, 'utf8'));
+    return data.version === HEALTH_VERSION ? data.chains || {} : {};
+  } catch {
+    // Health is only a hint; a corrupt file is simply rebuilt
+    return {};
+  }
+}
+
+function loadHealth() {
+  if (!health) {
+    health = readHealthFile();
+    process.once('exit', saveHealth);
+  }
+  return health;
+}
+
+/**
+ * Write health back, merging with what other processes saved meanwhile (newest record wins)
+ */
+function saveHealth() {
+  // Health is only a hint: never create the wallet home for it, nor recreate one removed while running
+  if (!dirty || !existsSync(dirname(RPC_HEALTH_PATH))) {
+    return;
+  }
+  try {
+    withLock(LOCK_PATH, () => {
+      const merged = readHealthFile();
+      for (const [chainName, endpoints] of Object.entries(health)) {
+        merged[chainName] ||= {};
+        for (const [key, record] of Object.entries(endpoints)) {
+          if (!merged[chainName][key] || merged[chainName][key].updatedAt <= record.updatedAt) {
+            merged[chainName][key] = record;
+          }
+        }
+      }
+      const tmpPath = `${RPC_HEALTH_PATH}.${process.pid}.tmp`;
+      writeFileSync(tmpPath, JSON.stringify({ version: HEALTH_VERSION, chains: merged }, null, 2), { mode: 0o600 });
+      renameSync(tmpPath, RPC_HEALTH_PATH);
+    });
+    dirty = false;
+  } catch {
+    // Never fail a command because health could not be saved
+  }
+}
+
+/**
+ * Get (creating) the health record of an endpoint
+ * @param {string} chainName - Chain name
+ * @param {string|Object} rpc - RPC entry
+ * @returns {Object} Health record
+ */
+export function getEndpointHealth(chainName, rpc) {
+  const chains = loadHealth();
+  chains[chainName] ||= {};
+  return chains[chainName][endpointKey(rpc)] ||= {
+    latencyMs: null,
+    errorRate: 0,
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+    head: null,
+    headAt: 0,
+    chainId: null,
+    chainIdMatch: null,
+    lastError: null,
+    updatedAt: 0
+  };
+}
+
+function touch(record) {
+  record.updatedAt = Date.now();
+  dirty = true;
+}
+
+/**
+ * Record a request the endpoint answered (including reverts and other node errors)
+ * @param {string} chainName - Chain name
+ * @param {string|Object} rpc - RPC entry
+ * @param {number} latencyMs - Round-trip time
+ */
+export function recordSuccess(chainName, rpc, latencyMs) {
+  const record = getEndpointHealth(chainName, rpc);
+  record.latencyMs = Math.round(record.latencyMs === null
+    ? latencyMs
+    : record.latencyMs + LATENCY_ALPHA * (latencyMs - record.latencyMs));
+  record.errorRate *= 1 - ERROR_ALPHA;
+  record.successes++;
+  record.consecutiveFailures = 0;
+  record.cooldownUntil = 0;
+  touch(record);
+}
+
+/**
+ * Record an endpoint failure (rate limit, timeout, unreachable) and start its cooldown
+ * @param {string} chainName - Chain name
+ * @param {string|Object} rpc - RPC entry
+ * @param {string} errorClass - Error class from classifyRpcError
+ */
+export function recordFailure(chainName, rpc, errorClass) {
+  const record = getEndpointHealth(chainName, rpc);
+  record.errorRate += ERROR_ALPHA * (1 - record.errorRate);
+  record.failures++;
+  record.consecutiveFailures++;
+  record.cooldownUntil = Date.now() + Math.min(COOLDOWN_MAX_MS, COOLDOWN_BASE_MS * 2 ** (record.consecutiveFailures - 1));
+  record.lastError = errorClass;
+  touch(record);
+}
+
+/**
+ * Record the head block an endpoint reported
+ * @param {string} chainName - Chain name
+ * @param {string|Object} rpc - RPC entry
+ * @param {bigint|number} blockNumber - Head block number
+ */
+export function recordHead(chainName, rpc, blockNumber) {
+  const record = getEndpointHealth(chainName, rpc);
+  record.head = Number(blockNumber);
+  record.headAt = Date.now();
+  touch(record);
+}
+
+/**
+ * Record the chain an endpoint reported via eth_chainId
+ * @param {string} chainName - Chain name
+ * @param {string|Object} rpc - RPC entry
+ * @param {number} chainId - Reported chain ID
+ * @param {number} expectedChainId - Chain ID from the chain config
+ */
+export function recordChainId(chainName, rpc, chainId, expectedChainId) {
+  const record = getEndpointHealth(chainName, rpc);
+  record.chainId = chainId;
+  record.chainIdMatch = chainId === expectedChainId;
+  touch(record);
+}
+
+/**
+ * Blocks an endpoint is behind the best head seen on the chain around the same time
+ * @param {string} chainName - Chain name
+ * @param {string|Object} rpc - RPC entry
+ * @returns {number} Block lag (0 when unknown)
+ */
+export function getBlockLag(chainName, rpc) {
+  const record = getEndpointHealth(chainName, rpc);
+  if (record.head === null) {
+    return 0;
+  }
+  const heads = Object.values(health[chainName])
+    .filter(other => other.head !== null && Math.abs(other.headAt - record.headAt) <= HEAD_WINDOW_MS)
+    .map(other => other.head);
+  return Math.max(0, Math.max(...heads) - record.head);
+}
+
+/**
+ * Score an endpoint: rolling latency, inflated by the error rate, plus a block-lag penalty
+ * @param {string} chainName - Chain name
+ * @param {string|Object} rpc - RPC entry
+ * @returns {number} Score in ms (lower is better)
+ */
+export function scoreEndpoint(chainName, rpc) {
+  const record = getEndpointHealth(chainName, rpc);
+  const latency = record.latencyMs ?? UNKNOWN_LATENCY_MS;
+  const lag = Math.min(getBlockLag(chainName, rpc), MAX_LAG_PENALTY_BLOCKS);
+  return latency * (1 + 3 * record.errorRate) + lag * LAG_PENALTY_MS;
+}
+
+/**
+ * Order endpoints best first
+ * Endpoints outside their cooldown come first by score (config order breaks ties);
+ * cooling endpoints follow, soonest available first, so there is always something to try.
+ * Endpoints last seen serving another chain go to the end.
+ * @param {string} chainName - Chain name
+ * @param {Array} rpcs - RPC entries from the chain config
+ * @returns {Array} RPC entries, best first
+ */
+export function rankEndpoints(chainName, rpcs) {
+  const now = Date.now();
+  const entries = rpcs.map((rpc, index) => ({
+    rpc,
+    index,
+    cooldownUntil: getEndpointHealth(chainName, rpc).cooldownUntil,
+    wrongChain: getEndpointHealth(chainName, rpc).chainIdMatch === false,
+    score: scoreEndpoint(chainName, rpc)
+  }));
+
+  const ready = entries.filter(entry => !entry.wrongChain && entry.cooldownUntil <= now)
+    .sort((a, b) => a.score - b.score || a.index - b.index);
+  const cooling = entries.filter(entry => !entry.wrongChain && entry.cooldownUntil > now)
+    .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+  const wrongChain = entries.filter(entry => entry.wrongChain);
+
+  return [...ready, ...cooling, ...wrongChain].map(entry => entry.rpc);
+}
+
+/**
+ * Forget endpoint health
+ * @param {string} [chainName] - Specific chain to reset, or all if not provided
+ */
+export function resetHealth(chainName = null) {
+  const chains = loadHealth();
+  if (chainName) {
+    delete chains[chainName];
+  } else {
+    for (const name of Object.keys(chains)) {
+      delete chains[name];
+    }
+  }
+
+  mkdirSync(dirname(RPC_HEALTH_PATH), { recursive: true, mode: 0o700 });
+  withLock(LOCK_PATH, () => {
+    const stored = readHealthFile();
+    if (chainName) {
+      delete stored[chainName];
+    }
+    const remaining = chainName ? stored : {};
+    writeFileSync(RPC_HEALTH_PATH, JSON.stringify({ version: HEALTH_VERSION, chains: remaining }, null, 2), { mode: 0o600 });
+  });
+  dirty = Object.keys(chains).length > 0;
+}
@@ -0,0 +1,156 @@
+/**
+ * Web3 Secret Storage (v3) keystore
+ * Encrypts secrets with scrypt/pbkdf2 + AES-128-CTR, compatible with geth/ethers/MetaMask
+ */
+
+import { randomBytes, randomUUID, scryptSync, pbkdf2Sync, createCipheriv, createDecipheriv, timingSafeEqual } from 'crypto';
+import { keccak256, bytesToHex, hexToBytes } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+
+/**
+ * Default KDF parameters (same as geth's "standard" settings)
+ */
+const KDF_DEFAULTS = {
+  scrypt: { n: 262144, r: 8, p: 1, dklen: 32 },
+  pbkdf2: { c: 262144, prf: 'hmac-sha256', dklen: 32 }
+};
+
+/**
+ * Derive the encryption key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {string} kdf - 'scrypt' or 'pbkdf2'
+ * @param {Object} params - KDF parameters (salt as hex without 0x)
+ * @returns {Buffer} Derived key
+ */
+function deriveKey(passphrase, kdf, params) {
+  const salt = Buffer.from(params.salt, 'hex');
+  const password = Buffer.from(passphrase.normalize('NFKC'), 'utf8');
+
+  if (kdf === 'scrypt') {
+    const { n, r, p, dklen } = params;
+    return scryptSync(password, salt, dklen, {
+      N: n,
+      r,
+      p,
+      maxmem: 128 * n * r * p + 64 * 1024 * 1024
+    });
+  }
+
+  if (kdf === 'pbkdf2') {
+    if (params.prf !== 'hmac-sha256') {
+      throw new Error(`Unsupported pbkdf2 prf: ${params.prf}`);
+    }
+    return pbkdf2Sync(password, salt, params.c, params.dklen, 'sha256');
+  }
+
+  throw new Error(`Unsupported KDF: ${kdf}`);
+}
+
+/**
+ * Compute keystore MAC: keccak256(derivedKey[16..32] ++ ciphertext)
+ */
+function computeMac(derivedKey, ciphertext) {
+  return keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])).slice(2);
+}
+
+/**
+ * Encrypt raw secret bytes into a v3 keystore
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {string} passphrase - Passphrase
+ * @param {Object} [options]
+ * @param {string} [options.kdf] - 'scrypt' (default) or 'pbkdf2'
+ * @param {string} [options.address] - Address to record in the keystore
+ * @returns {Object} v3 keystore JSON
+ */
+export function encryptSecret(secret, passphrase, options = {}) {
+  const { kdf = 'scrypt', address } = options;
+
+  if (!KDF_DEFAULTS[kdf]) {
+    throw new Error(`Unsupported KDF: ${kdf}. Use scrypt or pbkdf2`);
+  }
+
+  const kdfparams = {
+    ...KDF_DEFAULTS[kdf],
+    salt: randomBytes(32).toString('hex')
+  };
+  const derivedKey = deriveKey(passphrase, kdf, kdfparams);
+
+  const iv = randomBytes(16);
+  const cipher = createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(secret)), cipher.final()]);
+
+  return {
+    version: 3,
+    id: randomUUID(),
+    ...(address ? { address: address.toLowerCase().replace(/^0x/, '') } : {}),
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf,
+      kdfparams,
+      mac: computeMac(derivedKey, ciphertext)
+    }
+  };
+}
+
+/**
+ * Decrypt a v3 keystore to its raw secret bytes
+ * @param {Object} keystore - v3 keystore JSON
+ * @param {string} passphrase - Passphrase
+ * @returns {Uint8Array} Secret bytes
+ */
+export function decryptSecret(keystore, passphrase) {
+  if (keystore?.version !== 3) {
+    throw new Error('Unsupported keystore version (expected v3)');
+  }
+
+  // Some tools write "Crypto" instead of "crypto"
+  const crypto = keystore.crypto || keystore.Crypto;
+  if (!crypto || crypto.cipher !== 'aes-128-ctr') {
+    throw new Error('Unsupported keystore cipher (expected aes-128-ctr)');
+  }
+
+  const derivedKey = deriveKey(passphrase, crypto.kdf, crypto.kdfparams);
+  const ciphertext = Buffer.from(crypto.ciphertext, 'hex');
+
+  const mac = Buffer.from(computeMac(derivedKey, ciphertext), 'hex');
+  if (!timingSafeEqual(mac, Buffer.from(crypto.mac, 'hex'))) {
+    throw new Error('Invalid passphrase (keystore MAC mismatch)');
+  }
+
+  const iv = Buffer.from(crypto.cipherparams.iv, 'hex');
+  const decipher = createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+  return new Uint8Array(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+}
+
+/**
+ * Encrypt a private key into a v3 keystore
+ * @param {string} privateKey - Hex private key
+ * @param {string} passphrase - Passphrase
+ * @param {Object} [options] - See encryptSecret
+ * @returns {Object} v3 keystore JSON
+ */
+export function encryptPrivateKey(privateKey, passphrase, options = {}) {
+  const { address } = privateKeyToAccount(privateKey);
+  return encryptSecret(hexToBytes(privateKey), passphrase, { ...options, address });
+}
+
+/**
+ * Decrypt a private key from a v3 keystore
+ * @param {Object} keystore - v3 keystore JSON
+ * @param {string} passphrase - Passphrase
+ * @returns {string} Hex private key
+ */
+export function decryptPrivateKey(keystore, passphrase) {
+  const privateKey = bytesToHex(decryptSecret(keystore, passphrase));
+
+  if (keystore.address) {
+    const { address } = privateKeyToAccount(privateKey);
+    if (address.toLowerCase().replace(/^0x/, '') !== keystore.address.toLowerCase().replace(/^0x/, '')) {
+      throw new Error('Keystore address does not match decrypted key');
+    }
+  }
+
+  return privateKey;
+}
@@ -0,0 +1,121 @@
+/**
+ * Cross-process file locking
+ * Uses an exclusive lock file (O_EXCL) holding the owner's pid; stale locks are broken
+ */
+
+import { openSync, writeSync, closeSync, readFileSync, unlinkSync, statSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+const LOCK_TIMEOUT_MS = 10_000;
+const LOCK_STALE_MS = 30_000;
+const LOCK_RETRY_MS = 50;
+
+/**
+ * Block the current thread (locks are held only around short sync file operations)
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a lock file was left behind by a dead or hung process
+ * @param {string} lockPath - Lock file path
+ * @returns {number|null} Inode of the stale lock file, or null if it is held (or gone)
+ */
+function findStaleLock(lockPath) {
+  try {
+    const { ino, mtimeMs } = statSync(lockPath);
+    const pid = Number(readFileSync(lockPath, 'utf8'));
+    if (pid && pid !== process.pid) {
+      try {
+        process.kill(pid, 0);
+      } catch (error) {
+        if (error.code === 'ESRCH') {
+          return ino;
+        }
+      }
+    }
+    return Date.now() - mtimeMs > LOCK_STALE_MS ? ino : null;
+  } catch {
+    // Lock vanished or is unreadable mid-write — just retry
+    return null;
+  }
+}
+
+/**
+ * Remove a stale lock file, unless another process has replaced it meanwhile
+ * Breakers take turns on a second lock file and re-check under it, so two processes that
+ * saw the same stale lock cannot remove the fresh lock the first of them went on to take.
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleIno - Inode of the lock file found stale
+ * @returns {boolean} False if another process is breaking it (wait before retrying)
+ */
+function breakStaleLock(lockPath, staleIno) {
+  const breakPath = `${lockPath}.break`;
+  let fd;
+  try {
+    fd = openSync(breakPath, 'wx', 0o600);
+  } catch (error) {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+    // Someone else is breaking it; a break lock left by a crash is cleared once old
+    try {
+      if (Date.now() - statSync(breakPath).mtimeMs > LOCK_STALE_MS) {
+        unlinkSync(breakPath);
+      }
+    } catch {}
+    return false;
+  }
+
+  try {
+    closeSync(fd);
+    if (findStaleLock(lockPath) === staleIno) {
+      unlinkSync(lockPath);
+    }
+  } catch {
+    // Lock already gone
+  } finally {
+    try { unlinkSync(breakPath); } catch {}
+  }
+  return true;
+}
+
+/**
+ * Run a function while holding an exclusive lock
+ * @param {string} lockPath - Lock file path
+ * @param {Function} fn - Synchronous function to run
+ * @returns {*} Return value of fn
+ */
+export function withLock(lockPath, fn) {
+  mkdirSync(dirname(lockPath), { recursive: true, mode: 0o700 });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  
+  let fd;
+  while (fd === undefined) {
+    try {
+      fd = openSync(lockPath, 'wx', 0o600);
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      const staleIno = findStaleLock(lockPath);
+      if (staleIno !== null && breakStaleLock(lockPath, staleIno)) {
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${lockPath} (held by another process)`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+  
+  try {
+    writeSync(fd, String(process.pid));
+    closeSync(fd);
+    return fn();
+  } finally {
+    try { unlinkSync(lockPath); } catch {}
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Off-chain message helpers shared by sign.js and verify.js
+ * EIP-191 personal messages and EIP-712 typed data
+ */
+
+import { readFileSync } from 'fs';
+import { isHex } from 'viem';
+
+/**
+ * Build an EIP-191 message from text
+ * @param {string} text - Message text, or 0x-prefixed bytes when hex is set
+ * @param {Object} [options]
+ * @param {boolean} [options.hex] - Treat text as hex-encoded bytes
+ * @returns {string|{raw: string}} Message in viem's signMessage format
+ */
+export function parseMessage(text, options = {}) {
+  if (!options.hex) {
+    return text;
+  }
+
+  const raw = text.trim();
+  if (!isHex(raw)) {
+    throw new Error('Invalid hex message. Expected 0x-prefixed hex bytes.');
+  }
+  return { raw };
+}
+
+/**
+ * Load and validate EIP-712 typed data from a JSON file
+ * Expects the eth_signTypedData_v4 layout: domain, types, primaryType, message
+ * @param {string} path - JSON file path
+ * @returns {Object} Typed data
+ */
+export function loadTypedData(path) {
+  let typedData;
+  try {
+    typedData = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read typed data file: ${error.message}`);
+  }
+
+  for (const field of ['domain', 'types', 'primaryType', 'message']) {
+    if (typedData[field] === undefined) {
+      throw new Error(`Typed data is missing "${field}"`);
+    }
+  }
+
+  if (!typedData.types[typedData.primaryType]) {
+    throw new Error(`Primary type "${typedData.primaryType}" is not defined in types`);
+  }
+
+  return typedData;
+}
@@ -0,0 +1,156 @@
+/**
+ * Passphrase input for encrypted wallets
+ * Sources (in order): --passphrase-file, EVM_WALLET_PASSPHRASE, EVM_WALLET_PASSPHRASE_FILE, TTY prompt
+ */
+
+import { readFileSync } from 'fs';
+
+/**
+ * Read a passphrase from a file (first line, trailing newline stripped)
+ * @param {string} path - File path
+ * @returns {string} Passphrase
+ */
+function readPassphraseFile(path) {
+  try {
+    return readFileSync(path, 'utf8').split(/\r?\n/)[0];
+  } catch (error) {
+    throw new Error(`Failed to read passphrase file: ${error.message}`);
+  }
+}
+
+/**
+ * Prompt for hidden input on the terminal
+ * Prompt text goes to stderr so --json output on stdout stays clean
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Entered text
+ */
+export function promptHidden(question) {
+  const stdin = process.stdin;
+
+  if (!stdin.isTTY) {
+    return Promise.reject(new Error(
+      'Passphrase required but no terminal available. Set EVM_WALLET_PASSPHRASE, EVM_WALLET_PASSPHRASE_FILE or use --passphrase-file'
+    ));
+  }
+
+  process.stderr.write(question);
+
+  return new Promise((resolve, reject) => {
+    let input = '';
+
+    const finish = (error) => {
+      stdin.setRawMode(false);
+      stdin.removeListener('data', onData);
+      stdin.pause();
+      process.stderr.write('\n');
+      if (error) {
+        reject(error);
+      } else {
+        resolve(input);
+      }
+    };
+
+    const onData = (data) => {
+      for (const char of data.toString('utf8')) {
+        if (char === '\r' || char === '\n' || char === '\u0004') {
+          return finish();
+        }
+        if (char === '\u0003') {
+          return finish(new Error('Cancelled by user'));
+        }
+        if (char === '\u007f' || char === '\b') {
+          input = input.slice(0, -1);
+        } else {
+          input += char;
+        }
+      }
+    };
+
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * Read a secret (mnemonic, private key) from a file, the terminal or piped stdin
+ * Secrets are never taken from argv, where they would leak into shell history and ps
+ * @param {string} question - Prompt text when reading from a terminal
+ * @param {Object} [options]
+ * @param {string} [options.file] - Read the secret from this file instead
+ * @returns {Promise<string>} Secret text (trimmed)
+ */
+export async function readSecret(question, options = {}) {
+  if (options.file) {
+    try {
+      return readFileSync(options.file, 'utf8').trim();
+    } catch (error) {
+      throw new Error(`Failed to read secret file: ${error.message}`);
+    }
+  }
+
+  if (process.stdin.isTTY) {
+    return (await promptHidden(question)).trim();
+  }
+
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').trim();
+}
+
+/**
+ * Get passphrase for unlocking an existing wallet
+ * @param {Object} [options]
+ * @param {string} [options.passphraseFile] - Explicit passphrase file path
+ * @param {string} [options.prompt] - Prompt text for TTY input
+ * @param {boolean} [options.ignoreEnv] - Skip EVM_WALLET_PASSPHRASE(_FILE), which belong to another wallet
+ * @returns {Promise<string>} Passphrase
+ */
+export async function getPassphrase(options = {}) {
+  const { passphraseFile, prompt = 'Wallet passphrase: ', ignoreEnv = false } = options;
+
+  if (passphraseFile) {
+    return readPassphraseFile(passphraseFile);
+  }
+
+  if (!ignoreEnv && process.env.EVM_WALLET_PASSPHRASE) {
+    return process.env.EVM_WALLET_PASSPHRASE;
+  }
+
+  if (!ignoreEnv && process.env.EVM_WALLET_PASSPHRASE_FILE) {
+    return readPassphraseFile(process.env.EVM_WALLET_PASSPHRASE_FILE);
+  }
+
+  if (ignoreEnv && !process.stdin.isTTY) {
+    throw new Error('New passphrase required but no terminal available. Use a passphrase file for it');
+  }
+
+  return promptHidden(prompt);
+}
+
+/**
+ * Get a new passphrase (asks twice on a TTY)
+ * @param {Object} [options] - Same as getPassphrase
+ * @returns {Promise<string>} Passphrase
+ */
+export async function getNewPassphrase(options = {}) {
+  const interactive = !options.passphraseFile && (options.ignoreEnv ||
+    (!process.env.EVM_WALLET_PASSPHRASE && !process.env.EVM_WALLET_PASSPHRASE_FILE));
+
+  const passphrase = await getPassphrase({ ...options, prompt: 'New passphrase: ' });
+
+  if (!passphrase) {
+    throw new Error('Passphrase must not be empty');
+  }
+
+  if (interactive) {
+    const repeated = await promptHidden('Repeat passphrase: ');
+    if (repeated !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+  }
+
+  return passphrase;
+}
@@ -0,0 +1,31 @@
+/**
+ * Filesystem locations for wallet state
+ * Everything lives under ~/.evm-wallet (override with EVM_WALLET_HOME) — never in the project
+ */
+
+import { join } from 'path';
+import { homedir } from 'os';
+
+// Root directory for wallets and user config
+export const WALLET_HOME = process.env.EVM_WALLET_HOME || join(homedir(), '.evm-wallet');
+
+// Named wallets: <WALLET_HOME>/wallets/<name>.json
+export const WALLETS_DIR = join(WALLET_HOME, 'wallets');
+
+// User settings (default wallet, ...)
+export const CONFIG_PATH = join(WALLET_HOME, 'config.json');
+
+// User-defined chains and RPC overrides, merged over lib/chains.js
+export const CHAINS_PATH = join(WALLET_HOME, 'chains.json');
+
+// RPC endpoint health (latency, errors, cooldowns), shared by all runs
+export const RPC_HEALTH_PATH = join(WALLET_HOME, 'rpc-health.json');
+
+// Recent eth_feeHistory per chain, reused by all runs for a few seconds
+export const FEE_CACHE_PATH = join(WALLET_HOME, 'fee-cache.json');
+
+// Gas price samples recorded by gas.js --record
+export const GAS_HISTORY_PATH = join(WALLET_HOME, 'gas-history.json');
+
+// Single-wallet location used before named wallets existed; still served as "default"
+export const LEGACY_WALLET_PATH = join(homedir(), '.evm-wallet.json');
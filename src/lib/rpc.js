@@ -1,70 +1,162 @@
 /**
  * RPC Manager with automatic retry and fallback rotation
+ * Every public and wallet client sends through one failover transport per chain,
+ * starting on the best-scoring endpoint recorded in lib/health.js:
+ * endpoint failures (429, timeouts, 5xx, unreachable) rotate to the next RPC with
+ * exponential backoff, while answers from the node (reverts, nonce errors) are returned as-is.
  */
 
-import { createPublicClient, http } from 'viem';
-import { getChain, chains } from './chains.js';
+import { createPublicClient, custom, http, keccak256 } from 'viem';
+import { getChain, getSupportedChains, resolveRpc } from './chains.js';
+import { rankEndpoints, recordSuccess, recordFailure, recordHead, recordChainId, resetHealth } from './health.js';
+
+// Backoff between attempts: full jitter over BASE * 2^attempt, capped
+const BACKOFF_BASE_MS = 200;
+const BACKOFF_MAX_MS = 4_000;
+
+// Per-request timeout when probing endpoints for diagnostics
+const PROBE_TIMEOUT_MS = 8_000;
+
+// Node answers that mean the request reached a healthy endpoint
+const NODE_ANSWER_PATTERN = /revert|out of gas|invalid opcode|insufficient funds|nonce too (low|high)|already known|known transaction|underpriced|intrinsic gas|fee cap|base fee/i;
+
+// Broadcast responses meaning this exact transaction is already in the pool or mined
+const ALREADY_KNOWN_PATTERN = /already known|known transaction|already imported|already exists|transaction already in/i;
 
 /**
- * RPC state tracking
+ * Get working RPC for a chain: the best-ranked endpoint by persisted health
+ * @param {string} chainName - Chain name
+ * @param {Set} [exclude] - Endpoints already tried for this request
+ * @param {Array} [rpcs] - Candidate endpoints (default: all of the chain's RPCs)
+ * @returns {string|Object} Working RPC entry (URL or { url, headers })
  */
-const rpcState = new Map();
+function getWorkingRpc(chainName, exclude = new Set(), rpcs = getChain(chainName).rpcs) {
+  const ranked = rankEndpoints(chainName, rpcs);
+  return ranked.find(rpc => !exclude.has(rpc)) ?? ranked[0];
+}
 
 /**
- * Get working RPC for a chain with automatic fallback
- * @param {string} chainName - Chain name
- * @returns {string} Working RPC URL
+ * eth_chainId checks, once per endpoint per process: "<chain> <url>" -> Promise
  */
-function getWorkingRpc(chainName) {
-  const chain = getChain(chainName);
-  
-  if (!rpcState.has(chainName)) {
-    rpcState.set(chainName, {
-      rpcs: [...chain.rpcs],
-      currentIndex: 0,
-      failedRpcs: new Set()
-    });
+const chainIdChecks = new Map();
+
+/**
+ * Thrown when an endpoint serves a different chain than configured
+ */
+export class ChainIdMismatchError extends Error {
+  constructor(chainName, url, chainId, expectedChainId) {
+    super(`RPC ${url} serves chain ID ${chainId}, but ${chainName} is chain ID ${expectedChainId}. ` +
+      'Refusing to use it — fix the endpoint with node src/chains.js.');
+    this.name = 'ChainIdMismatchError';
+  }
+}
+
+/**
+ * URL of an RPC entry as configured (placeholders unresolved, safe to display)
+ */
+function endpointUrl(rpc) {
+  return typeof rpc === 'string' ? rpc : rpc.url;
+}
+
+/**
+ * Collect HTTP status, JSON-RPC code and text from an error and its causes
+ */
+function describeError(error) {
+  let status;
+  let code;
+  const text = [];
+  for (let current = error; current; current = current.cause) {
+    status ??= current.status;
+    if (code === undefined && typeof current.code === 'number') {
+      code = current.code;
+    }
+    text.push(current.name, current.shortMessage, current.details, current.message);
+  }
+  return { status, code, text: text.filter(Boolean).join(' ') };
+}
+
+/**
+ * Classify an RPC error
+ * "rate-limit", "timeout" and "unavailable" are endpoint problems worth another endpoint;
+ * "revert" and "rejected" are answers from a working node and are never retried.
+ * @param {Error} error - Error thrown by a transport
+ * @returns {string} Error class
+ */
+export function classifyRpcError(error) {
+  const { status, code, text } = describeError(error);
+
+  if (code === 3 || NODE_ANSWER_PATTERN.test(text)) {
+    return /revert|out of gas|invalid opcode/i.test(text) || code === 3 ? 'revert' : 'rejected';
   }
-  
-  const state = rpcState.get(chainName);
-  
-  // If all RPCs failed, reset and start over
-  if (state.failedRpcs.size >= state.rpcs.length) {
-    state.failedRpcs.clear();
-    state.currentIndex = 0;
+  if (status === 429 || code === -32005 || /rate.?limit|too many requests|limit exceeded|capacity/i.test(text)) {
+    return 'rate-limit';
   }
-  
-  // Find next working RPC
-  while (state.failedRpcs.has(state.rpcs[state.currentIndex])) {
-    state.currentIndex = (state.currentIndex + 1) % state.rpcs.length;
+  if (/TimeoutError|timed? ?out|timeout/i.test(text)) {
+    return 'timeout';
   }
-  
-  return state.rpcs[state.currentIndex];
+  if (status >= 500 || [401, 403, 404, 408].includes(status) || code === -32603 ||
+      /fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|socket hang up|network|HttpRequestError|environment variable/i.test(text)) {
+    return 'unavailable';
+  }
+  return 'rejected';
+}
+
+/**
+ * Whether an error class should move the request to another endpoint
+ * @param {string} errorClass - Result of classifyRpcError
+ * @returns {boolean}
+ */
+export function isRetryableRpcError(errorClass) {
+  return ['rate-limit', 'timeout', 'unavailable'].includes(errorClass);
+}
+
+/**
+ * Delay before retry attempt n (exponential backoff with full jitter)
+ */
+function backoff(attempt) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return new Promise(resolve => setTimeout(resolve, Math.random() * ceiling));
 }
 
 /**
- * Mark an RPC as failed and rotate to next
+ * Check that an endpoint serves the configured chain (cached for the rest of the process)
+ * Transient failures are not cached, so the check runs again on the next use.
  * @param {string} chainName - Chain name
- * @param {string} failedRpc - Failed RPC URL
+ * @param {string|Object} rpc - RPC entry
+ * @param {Function} request - Endpoint request function
  */
-function markRpcFailed(chainName, failedRpc) {
-  const state = rpcState.get(chainName);
-  if (state) {
-    state.failedRpcs.add(failedRpc);
-    state.currentIndex = (state.currentIndex + 1) % state.rpcs.length;
+function verifyChainId(chainName, rpc, request) {
+  const key = `${chainName} ${endpointUrl(rpc)}`;
+  if (!chainIdChecks.has(key)) {
+    const expected = getChain(chainName).chainId;
+    const check = request({ method: 'eth_chainId' }).then(result => {
+      const chainId = Number(result);
+      recordChainId(chainName, rpc, chainId, expected);
+      if (chainId !== expected) {
+        throw new ChainIdMismatchError(chainName, endpointUrl(rpc), chainId, expected);
+      }
+    });
+    check.catch(error => {
+      if (!(error instanceof ChainIdMismatchError)) {
+        chainIdChecks.delete(key);
+      }
+    });
+    chainIdChecks.set(key, check);
   }
+  return chainIdChecks.get(key);
 }
 
 /**
- * Create viem public client with automatic retry/rotation
+ * Build a viem chain definition for a configured chain
  * @param {string} chainName - Chain name
- * @returns {Object} Viem public client
+ * @returns {Object} Viem chain
  */
-export function createPublicClientWithRetry(chainName) {
+export function getViemChain(chainName) {
   const chain = getChain(chainName);
-  
-  // Create viem chain config
-  const viemChain = {
+  // RPC URLs may hold ${ENV} placeholders; the transport resolves them per request
+  const urls = chain.rpcs.map(endpointUrl);
+
+  return {
     id: chain.chainId,
     name: chain.name,
     nativeCurrency: {
@@ -73,103 +165,295 @@ export function createPublicClientWithRetry(chainName) {
       decimals: chain.nativeToken.decimals
     },
     rpcUrls: {
-      default: { http: [getWorkingRpc(chainName)] },
-      public: { http: [getWorkingRpc(chainName)] }
+      default: { http: urls },
+      public: { http: urls }
     },
     blockExplorers: {
       default: {
         name: chain.explorer.name,
         url: chain.explorer.url
       }
-    }
-  };
-  
-  const transport = http(getWorkingRpc(chainName), {
-    retryCount: 0, // We handle retries manually
-    timeout: 10_000,
-    onFetchRequest: (request) => {
-      // Optional: log requests in debug mode
     },
-    onFetchResponse: (response) => {
-      // Optional: log responses in debug mode
+    ...(chain.testnet ? { testnet: true } : {})
+  };
+}
+
+/**
+ * Create the failover transport for a chain
+ * Each request goes to the best-ranked RPC; endpoint failures put it in cooldown and
+ * retry on the next one. Broadcasts are idempotent: the same signed transaction is
+ * re-sent, and "already known" answers resolve to its hash.
+ * @param {string} chainName - Chain name
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Per-request timeout in ms (default: 10000)
+ * @param {Array} [options.rpcs] - Restrict to these endpoints (e.g. one, for quorum reads)
+ * @returns {Function} Viem transport
+ */
+export function createRpcTransport(chainName, options = {}) {
+  const { timeout = 10_000 } = options;
+  const rpcs = options.rpcs || getChain(chainName).rpcs;
+  const endpoints = new Map();
+
+  // One viem http transport per endpoint, created on first use
+  const endpointRequest = (rpc) => {
+    if (!endpoints.has(rpc)) {
+      const { url, headers } = resolveRpc(rpc);
+      const transport = http(url, {
+        retryCount: 0, // Retries happen here, across endpoints
+        timeout,
+        fetchOptions: { headers }
+      })({ retryCount: 0 });
+      endpoints.set(rpc, transport.request);
     }
-  });
-  
-  const client = createPublicClient({
-    chain: viemChain,
-    transport
-  });
-  
-  // Wrap methods with retry logic
-  const originalRequest = client.request.bind(client);
-  client.request = async (args) => {
+    return endpoints.get(rpc);
+  };
+
+  const request = async ({ method, params }) => {
+    const maxAttempts = Math.max(3, rpcs.length * 2);
+    const isBroadcast = method === 'eth_sendRawTransaction' || method === getChain(chainName).syncRpc;
+    const txHash = isBroadcast ? keccak256(params[0]) : null;
+    const tried = new Set();
     let lastError;
-    const maxRetries = 3;
-    
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
+    let mismatchError;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const rpc = getWorkingRpc(chainName, tried, rpcs);
+      tried.add(rpc);
+      let started;
       try {
-        return await originalRequest(args);
+        await verifyChainId(chainName, rpc, endpointRequest(rpc));
+        started = performance.now();
+        const result = await endpointRequest(rpc)({ method, params });
+        recordSuccess(chainName, rpc, performance.now() - started);
+        if (method === 'eth_blockNumber') {
+          recordHead(chainName, rpc, BigInt(result));
+        }
+        return result;
       } catch (error) {
         lastError = error;
-        
-        // If this isn't the last attempt, try next RPC
-        if (attempt < maxRetries - 1) {
-          const currentRpc = getWorkingRpc(chainName);
-          markRpcFailed(chainName, currentRpc);
-          
-          // Update transport to use new RPC
-          const newRpc = getWorkingRpc(chainName);
-          viemChain.rpcUrls.default.http = [newRpc];
-          viemChain.rpcUrls.public.http = [newRpc];
-          
-          // Small delay before retry
-          await new Promise(resolve => setTimeout(resolve, 1000));
+        if (error instanceof ChainIdMismatchError) {
+          // Never send anything to an endpoint serving another chain
+          mismatchError = error;
+          continue;
+        }
+        const errorClass = classifyRpcError(error);
+        if (!isRetryableRpcError(errorClass) && started !== undefined) {
+          // The node answered, so the endpoint itself is healthy
+          recordSuccess(chainName, rpc, performance.now() - started);
+        }
+
+        if (txHash && ALREADY_KNOWN_PATTERN.test(describeError(error).text)) {
+          return txHash;
+        }
+        // The same transaction may already have landed (e.g. an earlier attempt whose response was lost)
+        if (txHash && /nonce too low|correct nonce|nonce has already been used|invalid nonce/i.test(describeError(error).text)) {
+          const known = await endpointRequest(rpc)({ method: 'eth_getTransactionByHash', params: [txHash] }).catch(() => null);
+          if (known) {
+            return txHash;
+          }
+        }
+
+        if (!isRetryableRpcError(errorClass)) {
+          throw error;
+        }
+
+        recordFailure(chainName, rpc, errorClass);
+        if (attempt < maxAttempts - 1) {
+          await backoff(attempt);
         }
       }
     }
-    
-    throw lastError;
+
+    // A misconfigured endpoint is the more useful thing to report
+    throw mismatchError ?? lastError;
   };
-  
-  return client;
+
+  return custom({ request }, { key: 'failover', name: 'Failover RPC', retryCount: 0 });
 }
 
 /**
- * Test RPC connectivity for all chains
- * @returns {Object} Status for each chain
+ * Create viem public client with automatic retry/rotation
+ * @param {string} chainName - Chain name
+ * @returns {Object} Viem public client
+ */
+export function createPublicClientWithRetry(chainName) {
+  return createPublicClient({
+    chain: getViemChain(chainName),
+    transport: createRpcTransport(chainName)
+  });
+}
+
+/**
+ * JSON.stringify that writes bigints as decimal strings, for comparing read results
  */
-export async function testRpcConnectivity() {
-  const results = {};
-  
-  for (const chainName of Object.keys(chains)) {
+function stringify(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+}
+
+/**
+ * Read the same value from several independent endpoints and require them to agree
+ * Endpoints are taken best-ranked first among those that answer. All reads are pinned to
+ * the lowest head among them, so every endpoint answers for the same block.
+ * @param {string} chainName - Chain name
+ * @param {number} quorum - Number of endpoints that must agree (at least 2)
+ * @param {Function} read - async (client, blockNumber) => value, run once per endpoint
+ * @returns {Promise<{value: *, blockNumber: bigint, endpoints: string[]}>} Agreed value
+ */
+export async function readWithQuorum(chainName, quorum, read) {
+  const chain = getChain(chainName);
+  if (!Number.isInteger(quorum) || quorum < 2) {
+    throw new Error('Quorum must be a whole number of endpoints, at least 2');
+  }
+  if (quorum > chain.rpcs.length) {
+    throw new Error(`Quorum of ${quorum} needs ${quorum} endpoints, but ${chainName} has ${chain.rpcs.length}. ` +
+      `Add more with: node src/chains.js add ${chainName} --rpc <url>`);
+  }
+
+  const candidates = await Promise.all(rankEndpoints(chainName, chain.rpcs).map(async rpc => {
+    const client = createPublicClient({
+      chain: getViemChain(chainName),
+      transport: createRpcTransport(chainName, { rpcs: [rpc] })
+    });
+    try {
+      return { url: endpointUrl(rpc), client, head: await client.getBlockNumber() };
+    } catch {
+      return null;
+    }
+  }));
+
+  const members = candidates.filter(Boolean).slice(0, quorum);
+  if (members.length < quorum) {
+    throw new Error(`Quorum of ${quorum} not reached on ${chainName}: only ${members.length} endpoint(s) answered`);
+  }
+
+  const blockNumber = members.reduce((lowest, member) => (member.head < lowest ? member.head : lowest), members[0].head);
+
+  const results = await Promise.all(members.map(async ({ url, client }) => {
     try {
-      const client = createPublicClientWithRetry(chainName);
-      const blockNumber = await client.getBlockNumber();
-      results[chainName] = {
-        status: 'connected',
-        blockNumber: blockNumber.toString(),
-        rpc: getWorkingRpc(chainName)
-      };
+      return { url, value: await read(client, blockNumber) };
     } catch (error) {
-      results[chainName] = {
-        status: 'failed',
-        error: error.message,
-        rpc: getWorkingRpc(chainName)
-      };
+      return { url, error: error.shortMessage || error.message };
     }
+  }));
+
+  const failed = results.filter(result => result.error);
+  if (failed.length > 0) {
+    throw new Error(`Quorum read failed at block ${blockNumber}: ` +
+      failed.map(result => `${result.url} (${result.error})`).join('; '));
+  }
+
+  // Group endpoints by answer; anything outside the largest group diverged
+  const groups = new Map();
+  for (const result of results) {
+    const key = stringify(result.value);
+    groups.set(key, [...(groups.get(key) || []), result.url]);
+  }
+  if (groups.size > 1) {
+    const [majority, ...diverged] = [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+    throw new Error(`Quorum disagreement on ${chainName} at block ${blockNumber}: ` +
+      `${majority[1].join(', ')} returned ${majority[0]}; diverged: ` +
+      diverged.map(([value, urls]) => `${urls.join(', ')} returned ${value}`).join('; '));
   }
-  
-  return results;
+
+  return { value: results[0].value, blockNumber, endpoints: results.map(result => result.url) };
 }
 
 /**
- * Reset RPC state (clear failed RPC cache)
+ * Probe one endpoint directly (no failover): chainId, head, latency, archive and eth_feeHistory support
+ * The outcome is recorded in endpoint health.
+ * @param {string} chainName - Chain name
+ * @param {string|Object} rpc - RPC entry
+ * @returns {Promise<Object>} Probe result
+ */
+async function probeEndpoint(chainName, rpc) {
+  const chain = getChain(chainName);
+  const result = { url: endpointUrl(rpc), ok: false };
+
+  let request;
+  try {
+    const { url, headers } = resolveRpc(rpc);
+    request = http(url, { retryCount: 0, timeout: PROBE_TIMEOUT_MS, fetchOptions: { headers } })({ retryCount: 0 }).request;
+  } catch (error) {
+    return { ...result, error: error.message };
+  }
+
+  const started = performance.now();
+  try {
+    const [chainId, head] = await Promise.all([
+      request({ method: 'eth_chainId' }),
+      request({ method: 'eth_blockNumber' })
+    ]);
+    result.latencyMs = Math.round(performance.now() - started);
+    result.chainId = Number(chainId);
+    result.chainIdMatch = result.chainId === chain.chainId;
+    result.head = Number(head);
+    recordSuccess(chainName, rpc, result.latencyMs);
+    recordChainId(chainName, rpc, result.chainId, chain.chainId);
+    recordHead(chainName, rpc, result.head);
+  } catch (error) {
+    const errorClass = classifyRpcError(error);
+    recordFailure(chainName, rpc, errorClass);
+    const message = error.shortMessage ? `${error.shortMessage}${error.details ? ` ${error.details}` : ''}` : error.message;
+    return { ...result, error: message, errorClass };
+  }
+
+  // Pruned nodes cannot answer state queries for early blocks
+  const supports = (method, params) => request({ method, params }).then(() => true, () => false);
+  [result.archive, result.feeHistory] = await Promise.all([
+    supports('eth_getBalance', ['0x0000000000000000000000000000000000000000', '0x1']),
+    supports('eth_feeHistory', ['0x1', 'latest', [50]])
+  ]);
+
+  result.ok = result.chainIdMatch;
+  if (!result.chainIdMatch) {
+    result.error = `Serves chain ${result.chainId}, expected ${chain.chainId}`;
+  }
+  return result;
+}
+
+/**
+ * Test RPC connectivity for all chains
+ * Every endpoint of every chain is probed in parallel.
+ * @param {Object} [options]
+ * @param {string[]} [options.chains] - Chains to test (default: all)
+ * @returns {Object} Status for each chain, with per-endpoint results
+ */
+export async function testRpcConnectivity(options = {}) {
+  const chainNames = options.chains || getSupportedChains();
+
+  const probed = await Promise.all(chainNames.map(async chainName => {
+    const endpoints = await Promise.all(getChain(chainName).rpcs.map(rpc => probeEndpoint(chainName, rpc)));
+
+    // Lag behind the best head among endpoints serving the right chain
+    const heads = endpoints.filter(endpoint => endpoint.ok).map(endpoint => endpoint.head);
+    const bestHead = heads.length > 0 ? Math.max(...heads) : null;
+    for (const endpoint of endpoints) {
+      if (endpoint.ok) {
+        endpoint.lag = bestHead - endpoint.head;
+      }
+    }
+
+    const working = endpoints.filter(endpoint => endpoint.ok);
+    return [chainName, working.length > 0 ? {
+      status: 'connected',
+      blockNumber: String(bestHead),
+      rpc: endpointUrl(getWorkingRpc(chainName)),
+      endpoints
+    } : {
+      status: 'failed',
+      error: endpoints.find(endpoint => endpoint.error)?.error || 'No working endpoint',
+      rpc: endpointUrl(getWorkingRpc(chainName)),
+      endpoints
+    }];
+  }));
+
+  return Object.fromEntries(probed);
+}
+
+/**
+ * Reset RPC state (forget recorded endpoint health and cooldowns)
  * @param {string} [chainName] - Specific chain to reset, or all if not provided
  */
 export function resetRpcState(chainName = null) {
-  if (chainName) {
-    rpcState.delete(chainName);
-  } else {
-    rpcState.clear();
-  }
-}
\ No newline at end of file
+  resetHealth(chainName);
+}
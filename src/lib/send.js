@@ -0,0 +1,89 @@
+/**
+ * Transaction sending
+ * On chains whose config declares syncRpc (EIP-7966, e.g. MegaETH's eth_sendRawTransactionSync)
+ * the transaction is signed locally and submitted with that method, which answers with the
+ * receipt once the transaction is included. Everywhere else, and whenever the endpoint does
+ * not support the method, the same signed bytes are broadcast normally and the receipt is awaited
+ * on new blocks (WebSocket subscription where the chain has one, HTTP polling otherwise).
+ */
+
+import { formatTransactionReceipt, keccak256 } from 'viem';
+import { getChain } from './chains.js';
+import { classifyRpcError, isRetryableRpcError } from './rpc.js';
+import { waitForReceipt } from './subscribe.js';
+
+// How long to wait for a receipt after a normal broadcast
+const RECEIPT_TIMEOUT_MS = 120_000;
+
+// Answers from endpoints that do not implement the sync method
+const UNSUPPORTED_PATTERN = /method .*(not found|not supported|not available|does not exist)|unsupported method|unknown method/i;
+
+/**
+ * Whether an error means the endpoint does not know the sync send method
+ */
+function isUnsupportedMethod(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === -32601 || UNSUPPORTED_PATTERN.test(`${current.shortMessage} ${current.details} ${current.message}`)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Sign and send a transaction, returning its receipt when there is one
+ * @param {string} chainName - Chain name
+ * @param {Object} walletClient - Viem wallet client (from getWalletClient)
+ * @param {Object} request - sendTransaction parameters (to, data, value, gas, fees, nonce)
+ * @param {Object} [options]
+ * @param {boolean} [options.wait] - Wait for the receipt when it does not come back with the send (default: true)
+ * @param {number} [options.timeout] - Receipt wait timeout in ms (default: 120000)
+ * @returns {Promise<{hash: string, receipt: Object|null, sync: boolean}>} Hash, receipt, and whether it came from the sync send
+ */
+export async function sendTransaction(chainName, walletClient, request, options = {}) {
+  const { wait = true, timeout = RECEIPT_TIMEOUT_MS } = options;
+  const { syncRpc } = getChain(chainName);
+
+  if (!syncRpc) {
+    const hash = await walletClient.sendTransaction(request);
+    const receipt = wait ? await waitForReceipt(chainName, hash, { timeout }) : null;
+    return { hash, receipt, sync: false };
+  }
+
+  const prepared = await walletClient.prepareTransactionRequest(request);
+  const serializedTransaction = await walletClient.signTransaction(prepared);
+  const hash = keccak256(serializedTransaction);
+
+  try {
+    const result = await walletClient.request({ method: syncRpc, params: [serializedTransaction] });
+    // A retried submission the node already knew resolves to the hash instead of the receipt
+    if (result && typeof result === 'object') {
+      return { hash, receipt: formatTransactionReceipt(result), sync: true };
+    }
+  } catch (error) {
+    // Node answers (reverts, nonce or funding errors) stand; anything else falls back
+    if (!isUnsupportedMethod(error) && !isRetryableRpcError(classifyRpcError(error))) {
+      throw error;
+    }
+    await walletClient.sendRawTransaction({ serializedTransaction });
+  }
+
+  const receipt = await waitForReceipt(chainName, hash, { timeout });
+  return { hash, receipt, sync: false };
+}
+
+/**
+ * Receipt fields for JSON output
+ * @param {Object} receipt - Viem transaction receipt
+ * @param {boolean} [sync] - Whether the receipt came back with the sync send
+ * @returns {Object} Status, block, gas used and effective gas price as strings
+ */
+export function formatReceipt(receipt, sync = false) {
+  return {
+    status: receipt.status,
+    blockNumber: receipt.blockNumber.toString(),
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.effectiveGasPrice?.toString() ?? null,
+    sync
+  };
+}
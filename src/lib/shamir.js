@@ -0,0 +1,119 @@
+/**
+ * Shamir secret sharing over GF(256)
+ * Splits a byte string into N shares, any K of which rebuild it; fewer reveal nothing
+ * Field: GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1 (0x11b)
+ */
+
+import { randomBytes } from 'crypto';
+
+/**
+ * Exponent and logarithm tables for generator 3
+ */
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+
+let value = 1;
+for (let i = 0; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  // Multiply by 3: value * 2 (reduced mod 0x11b) xor value
+  value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+}
+// Doubled table avoids a modulo in mul()
+for (let i = 255; i < 510; i++) {
+  EXP[i] = EXP[i - 255];
+}
+
+function mul(a, b) {
+  if (a === 0 || b === 0) {
+    return 0;
+  }
+  return EXP[LOG[a] + LOG[b]];
+}
+
+function div(a, b) {
+  if (b === 0) {
+    throw new Error('Division by zero in GF(256)');
+  }
+  if (a === 0) {
+    return 0;
+  }
+  return EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Evaluate a polynomial (coefficients lowest degree first) at x
+ */
+function evaluate(coefficients, x) {
+  let result = 0;
+  for (let i = coefficients.length - 1; i >= 0; i--) {
+    result = mul(result, x) ^ coefficients[i];
+  }
+  return result;
+}
+
+/**
+ * Split a secret into shares
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {number} shares - Number of shares to create (N, at most 255)
+ * @param {number} threshold - Shares needed to recover (K, 2..N)
+ * @returns {{x: number, y: Uint8Array}[]} Shares with x = 1..N
+ */
+export function split(secret, shares, threshold) {
+  if (!Number.isInteger(threshold) || threshold < 2) {
+    throw new Error('Threshold must be at least 2');
+  }
+  if (!Number.isInteger(shares) || shares < threshold || shares > 255) {
+    throw new Error('Number of shares must be between the threshold and 255');
+  }
+
+  const result = Array.from({ length: shares }, (_, i) => ({ x: i + 1, y: new Uint8Array(secret.length) }));
+
+  // One random polynomial of degree K-1 per secret byte, with the byte as constant term
+  for (let byte = 0; byte < secret.length; byte++) {
+    const coefficients = [secret[byte], ...randomBytes(threshold - 1)];
+    for (const share of result) {
+      share.y[byte] = evaluate(coefficients, share.x);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Recover a secret from shares (Lagrange interpolation at x = 0)
+ * Any threshold-sized subset gives the secret; too few shares give garbage, not an error
+ * @param {{x: number, y: Uint8Array}[]} shares - At least threshold shares
+ * @returns {Uint8Array} Secret bytes
+ */
+export function combine(shares) {
+  if (shares.length === 0) {
+    throw new Error('No shares given');
+  }
+
+  const xs = shares.map(share => share.x);
+  if (new Set(xs).size !== xs.length || xs.includes(0)) {
+    throw new Error('Shares must have distinct, non-zero indexes');
+  }
+
+  const length = shares[0].y.length;
+  if (shares.some(share => share.y.length !== length)) {
+    throw new Error('Shares have different lengths');
+  }
+
+  const secret = new Uint8Array(length);
+  for (let i = 0; i < shares.length; i++) {
+    // Lagrange basis polynomial for share i, evaluated at 0
+    let basis = 1;
+    for (let j = 0; j < shares.length; j++) {
+      if (i !== j) {
+        basis = mul(basis, div(xs[j], xs[j] ^ xs[i]));
+      }
+    }
+    for (let byte = 0; byte < length; byte++) {
+      secret[byte] ^= mul(shares[i].y[byte], basis);
+    }
+  }
+
+  return secret;
+}
@@ -0,0 +1,228 @@
+/**
+ * Pluggable signer backends
+ *   local      - key stored in the wallet file (default, handled in wallet.js)
+ *   remote     - JSON-RPC signer over HTTP (Clef / Web3Signer style eth_sign*, e.g. signer-server.js)
+ *   subprocess - same JSON-RPC messages over the stdin/stdout of a command, one process per request
+ * The signer may refuse any request; the refusal surfaces as an error to the calling command.
+ */
+
+import { spawn } from 'child_process';
+import {
+  formatTransactionRequest,
+  getTransactionType,
+  recoverTransactionAddress,
+  parseTransaction,
+  numberToHex,
+  stringToHex,
+  toHex,
+  isAddress
+} from 'viem';
+import { toAccount } from 'viem/accounts';
+
+export const SIGNER_TYPES = ['local', 'remote', 'subprocess'];
+
+// How long to wait for a signer to answer (remote signers may ask a human)
+const SIGNER_TIMEOUT_MS = 120_000;
+
+/**
+ * Validate a signer config from a wallet file
+ * @param {Object} config - { type, url, headers } or { type, command, args }
+ * @returns {Object} The config
+ */
+export function validateSignerConfig(config) {
+  if (!config || !SIGNER_TYPES.includes(config.type)) {
+    throw new Error(`Invalid signer type "${config?.type}". Use one of: ${SIGNER_TYPES.join(', ')}`);
+  }
+
+  if (config.type === 'remote' && !/^https?:\/\//.test(config.url || '')) {
+    throw new Error('Remote signer requires an http(s) url');
+  }
+
+  if (config.type === 'subprocess') {
+    if (!config.command || typeof config.command !== 'string') {
+      throw new Error('Subprocess signer requires a command');
+    }
+    if (config.args !== undefined && !Array.isArray(config.args)) {
+      throw new Error('Subprocess signer args must be an array');
+    }
+  }
+
+  return config;
+}
+
+/**
+ * JSON.stringify that writes bigints as decimal strings
+ */
+function stringify(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v));
+}
+
+/**
+ * Unwrap a JSON-RPC response
+ */
+function unwrap(response, method) {
+  if (response.error) {
+    throw new Error(`Signer refused ${method}: ${response.error.message || JSON.stringify(response.error)}`);
+  }
+  if (response.result === undefined) {
+    throw new Error(`Signer returned no result for ${method}`);
+  }
+  return response.result;
+}
+
+/**
+ * Send one JSON-RPC request to an HTTP signer
+ */
+async function callRemote(config, method, params) {
+  let response;
+  try {
+    response = await fetch(config.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...(config.headers || {}) },
+      body: stringify({ jsonrpc: '2.0', id: 1, method, params }),
+      signal: AbortSignal.timeout(SIGNER_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new Error(`Signer at ${config.url} unreachable: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Signer at ${config.url} returned HTTP ${response.status}`);
+  }
+
+  return unwrap(await response.json(), method);
+}
+
+/**
+ * Send one JSON-RPC request to a signer subprocess (request on stdin, response on stdout)
+ * The child's stderr is passed through so it can report or prompt on the terminal.
+ */
+function callSubprocess(config, method, params) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(config.command, config.args || [], {
+      stdio: ['pipe', 'pipe', 'inherit'],
+      timeout: SIGNER_TIMEOUT_MS
+    });
+
+    let stdout = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.on('error', error => reject(new Error(`Signer command failed to start: ${error.message}`)));
+    child.on('close', code => {
+      let response;
+      try {
+        response = JSON.parse(stdout);
+      } catch {
+        return reject(new Error(`Signer command exited with code ${code} without a JSON-RPC response`));
+      }
+      try {
+        resolve(unwrap(response, method));
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    child.stdin.end(stringify({ jsonrpc: '2.0', id: 1, method, params }) + '\n');
+  });
+}
+
+/**
+ * Check that a transaction signed elsewhere is the one we asked for, from the expected account
+ */
+async function verifySignedTransaction(raw, address, request) {
+  const signer = await recoverTransactionAddress({ serializedTransaction: raw });
+  if (signer.toLowerCase() !== address.toLowerCase()) {
+    throw new Error(`Signer returned a transaction signed by ${signer}, expected ${address}`);
+  }
+
+  // Every field that decides what is executed or what it costs must match, including fees and type
+  const signed = parseTransaction(raw);
+  const same = (a, b) => String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+  const mismatch = [
+    ['type', signed.type, request.type ?? getTransactionType(request)],
+    ['to', signed.to, request.to],
+    ['value', signed.value ?? 0n, request.value ?? 0n],
+    ['data', signed.data ?? '0x', request.data ?? '0x'],
+    ['nonce', signed.nonce, request.nonce],
+    ['chainId', signed.chainId, request.chainId],
+    ['gas', signed.gas, request.gas],
+    ['gasPrice', signed.gasPrice, request.gasPrice],
+    ['maxFeePerGas', signed.maxFeePerGas, request.maxFeePerGas],
+    ['maxPriorityFeePerGas', signed.maxPriorityFeePerGas, request.maxPriorityFeePerGas]
+  ].find(([, got, want]) => !same(got, want));
+
+  if (mismatch) {
+    throw new Error(`Signer changed the transaction ${mismatch[0]} (${mismatch[1]} != ${mismatch[2]})`);
+  }
+}
+
+/**
+ * Build a viem account backed by an external signer
+ * Signing requests are forwarded as eth_sign, eth_signTypedData and eth_signTransaction
+ * @param {string} address - Signer account address
+ * @param {Object} config - Remote or subprocess signer config
+ * @returns {Object} Viem account
+ */
+export function createExternalAccount(address, config) {
+  validateSignerConfig(config);
+  if (config.type === 'local') {
+    throw new Error('Local signer has no external account');
+  }
+
+  const call = (method, params) => (config.type === 'remote'
+    ? callRemote(config, method, params)
+    : callSubprocess(config, method, params));
+
+  return toAccount({
+    address,
+
+    async signMessage({ message }) {
+      let data;
+      if (typeof message === 'string') {
+        data = stringToHex(message);
+      } else {
+        data = typeof message.raw === 'string' ? message.raw : toHex(message.raw);
+      }
+      return call('eth_sign', [address, data]);
+    },
+
+    async signTypedData(typedData) {
+      return call('eth_signTypedData', [address, typedData]);
+    },
+
+    async signTransaction(transaction) {
+      const request = {
+        ...formatTransactionRequest(transaction),
+        from: address,
+        ...(transaction.chainId !== undefined ? { chainId: numberToHex(transaction.chainId) } : {})
+      };
+
+      const result = await call('eth_signTransaction', [request]);
+      // Web3Signer returns the raw transaction, geth/Clef return { raw, tx }
+      const raw = typeof result === 'string' ? result : result?.raw;
+      if (!raw) {
+        throw new Error('Signer returned no raw transaction');
+      }
+
+      await verifySignedTransaction(raw, address, transaction);
+      return raw;
+    }
+  });
+}
+
+/**
+ * Ask a signer which accounts it holds (eth_accounts)
+ * @param {Object} config - Remote or subprocess signer config
+ * @returns {Promise<string[]>} Addresses
+ */
+export async function getSignerAccounts(config) {
+  validateSignerConfig(config);
+
+  const accounts = config.type === 'remote'
+    ? await callRemote(config, 'eth_accounts', [])
+    : await callSubprocess(config, 'eth_accounts', []);
+
+  if (!Array.isArray(accounts) || !accounts.every(account => isAddress(account))) {
+    throw new Error('Signer returned an invalid eth_accounts result');
+  }
+  return accounts;
+}
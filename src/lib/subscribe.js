@@ -0,0 +1,433 @@
+/**
+ * Subscriptions: new blocks and filtered logs
+ * Chains with `wss` endpoints subscribe over WebSocket (eth_subscribe newHeads / logs); a dropped
+ * socket is reconnected, to the next wss endpoint if there are several, and the subscription
+ * renewed. Chains without them, and chains whose sockets cannot connect, keep dropping or serve
+ * the wrong chain, fall back to polling the HTTP failover transport.
+ * Data the subscriber acts on (receipts, balances) is still read over HTTP; the socket only
+ * says when to look.
+ */
+
+import { createPublicClient, webSocket, WaitForTransactionReceiptTimeoutError } from 'viem';
+import { getChain, resolveRpc } from './chains.js';
+import { createPublicClientWithRetry, getViemChain, readWithQuorum, ChainIdMismatchError } from './rpc.js';
+
+// HTTP polling cadence when no WebSocket is available
+const POLLING_INTERVAL_MS = 4_000;
+
+// Most blocks fetched per eth_getLogs call while catching up
+const MAX_LOG_RANGE = 1_000n;
+
+// Reconnects of a dropped socket before falling back to polling, and the delay between them
+const WS_RECONNECT_ATTEMPTS = 5;
+const WS_RECONNECT_DELAY_MS = 2_000;
+const WS_TIMEOUT_MS = 10_000;
+
+/**
+ * Shared WebSocket clients by chain, closed when the last subscription ends
+ */
+const sockets = new Map();
+
+// Index of the wss endpoint to connect to next, by chain (a dropped socket moves to the next one)
+const nextEndpoint = new Map();
+
+/**
+ * Acquire the chain's WebSocket client (null when the chain has no wss endpoints)
+ */
+function acquireSocket(chainName) {
+  const { wss = [] } = getChain(chainName);
+  if (wss.length === 0) {
+    return null;
+  }
+
+  if (!sockets.has(chainName) || sockets.get(chainName).dropped) {
+    const index = (nextEndpoint.get(chainName) ?? 0) % wss.length;
+    nextEndpoint.set(chainName, index + 1);
+    // Reconnection happens in watchWithFallback: viem's own would reopen sockets we close
+    const client = createPublicClient({
+      chain: getViemChain(chainName),
+      transport: webSocket(resolveRpc(wss[index]).url, {
+        reconnect: false,
+        keepAlive: true,
+        timeout: WS_TIMEOUT_MS,
+        retryCount: 0
+      })
+    });
+    sockets.set(chainName, { client, url: wss[index], users: 0, verified: null, dropped: false });
+  }
+
+  const socket = sockets.get(chainName);
+  socket.users++;
+  return socket;
+}
+
+/**
+ * Release a WebSocket client; the socket is closed so it does not keep the process alive
+ * A subscription started meanwhile (e.g. the next receipt wait) keeps it open instead:
+ * viem caches one connection per URL, so closing it would end the new subscription too.
+ */
+function releaseSocket(chainName, socket) {
+  if (--socket.users > 0) {
+    return;
+  }
+  // Let the connection verifySocket opened settle first: asked earlier, viem would open a second one
+  Promise.resolve(socket.verified).catch(() => {})
+    .then(() => socket.client.transport.getRpcClient())
+    .then(rpcClient => {
+      if (socket.users > 0) {
+        return;
+      }
+      if (sockets.get(chainName) === socket) {
+        sockets.delete(chainName);
+      }
+      rpcClient.close();
+    })
+    .catch(() => {});
+}
+
+/**
+ * Check once per socket that it serves the configured chain
+ */
+function verifySocket(chainName, socket) {
+  socket.verified ||= socket.client.getChainId().then(chainId => {
+    const expected = getChain(chainName).chainId;
+    if (chainId !== expected) {
+      throw new ChainIdMismatchError(chainName, socket.url, chainId, expected);
+    }
+  });
+  return socket.verified;
+}
+
+/**
+ * Run a subscription over WebSocket, switching to HTTP polling if the socket is missing or fails
+ * Until one socket works, each wss endpoint is tried once. After that, a dropped socket is
+ * reconnected (and the subscription renewed) up to WS_RECONNECT_ATTEMPTS times.
+ * @param {string} chainName - Chain name
+ * @param {Function} subscribe - (wsClient, onError, resumed) => unwatch
+ * @param {Function} poll - () => unwatch
+ * @param {Object} options - onError, onTransport callbacks
+ * @returns {Function} Unwatch
+ */
+function watchWithFallback(chainName, subscribe, poll, options) {
+  const { onError = () => {}, onTransport = () => {} } = options;
+  let socket = null;
+  let stop = null;
+  let stopped = false;
+  let polling = false;
+  let connected = false;
+  let attempts = 0;
+  let failedConnects = 0;
+  let timer;
+
+  const unsubscribe = () => {
+    try {
+      stop?.();
+    } catch {
+      // The socket may already be gone
+    }
+    stop = null;
+    if (socket) {
+      releaseSocket(chainName, socket);
+      socket = null;
+    }
+  };
+
+  const startPolling = (reason) => {
+    unsubscribe();
+    polling = true;
+    onTransport({ type: 'http', intervalMs: POLLING_INTERVAL_MS, reason });
+    stop = poll();
+  };
+
+  const drop = (error) => {
+    if (stopped || polling) {
+      return;
+    }
+    if (socket) {
+      socket.dropped = true;
+    }
+    unsubscribe();
+    const reason = error.details || error.shortMessage || error.message;
+    if (!connected) {
+      if (++failedConnects < (getChain(chainName).wss?.length ?? 0)) {
+        connect();
+      } else {
+        startPolling(reason);
+      }
+      return;
+    }
+    if (error instanceof ChainIdMismatchError || attempts >= WS_RECONNECT_ATTEMPTS) {
+      startPolling(reason);
+      return;
+    }
+    attempts++;
+    timer = setTimeout(connect, WS_RECONNECT_DELAY_MS);
+  };
+
+  const connect = () => {
+    if (stopped) {
+      return;
+    }
+    socket = acquireSocket(chainName);
+    if (!socket) {
+      startPolling(null);
+      return;
+    }
+    // Errors from a socket already given up on (closed by us, or replaced) are ignored
+    const current = socket;
+    const fail = (error) => {
+      if (socket === current) {
+        drop(error);
+      }
+    };
+    verifySocket(chainName, current).then(() => {
+      if (stopped || polling || socket !== current) {
+        return;
+      }
+      const resumed = connected;
+      connected = true;
+      onTransport({ type: 'websocket', url: current.url, resumed });
+      stop = subscribe(current.client, error => {
+        if (socket === current) {
+          onError(error);
+        }
+        fail(error);
+      }, resumed);
+    }).catch(fail);
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    unsubscribe();
+  };
+}
+
+/**
+ * Poll on a timer until stopped; a tick never overlaps the previous one
+ */
+function pollLoop(tick, onError) {
+  let stopped = false;
+  let timer;
+  const run = async () => {
+    try {
+      await tick();
+    } catch (error) {
+      onError(error);
+    }
+    if (!stopped) {
+      timer = setTimeout(run, POLLING_INTERVAL_MS);
+    }
+  };
+  run();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Watch new blocks
+ * @param {string} chainName - Chain name
+ * @param {Function} onBlock - Called with each new block (header fields, no transactions)
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - Called with subscription and polling errors
+ * @param {Function} [options.onTransport] - Called with { type: 'websocket', url, resumed } or { type: 'http', intervalMs, reason }
+ * @returns {Function} Unwatch
+ */
+export function watchHeads(chainName, onBlock, options = {}) {
+  const { onError = () => {} } = options;
+
+  return watchWithFallback(chainName,
+    (client, fail) => client.watchBlocks({ onBlock, onError: fail, poll: false }),
+    () => {
+      const client = createPublicClientWithRetry(chainName);
+      let last = null;
+      return pollLoop(async () => {
+        const number = await client.getBlockNumber({ cacheTime: 0 });
+        if (last === null || number > last) {
+          last = number;
+          onBlock(await client.getBlock({ blockNumber: number }));
+        }
+      }, onError);
+    },
+    options);
+}
+
+/**
+ * Watch logs matching a filter, from the next block on
+ * Logs emitted while a socket was reconnecting, or before polling took over, are fetched with
+ * eth_getLogs so none are missed; each log is delivered once.
+ * @param {string} chainName - Chain name
+ * @param {Object} filter - { address, event, args } as for viem's getLogs / watchEvent
+ * @param {Function} onLogs - Called with each batch of decoded logs
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - Called with subscription and polling errors
+ * @param {Function} [options.onTransport] - Called with { type: 'websocket', url, resumed } or { type: 'http', intervalMs, reason }
+ * @returns {Function} Unwatch
+ */
+export function watchLogs(chainName, filter, onLogs, options = {}) {
+  const { onError = () => {} } = options;
+  const { address, event, args } = filter;
+  // Plain eth_getLogs ranges: filters (eth_newFilter) live on one endpoint and break on failover
+  const client = createPublicClientWithRetry(chainName);
+
+  // First block not yet covered by a getLogs range; positions of logs delivered since, by block
+  let fromBlock = null;
+  const seen = new Map();
+
+  const deliver = (logs) => {
+    const fresh = logs.filter(log => !seen.get(log.blockNumber)?.has(log.logIndex));
+    for (const log of fresh) {
+      seen.set(log.blockNumber, (seen.get(log.blockNumber) ?? new Set()).add(log.logIndex));
+    }
+    if (fresh.length > 0) {
+      onLogs(fresh);
+    }
+  };
+
+  // Fetch logs up to the head and move fromBlock past it (the first call only sets the start)
+  const fetchToHead = async () => {
+    const head = await client.getBlockNumber({ cacheTime: 0 });
+    if (fromBlock === null) {
+      fromBlock = head + 1n;
+      return;
+    }
+    while (fromBlock <= head) {
+      const toBlock = head < fromBlock + MAX_LOG_RANGE - 1n ? head : fromBlock + MAX_LOG_RANGE - 1n;
+      const logs = await client.getLogs({ address, event, args, fromBlock, toBlock });
+      fromBlock = toBlock + 1n;
+      deliver(logs);
+    }
+    // Covered blocks are never fetched again; live logs from later blocks stay known
+    for (const blockNumber of seen.keys()) {
+      if (blockNumber < fromBlock) {
+        seen.delete(blockNumber);
+      }
+    }
+  };
+
+  // One catch-up at a time: a call made while one runs is folded into another pass
+  let running = null;
+  let again = false;
+  const catchUp = () => {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      try {
+        do {
+          again = false;
+          await fetchToHead();
+        } while (again);
+      } finally {
+        running = null;
+      }
+    })();
+    return running;
+  };
+
+  return watchWithFallback(chainName,
+    (wsClient, fail) => {
+      catchUp().catch(onError);
+      return wsClient.watchEvent({ address, event, args, onLogs: deliver, onError: fail, poll: false });
+    },
+    () => pollLoop(catchUp, onError),
+    options);
+}
+
+/**
+ * Run a look on every new block until it succeeds (a failed look waits for the next block)
+ * @param {string} chainName - Chain name
+ * @param {Function} look - async () => value
+ * @param {number} timeout - Give up after this many ms
+ * @param {Function} timeoutError - (lastError) => error to reject with on timeout
+ * @returns {Promise<*>} The first value a look returned
+ */
+function retryOnBlocks(chainName, look, timeout, timeoutError) {
+  return new Promise((resolve, reject) => {
+    let done = false;
+    let looking = false;
+    let lastError = null;
+    let unwatch = null;
+
+    const finish = (error, value) => {
+      if (done) {
+        return;
+      }
+      done = true;
+      clearTimeout(timer);
+      unwatch?.();
+      error ? reject(error) : resolve(value);
+    };
+
+    // One look at a time; a block arriving during a look is covered by the next one
+    const check = () => {
+      if (looking || done) {
+        return;
+      }
+      looking = true;
+      look().then(value => finish(null, value), error => { lastError = error; })
+        .finally(() => { looking = false; });
+    };
+
+    const timer = setTimeout(() => finish(timeoutError(lastError)), timeout);
+    unwatch = watchHeads(chainName, check);
+    check();
+  });
+}
+
+/**
+ * Wait for a transaction receipt, checking on every new block
+ * @param {string} chainName - Chain name
+ * @param {string} hash - Transaction hash
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Give up after this many ms (default: 120000)
+ * @returns {Promise<Object>} Viem transaction receipt
+ */
+export function waitForReceipt(chainName, hash, options = {}) {
+  const { timeout = 120_000 } = options;
+  const client = createPublicClientWithRetry(chainName);
+  // Not found yet (or a transient error): the next block triggers another look
+  return retryOnBlocks(chainName, () => client.getTransactionReceipt({ hash }), timeout,
+    () => new WaitForTransactionReceiptTimeoutError({ hash }));
+}
+
+/**
+ * Wait for a transaction receipt on several independent endpoints and require the same outcome
+ * The receipt is first awaited like waitForReceipt; then, on every new block, a quorum read
+ * fetches it from each endpoint until all have reached its block and agree.
+ * @param {string} chainName - Chain name
+ * @param {number} quorum - Number of endpoints that must agree (at least 2)
+ * @param {string} hash - Transaction hash
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Give up after this many ms (default: 120000)
+ * @returns {Promise<{status: string, blockNumber: bigint, blockHash: string, gasUsed: bigint, endpoints: string[]}>}
+ */
+export async function getReceiptWithQuorum(chainName, quorum, hash, options = {}) {
+  const { timeout = 120_000 } = options;
+  const deadline = Date.now() + timeout;
+  const included = await waitForReceipt(chainName, hash, { timeout });
+
+  const confirm = async () => {
+    const { value, endpoints } = await readWithQuorum(chainName, quorum, async (client, blockNumber) => {
+      if (blockNumber < included.blockNumber) {
+        throw new Error(`head ${blockNumber} is behind block ${included.blockNumber}`);
+      }
+      const receipt = await client.getTransactionReceipt({ hash });
+      return {
+        status: receipt.status,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        gasUsed: receipt.gasUsed
+      };
+    });
+    return { ...value, endpoints };
+  };
+
+  return retryOnBlocks(chainName, confirm, Math.max(deadline - Date.now(), 0),
+    error => new Error(`No quorum of ${quorum} on the receipt within ${timeout / 1000}s: ${error?.message ?? 'no answer'}`));
+}
@@ -1,17 +1,45 @@
 /**
  * Wallet state management
  * Handles wallet generation, loading, saving, and client creation
+ * Supports multiple named wallets in ~/.evm-wallet/wallets, selected by --wallet or EVM_WALLET
+ * Dev mode (EVM_WALLET_DEV=1) replaces them with the public test mnemonic for local node / fork runs
  */
 
-import { existsSync, readFileSync, writeFileSync, chmodSync } from 'fs';
+import { existsSync, readFileSync, writeFileSync, chmodSync, renameSync, readdirSync, unlinkSync, mkdirSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
-import { createWalletClient, http } from 'viem';
-import { privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
-import { getChain } from './chains.js';
+import { createWalletClient, bytesToHex, isAddress, getAddress as checksumAddress } from 'viem';
+import {
+  privateKeyToAccount,
+  generatePrivateKey,
+  generateMnemonic,
+  mnemonicToAccount,
+  publicKeyToAddress,
+  english,
+  HDKey
+} from 'viem/accounts';
+import { validateMnemonic, mnemonicToSeedSync } from '@scure/bip39';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { createRpcTransport, getViemChain } from './rpc.js';
+import { getChain, hasLocalRpcOverride, getRpcEnvVar } from './chains.js';
+import { encryptPrivateKey, decryptPrivateKey, encryptSecret, decryptSecret } from './keystore.js';
+import { getPassphrase } from './passphrase.js';
+import { withLock } from './lock.js';
+import { createExternalAccount, validateSignerConfig } from './signer.js';
+import { WALLET_HOME, WALLETS_DIR, CONFIG_PATH, LEGACY_WALLET_PATH } from './paths.js';
 
-// Wallet lives in user's home directory — never in the project
-const WALLET_PATH = join(homedir(), '.evm-wallet.json');
+// Single lock guarding all wallet files and the config
+const LOCK_PATH = join(WALLET_HOME, '.lock');
+
+const DEFAULT_WALLET_NAME = 'default';
+const WALLET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+// BIP-44 Ethereum external chain; account i lives at m/44'/60'/0'/0/i
+const HD_BASE_PATH = "m/44'/60'/0'/0";
+
+// Hardhat / Anvil default mnemonic: public, and pre-funded on local nodes
+export const DEV_MNEMONIC = 'test test test test test test test test test test test junk';
+
+let devWallet = null;
 
 /**
  * Generate a new wallet
@@ -28,21 +56,304 @@ export function generate() {
   };
 }
 
+/**
+ * Create wallet object from an existing private key
+ * @param {string} privateKey - Hex private key (0x prefix optional)
+ * @returns {Object} Wallet object with address and private key
+ */
+export function fromPrivateKey(privateKey) {
+  const normalized = privateKey.trim().replace(/^(0x)?/i, '0x').toLowerCase();
+  if (!/^0x[0-9a-f]{64}$/.test(normalized)) {
+    throw new Error('Invalid private key: expected 32 bytes of hex (64 characters)');
+  }
+  
+  let account;
+  try {
+    account = privateKeyToAccount(normalized);
+  } catch {
+    throw new Error('Invalid private key: not a valid secp256k1 key');
+  }
+  
+  return {
+    address: account.address,
+    privateKey: normalized,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Create a watch-only wallet object (address only, cannot sign)
+ * @param {string} address - Address to watch
+ * @returns {Object} Watch-only wallet object
+ */
+export function createWatchOnly(address) {
+  if (!isAddress(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+  
+  return {
+    address: checksumAddress(address),
+    watchOnly: true,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Create a wallet object whose key lives in an external signer (remote or subprocess)
+ * @param {string} address - Signer account address
+ * @param {Object} signer - Signer config, e.g. { type: 'remote', url } or { type: 'subprocess', command, args }
+ * @returns {Object} External signer wallet object
+ */
+export function createExternalSigner(address, signer) {
+  if (!isAddress(address)) {
+    throw new Error(`Invalid address: ${address}`);
+  }
+  validateSignerConfig(signer);
+  if (signer.type === 'local') {
+    throw new Error('Local signer wallets are created with setup.js');
+  }
+  
+  return {
+    address: checksumAddress(address),
+    signer,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Create wallet object from a v3 keystore (geth, MetaMask export, ...)
+ * The keystore is kept encrypted; the passphrase is only used to verify it
+ * @param {Object} keystore - v3 keystore JSON
+ * @param {string} passphrase - Keystore passphrase
+ * @returns {Object} Encrypted wallet object
+ */
+export function fromKeystore(keystore, passphrase) {
+  const { Crypto, crypto, ...rest } = keystore;
+  const normalized = { ...rest, crypto: crypto || Crypto };
+  const { address } = privateKeyToAccount(decryptPrivateKey(normalized, passphrase));
+  
+  return {
+    address,
+    createdAt: new Date().toISOString(),
+    keystore: { ...normalized, address: address.toLowerCase().slice(2) }
+  };
+}
+
+/**
+ * Normalize a mnemonic (lowercase, single spaces)
+ * @param {string} mnemonic - Mnemonic phrase
+ * @returns {string} Normalized mnemonic
+ */
+function normalizeMnemonic(mnemonic) {
+  return mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Create wallet object from a BIP-39 mnemonic
+ * Stores the extended public key of m/44'/60'/0'/0 so addresses can be derived without unlocking
+ * @param {string} mnemonic - 12 or 24 word mnemonic
+ * @returns {Object} Wallet object with address, mnemonic and xpub
+ */
+export function fromMnemonic(mnemonic) {
+  const normalized = normalizeMnemonic(mnemonic);
+  const wordCount = normalized.split(' ').length;
+  
+  if (wordCount !== 12 && wordCount !== 24) {
+    throw new Error(`Mnemonic must have 12 or 24 words (got ${wordCount})`);
+  }
+  
+  if (!validateMnemonic(normalized, english)) {
+    throw new Error('Invalid mnemonic: unknown word or bad checksum');
+  }
+  
+  const account = mnemonicToAccount(normalized);
+  const xpub = HDKey.fromMasterSeed(mnemonicToSeedSync(normalized))
+    .derive(HD_BASE_PATH)
+    .publicExtendedKey;
+  
+  return {
+    address: account.address,
+    mnemonic: normalized,
+    xpub,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Generate a new BIP-39 mnemonic wallet
+ * @param {number} [words] - Number of words (12 or 24, default: 12)
+ * @returns {Object} Wallet object with address, mnemonic and xpub
+ */
+export function generateMnemonicWallet(words = 12) {
+  const strengths = { 12: 128, 24: 256 };
+  if (!strengths[words]) {
+    throw new Error('Mnemonic length must be 12 or 24 words');
+  }
+  
+  return fromMnemonic(generateMnemonic(english, strengths[words]));
+}
+
+/**
+ * Parse and validate an HD account index
+ * @param {number|string} [accountIndex] - Account index (default: 0)
+ * @returns {number} Account index
+ */
+function parseAccountIndex(accountIndex) {
+  if (accountIndex === undefined || accountIndex === null) {
+    return 0;
+  }
+  
+  const index = Number(accountIndex);
+  if (!Number.isInteger(index) || index < 0 || index >= 2 ** 31) {
+    throw new Error(`Invalid account index: ${accountIndex}`);
+  }
+  return index;
+}
+
+/**
+ * Derive account address from the stored extended public key
+ * @param {string} xpub - Extended public key of m/44'/60'/0'/0
+ * @param {number} index - Account index
+ * @returns {string} Address
+ */
+function deriveAddress(xpub, index) {
+  const child = HDKey.fromExtendedKey(xpub).deriveChild(index);
+  const publicKey = secp256k1.ProjectivePoint.fromHex(child.publicKey).toRawBytes(false);
+  return publicKeyToAddress(bytesToHex(publicKey));
+}
+
+/**
+ * Read user config (default wallet, ...)
+ * @returns {Object} Config object
+ */
+function readConfig() {
+  try {
+    return JSON.parse(readFileSync(CONFIG_PATH, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write user config (caller must hold the lock)
+ * @param {Object} config - Config object
+ */
+function writeConfig(config) {
+  writeFileAtomic(CONFIG_PATH, JSON.stringify(config, null, 2));
+}
+
+/**
+ * Write a file via temp file + rename with owner-only permissions
+ * @param {string} path - Target path
+ * @param {string} data - File contents
+ */
+function writeFileAtomic(path, data) {
+  mkdirSync(WALLETS_DIR, { recursive: true, mode: 0o700 });
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, data, { encoding: 'utf8', mode: 0o600 });
+  
+  // Set secure permissions (owner read/write only)
+  chmodSync(tmpPath, 0o600);
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Validate a wallet name
+ * @param {string} name - Wallet name
+ * @returns {string} The name
+ */
+function validateWalletName(name) {
+  if (!WALLET_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid wallet name "${name}". Use letters, digits, "-" and "_" (max 64 chars)`);
+  }
+  return name;
+}
+
+/**
+ * Get the default wallet name
+ * @returns {string} Default wallet name
+ */
+export function getDefaultWalletName() {
+  return readConfig().defaultWallet || DEFAULT_WALLET_NAME;
+}
+
+/**
+ * Resolve which wallet to use: --wallet option, EVM_WALLET env var, configured default
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
+ * @returns {string} Wallet name
+ */
+export function resolveWalletName(options = {}) {
+  return validateWalletName(options.wallet || process.env.EVM_WALLET || getDefaultWalletName());
+}
+
+/**
+ * Get path of a wallet file
+ * The "default" wallet falls back to the legacy ~/.evm-wallet.json if it exists
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
+ * @returns {string} Wallet file path
+ */
+export function getWalletPath(options = {}) {
+  const name = resolveWalletName(options);
+  const path = join(WALLETS_DIR, `${name}.json`);
+  
+  if (name === DEFAULT_WALLET_NAME && !existsSync(path) && existsSync(LEGACY_WALLET_PATH)) {
+    return LEGACY_WALLET_PATH;
+  }
+  
+  return path;
+}
+
+/**
+ * Check if dev mode is on (EVM_WALLET_DEV=1)
+ * @returns {boolean} True if commands use the test mnemonic instead of the wallet files
+ */
+export function isDevMode() {
+  return ['1', 'true'].includes(process.env.EVM_WALLET_DEV);
+}
+
+/**
+ * Refuse to change wallet files in dev mode, which runs against the test mnemonic instead
+ */
+function refuseInDevMode() {
+  if (isDevMode()) {
+    throw new Error('Dev mode (EVM_WALLET_DEV) never writes wallet files. Unset it to manage real wallets.');
+  }
+}
+
+/**
+ * Load wallet, or the test mnemonic wallet in dev mode
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name (ignored in dev mode)
+ * @returns {Object|null} Wallet object or null if no wallet exists
+ */
+export function load(options = {}) {
+  if (isDevMode()) {
+    devWallet ||= fromMnemonic(DEV_MNEMONIC);
+    return devWallet;
+  }
+  return readWalletFile(options);
+}
+
 /**
  * Load wallet from state file
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
  * @returns {Object|null} Wallet object or null if no wallet exists
  */
-export function load() {
+function readWalletFile(options = {}) {
   try {
-    if (!existsSync(WALLET_PATH)) {
+    const walletPath = getWalletPath(options);
+    if (!existsSync(walletPath)) {
       return null;
     }
     
-    const data = readFileSync(WALLET_PATH, 'utf8');
+    const data = readFileSync(walletPath, 'utf8');
     const wallet = JSON.parse(data);
     
-    // Validate wallet structure
-    if (!wallet.privateKey || !wallet.address) {
+    // Validate wallet structure (plaintext key/mnemonic, encrypted keystore, watch-only or external signer)
+    if ((!wallet.privateKey && !wallet.mnemonic && !wallet.keystore && !wallet.watchOnly && !wallet.signer) || !wallet.address) {
       throw new Error('Invalid wallet file: missing required fields');
     }
     
@@ -54,106 +365,418 @@ export function load() {
 
 /**
  * Save wallet to state file with secure permissions
+ * Writes to a temp file first so an existing wallet is never left half-written,
+ * under a lock so concurrent setups cannot clobber each other
  * @param {Object} wallet - Wallet object to save
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
+ * @param {boolean} [options.overwrite] - Replace an existing wallet (default: true)
  */
-export function save(wallet) {
+export function save(wallet, options = {}) {
+  const { overwrite = true } = options;
+  
+  refuseInDevMode();
+  
   try {
-    const data = JSON.stringify(wallet, null, 2);
-    writeFileSync(WALLET_PATH, data, 'utf8');
-    
-    // Set secure permissions (owner read/write only)
-    chmodSync(WALLET_PATH, 0o600);
+    withLock(LOCK_PATH, () => {
+      const walletPath = getWalletPath(options);
+      if (!overwrite && existsSync(walletPath)) {
+        throw new Error(`Wallet "${resolveWalletName(options)}" already exists`);
+      }
+      writeFileAtomic(walletPath, JSON.stringify(wallet, null, 2));
+    });
   } catch (error) {
     throw new Error(`Failed to save wallet: ${error.message}`);
   }
 }
 
 /**
- * Get viem account from stored wallet
+ * Check if a wallet is stored as an encrypted keystore
+ * @param {Object} wallet - Wallet object
+ * @returns {boolean} True if encrypted
+ */
+export function isEncrypted(wallet) {
+  return Boolean(wallet?.keystore);
+}
+
+/**
+ * Check if a wallet is watch-only (address without a secret)
+ * @param {Object} wallet - Wallet object
+ * @returns {boolean} True if watch-only
+ */
+export function isWatchOnly(wallet) {
+  return Boolean(wallet?.watchOnly);
+}
+
+/**
+ * Check if a wallet signs through an external (remote or subprocess) signer
+ * @param {Object} wallet - Wallet object
+ * @returns {boolean} True if the key is held by an external signer
+ */
+export function isExternalSigner(wallet) {
+  return Boolean(wallet?.signer) && wallet.signer.type !== 'local';
+}
+
+/**
+ * Check if a wallet holds a BIP-39 mnemonic (HD wallet)
+ * @param {Object} wallet - Wallet object
+ * @returns {boolean} True if mnemonic-based
+ */
+export function isMnemonic(wallet) {
+  return Boolean(wallet?.mnemonic) || wallet?.secretType === 'mnemonic';
+}
+
+/**
+ * Encrypt a plaintext wallet into a v3 keystore wallet
+ * Mnemonic wallets encrypt the phrase itself and are tagged with secretType "mnemonic"
+ * @param {Object} wallet - Plaintext wallet object
+ * @param {string} passphrase - Passphrase
+ * @param {Object} [options]
+ * @param {string} [options.kdf] - 'scrypt' (default) or 'pbkdf2'
+ * @returns {Object} Encrypted wallet object (no private key)
+ */
+export function encryptWallet(wallet, passphrase, options = {}) {
+  if (isEncrypted(wallet)) {
+    throw new Error('Wallet is already encrypted');
+  }
+  if (isWatchOnly(wallet)) {
+    throw new Error('Watch-only wallet has no secret to encrypt');
+  }
+  if (isExternalSigner(wallet)) {
+    throw new Error('Wallet uses an external signer and has no local secret to encrypt');
+  }
+  
+  const { privateKey, mnemonic, ...rest } = wallet;
+  
+  if (mnemonic) {
+    return {
+      ...rest,
+      secretType: 'mnemonic',
+      keystore: encryptSecret(new TextEncoder().encode(mnemonic), passphrase, {
+        ...options,
+        address: wallet.address
+      })
+    };
+  }
+  
+  return {
+    ...rest,
+    keystore: encryptPrivateKey(privateKey, passphrase, options)
+  };
+}
+
+/**
+ * Decrypt an encrypted wallet back to its plaintext form
+ * @param {Object} wallet - Encrypted wallet object
+ * @param {string} passphrase - Passphrase
+ * @returns {Object} Plaintext wallet object (privateKey or mnemonic)
+ */
+export function decryptWallet(wallet, passphrase) {
+  if (!isEncrypted(wallet)) {
+    return wallet;
+  }
+  
+  const { keystore, secretType, ...rest } = wallet;
+  
+  const decrypted = secretType === 'mnemonic'
+    ? { ...rest, mnemonic: new TextDecoder().decode(decryptSecret(keystore, passphrase)) }
+    : { ...rest, privateKey: decryptPrivateKey(keystore, passphrase) };
+  
+  const account = accountFromWallet(decrypted, 0);
+  if (account.address.toLowerCase() !== wallet.address.toLowerCase()) {
+    throw new Error('Decrypted key does not match wallet address');
+  }
+  
+  return decrypted;
+}
+
+/**
+ * Build viem account from a plaintext wallet
+ * @param {Object} wallet - Plaintext wallet object
+ * @param {number} accountIndex - HD account index
  * @returns {Object} Viem account object
  */
-export function getAccount() {
-  const wallet = load();
-  if (!wallet) {
-    throw new Error('No wallet found. Run setup.js first to generate a wallet.');
+function accountFromWallet(wallet, accountIndex) {
+  if (wallet.mnemonic) {
+    return mnemonicToAccount(wallet.mnemonic, { addressIndex: accountIndex });
+  }
+  
+  if (accountIndex !== 0) {
+    throw new Error('Account index requires a mnemonic (HD) wallet. This wallet holds a single private key.');
   }
   
   return privateKeyToAccount(wallet.privateKey);
 }
 
+/**
+ * Load a wallet that holds a secret (refuses missing and watch-only wallets)
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
+ * @returns {Object} Stored wallet object (possibly encrypted)
+ */
+function loadSigningWallet(options) {
+  const wallet = load(options);
+  if (!wallet) {
+    throw new Error(`No wallet "${resolveWalletName(options)}" found. Run setup.js first to generate a wallet.`);
+  }
+  
+  if (isWatchOnly(wallet)) {
+    throw new Error(`Wallet "${resolveWalletName(options)}" is watch-only (${wallet.address}) and cannot sign. Select a signing wallet with --wallet.`);
+  }
+  
+  return wallet;
+}
+
+/**
+ * Load a wallet and decrypt it if needed, for commands that handle the raw secret (backups)
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
+ * @param {string} [options.passphraseFile] - Passphrase file path
+ * @returns {Promise<Object>} Plaintext wallet object (privateKey or mnemonic)
+ */
+export async function unlockWallet(options = {}) {
+  const wallet = loadSigningWallet(options);
+  
+  if (isExternalSigner(wallet)) {
+    throw new Error(`Wallet "${resolveWalletName(options)}" uses a ${wallet.signer.type} signer; its key is not stored on this host`);
+  }
+  
+  if (!isEncrypted(wallet)) {
+    return wallet;
+  }
+  
+  const passphrase = await getPassphrase({ passphraseFile: options.passphraseFile });
+  return decryptWallet(wallet, passphrase);
+}
+
+/**
+ * Get viem account from stored wallet
+ * Encrypted wallets are unlocked with a passphrase (file, env var or TTY prompt);
+ * external signer wallets return an account that forwards each signature request
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
+ * @param {string} [options.passphraseFile] - Passphrase file path
+ * @param {number|string} [options.accountIndex] - HD account index (m/44'/60'/0'/0/i)
+ * @returns {Promise<Object>} Viem account object
+ */
+export async function getAccount(options = {}) {
+  const accountIndex = parseAccountIndex(options.accountIndex);
+  
+  const wallet = loadSigningWallet(options);
+  
+  if (isExternalSigner(wallet)) {
+    if (accountIndex !== 0) {
+      throw new Error('Account index is not supported for external signer wallets');
+    }
+    return createExternalAccount(wallet.address, wallet.signer);
+  }
+  
+  if (!isEncrypted(wallet)) {
+    return accountFromWallet(wallet, accountIndex);
+  }
+  
+  if (accountIndex !== 0 && !isMnemonic(wallet)) {
+    throw new Error('Account index requires a mnemonic (HD) wallet. This wallet holds a single private key.');
+  }
+  
+  const passphrase = await getPassphrase({ passphraseFile: options.passphraseFile });
+  return accountFromWallet(decryptWallet(wallet, passphrase), accountIndex);
+}
+
 /**
  * Get wallet address
+ * HD accounts are derived from the stored xpub, so no passphrase is needed
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
+ * @param {number|string} [options.accountIndex] - HD account index (m/44'/60'/0'/0/i)
  * @returns {string} Wallet address
  */
-export function getAddress() {
-  const wallet = load();
+export function getAddress(options = {}) {
+  const accountIndex = parseAccountIndex(options.accountIndex);
+  
+  const wallet = load(options);
   if (!wallet) {
-    throw new Error('No wallet found. Run setup.js first to generate a wallet.');
+    throw new Error(`No wallet "${resolveWalletName(options)}" found. Run setup.js first to generate a wallet.`);
   }
   
-  return wallet.address;
+  if (accountIndex === 0) {
+    return wallet.address;
+  }
+  
+  if (!wallet.xpub) {
+    throw new Error('Account index requires a mnemonic (HD) wallet. This wallet holds a single private key.');
+  }
+  
+  return deriveAddress(wallet.xpub, accountIndex);
 }
 
 /**
  * Create viem wallet client for a specific chain
  * @param {string} chainName - Chain name
- * @returns {Object} Viem wallet client
- */
-export function getWalletClient(chainName) {
-  const chain = getChain(chainName);
-  const account = getAccount();
-  
-  // Create viem chain config
-  const viemChain = {
-    id: chain.chainId,
-    name: chain.name,
-    nativeCurrency: {
-      name: chain.nativeToken.symbol,
-      symbol: chain.nativeToken.symbol,
-      decimals: chain.nativeToken.decimals
-    },
-    rpcUrls: {
-      default: { http: chain.rpcs },
-      public: { http: chain.rpcs }
-    },
-    blockExplorers: {
-      default: {
-        name: chain.explorer.name,
-        url: chain.explorer.url
-      }
-    }
-  };
+ * @param {Object} [options] - Options passed to getAccount
+ * @param {Object} [options.account] - Already unlocked account (skips loading the wallet)
+ * @returns {Promise<Object>} Viem wallet client
+ */
+export async function getWalletClient(chainName, options = {}) {
+  // The dev key is public: anything it signs for a live network can be front-run or drained
+  if (isDevMode() && !getChain(chainName).testnet && !hasLocalRpcOverride(chainName)) {
+    throw new Error(`Dev mode signs with the public test mnemonic. Point ${chainName} at a local node or fork ` +
+      `(loopback or private network address) with --rpc-url or ${getRpcEnvVar(chainName)}.`);
+  }
+  
+  const account = options.account || await getAccount(options);
   
+  // Same failover transport as the public clients; longer timeout for broadcasts
   return createWalletClient({
     account,
-    chain: viemChain,
-    transport: http(chain.rpcs[0], {
-      retryCount: 3,
-      timeout: 30_000
-    })
+    chain: getViemChain(chainName),
+    transport: createRpcTransport(chainName, { timeout: 30_000 })
   });
 }
 
 /**
  * Check if wallet exists
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
  * @returns {boolean} True if wallet exists
  */
-export function exists() {
-  return existsSync(WALLET_PATH);
+export function exists(options = {}) {
+  return isDevMode() || existsSync(getWalletPath(options));
 }
 
 /**
  * Get wallet info (safe - no private key)
+ * @param {Object} [options]
+ * @param {string} [options.wallet] - Wallet name
  * @returns {Object} Wallet info without private key
  */
-export function getWalletInfo() {
-  const wallet = load();
+export function getWalletInfo(options = {}) {
+  const wallet = load(options);
   if (!wallet) {
     return null;
   }
   
   return {
+    name: isDevMode() ? 'dev' : resolveWalletName(options),
     address: wallet.address,
-    createdAt: wallet.createdAt
+    createdAt: wallet.createdAt,
+    type: isWatchOnly(wallet) ? 'watch-only'
+      : isExternalSigner(wallet) ? `${wallet.signer.type}-signer`
+      : isMnemonic(wallet) ? 'mnemonic' : 'privateKey',
+    encrypted: isEncrypted(wallet)
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Resolve an address argument: a literal address, or the name (label) of any wallet
+ * @param {string} value - Address or wallet name
+ * @returns {string} Checksummed address
+ */
+export function resolveAddress(value) {
+  if (isAddress(value)) {
+    return checksumAddress(value);
+  }
+  
+  const wallet = WALLET_NAME_PATTERN.test(value) ? readWalletFile({ wallet: value }) : null;
+  if (!wallet) {
+    throw new Error(`"${value}" is neither an address nor a known wallet/watch-only label`);
+  }
+  return wallet.address;
+}
+
+/**
+ * List all named wallets (safe - no private keys)
+ * @returns {Object[]} Wallet infos, with the default wallet flagged
+ */
+export function listWallets() {
+  const names = existsSync(WALLETS_DIR)
+    ? readdirSync(WALLETS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .filter(name => WALLET_NAME_PATTERN.test(name))
+    : [];
+  
+  if (!names.includes(DEFAULT_WALLET_NAME) && existsSync(LEGACY_WALLET_PATH)) {
+    names.push(DEFAULT_WALLET_NAME);
+  }
+  
+  const defaultName = getDefaultWalletName();
+  
+  return names.sort().map(name => {
+    try {
+      return { ...getWalletInfo({ wallet: name }), isDefault: name === defaultName };
+    } catch (error) {
+      return { name, error: error.message, isDefault: name === defaultName };
+    }
+  });
+}
+
+/**
+ * Rename a wallet
+ * @param {string} oldName - Current wallet name
+ * @param {string} newName - New wallet name
+ */
+export function renameWallet(oldName, newName) {
+  refuseInDevMode();
+  validateWalletName(oldName);
+  validateWalletName(newName);
+  
+  withLock(LOCK_PATH, () => {
+    const oldPath = getWalletPath({ wallet: oldName });
+    const newPath = join(WALLETS_DIR, `${newName}.json`);
+    
+    if (!existsSync(oldPath)) {
+      throw new Error(`Wallet "${oldName}" not found`);
+    }
+    if (existsSync(newPath) || (newName === DEFAULT_WALLET_NAME && existsSync(LEGACY_WALLET_PATH))) {
+      throw new Error(`Wallet "${newName}" already exists`);
+    }
+    
+    mkdirSync(WALLETS_DIR, { recursive: true, mode: 0o700 });
+    renameSync(oldPath, newPath);
+    
+    const config = readConfig();
+    if (getDefaultWalletName() === oldName) {
+      writeConfig({ ...config, defaultWallet: newName });
+    }
+  });
+}
+
+/**
+ * Remove a wallet file
+ * @param {string} name - Wallet name
+ */
+export function removeWallet(name) {
+  refuseInDevMode();
+  validateWalletName(name);
+  
+  withLock(LOCK_PATH, () => {
+    const walletPath = getWalletPath({ wallet: name });
+    if (!existsSync(walletPath)) {
+      throw new Error(`Wallet "${name}" not found`);
+    }
+    unlinkSync(walletPath);
+    
+    const config = readConfig();
+    if (config.defaultWallet === name) {
+      const { defaultWallet, ...rest } = config;
+      writeConfig(rest);
+    }
+  });
+}
+
+/**
+ * Set the default wallet
+ * @param {string} name - Wallet name
+ */
+export function setDefaultWallet(name) {
+  refuseInDevMode();
+  validateWalletName(name);
+  
+  withLock(LOCK_PATH, () => {
+    if (!existsSync(getWalletPath({ wallet: name }))) {
+      throw new Error(`Wallet "${name}" not found`);
+    }
+    writeConfig({ ...readConfig(), defaultWallet: name });
+  });
+}
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Script - Encrypt an existing plaintext wallet in place
+ * Replaces the raw private key or mnemonic in the wallet file with a v3 keystore
+ */
+
+import { load, save, isEncrypted, isWatchOnly, isExternalSigner, encryptWallet, decryptWallet, getWalletPath } from './lib/wallet.js';
+import { getNewPassphrase } from './lib/passphrase.js';
+import { takeOption } from './lib/args.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const jsonFlag = args.includes('--json');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM Wallet Migration - Encrypt plaintext wallet
+
+Usage: node src/migrate.js [options]
+
+Options:
+  --wallet <name>
+             Wallet to encrypt (default: EVM_WALLET or configured default)
+  --kdf <scrypt|pbkdf2>
+             Key derivation function (default: scrypt)
+  --passphrase-file <path>
+             Read the new passphrase from a file instead of prompting
+  --json     Output in JSON format
+  --help     Show this help message
+
+Passphrase can also be supplied via EVM_WALLET_PASSPHRASE or
+EVM_WALLET_PASSPHRASE_FILE environment variables.
+
+Examples:
+  node src/migrate.js                                  # Prompt for passphrase
+  node src/migrate.js --passphrase-file ~/.wallet-pass # Non-interactive
+`);
+}
+
+function exitWithError(message, code = 1) {
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: false, error: message }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(code);
+}
+
+async function main() {
+  try {
+    if (helpFlag) {
+      showHelp();
+      return;
+    }
+
+    const kdf = takeOption(args, '--kdf') || 'scrypt';
+    const passphraseFile = takeOption(args, '--passphrase-file');
+
+    const walletOptions = { wallet: takeOption(args, '--wallet') };
+    const wallet = load(walletOptions);
+    if (!wallet) {
+      exitWithError('No wallet found. Run setup.js first to generate a wallet.');
+    }
+
+    if (isEncrypted(wallet)) {
+      exitWithError('Wallet is already encrypted.');
+    }
+
+    if (isWatchOnly(wallet)) {
+      exitWithError('Wallet is watch-only and has no secret to encrypt.');
+    }
+
+    if (isExternalSigner(wallet)) {
+      exitWithError('Wallet uses an external signer; its key is not stored on this host.');
+    }
+
+    const passphrase = await getNewPassphrase({ passphraseFile });
+
+    if (!jsonFlag) {
+      console.log('🔐 Encrypting wallet (this may take a few seconds)...');
+    }
+
+    const encrypted = encryptWallet(wallet, passphrase, { kdf });
+
+    // Prove the keystore opens with this passphrase before replacing the plaintext secret
+    const verified = decryptWallet(encrypted, passphrase);
+    if (verified.privateKey !== wallet.privateKey || verified.mnemonic !== wallet.mnemonic) {
+      exitWithError('Keystore verification failed. Wallet left unchanged.');
+    }
+
+    save(encrypted, walletOptions);
+
+    if (jsonFlag) {
+      console.log(JSON.stringify({
+        success: true,
+        address: wallet.address,
+        encrypted: true,
+        kdf
+      }));
+    } else {
+      console.log('✅ Wallet encrypted successfully!');
+      console.log(`\nAddress: ${wallet.address}`);
+      console.log(`Wallet file: ${getWalletPath(walletOptions)}`);
+      console.log('\n⚠️  Remember your passphrase! Without it, funds cannot be recovered.');
+      console.log('⚠️  Older copies of the wallet file still contain the plaintext key — delete them.');
+    }
+
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+main().catch(error => {
+  exitWithError(`Unexpected error: ${error.message}`);
+});
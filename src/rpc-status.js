@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * RPC Status Script - Probe every configured RPC endpoint
+ * Reports latency, head block, lag behind the best endpoint, chainId match,
+ * archive and eth_feeHistory support. First thing to run when a command fails on RPC errors.
+ * Usage:
+ *   node src/rpc-status.js                    # All chains
+ *   node src/rpc-status.js --chains base,optimism
+ *   node src/rpc-status.js --reset            # Forget recorded endpoint health first
+ */
+
+import { takeOption, takeNetwork, applyRpcUrl } from './lib/args.js';
+import { getChainLabel, getNetworkChains, getSupportedChains, resolveChainName } from './lib/chains.js';
+import { testRpcConnectivity, resetRpcState } from './lib/rpc.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const jsonFlag = args.includes('--json');
+const resetFlag = args.includes('--reset');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM RPC Status
+
+Usage: node src/rpc-status.js [options]
+
+Probes every RPC endpoint of every chain in parallel and reports:
+  latency, head block, lag behind the best endpoint, chainId match,
+  archive state (balance at block 1) and eth_feeHistory support.
+Results also refresh the endpoint ranking used by all other commands.
+
+Options:
+  --chains <a,b>  Only these chains (default: all configured chains)
+  --testnet       Only testnets (with --chains: base → base-sepolia)
+  --network <mainnet|testnet>
+                  Only chains of this network
+  --rpc-url <url> Probe this URL instead of the configured RPCs (with one chain in --chains)
+  --reset         Forget recorded endpoint health and cooldowns before probing
+  --json          Output in JSON format
+  --help          Show this help message
+
+Exit code is 1 when a chain has no working endpoint.
+
+Examples:
+  node src/rpc-status.js
+  node src/rpc-status.js --chains base --json
+  node src/rpc-status.js --reset
+`);
+}
+
+function exitWithError(message, code = 1) {
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: false, error: message }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(code);
+}
+
+/**
+ * One line per endpoint
+ */
+function formatEndpoint(endpoint) {
+  if (endpoint.error && endpoint.head === undefined) {
+    return `  ❌ ${endpoint.url}\n       ${endpoint.errorClass ? `${endpoint.errorClass}: ` : ''}${endpoint.error}`;
+  }
+  if (!endpoint.chainIdMatch) {
+    return `  ⛔ ${endpoint.url}\n       ${endpoint.error}`;
+  }
+
+  const flag = supported => (supported ? '✓' : '✗');
+  const icon = endpoint.lag > 0 ? '⚠️ ' : '✅';
+  return `  ${icon} ${endpoint.url}\n` +
+    `       ${String(endpoint.latencyMs).padStart(5)} ms  head ${endpoint.head}  lag ${endpoint.lag}` +
+    `  archive ${flag(endpoint.archive)}  feeHistory ${flag(endpoint.feeHistory)}`;
+}
+
+async function main() {
+  try {
+    if (helpFlag) {
+      showHelp();
+      return;
+    }
+
+    const chainsArg = takeOption(args, '--chains');
+    const network = takeNetwork(args);
+    const rpcUrl = takeOption(args, '--rpc-url');
+
+    let chainNames;
+    if (chainsArg) {
+      chainNames = chainsArg.split(',').map(name => resolveChainName(name.trim(), network));
+    } else {
+      chainNames = network ? getNetworkChains(network) : getSupportedChains();
+    }
+    applyRpcUrl(rpcUrl, chainNames);
+
+    if (resetFlag) {
+      if (chainsArg || network) {
+        chainNames.forEach(chainName => resetRpcState(chainName));
+      } else {
+        resetRpcState();
+      }
+    }
+
+    if (!jsonFlag) {
+      console.log(`\n📡 Probing ${chainNames.length} chain(s)${resetFlag ? ' (health reset)' : ''}...`);
+    }
+
+    const results = await testRpcConnectivity({ chains: chainNames });
+    const failed = Object.values(results).some(result => result.status !== 'connected');
+
+    if (jsonFlag) {
+      console.log(JSON.stringify({ success: !failed, reset: resetFlag, chains: results }, null, 2));
+    } else {
+      for (const [chainName, result] of Object.entries(results)) {
+        const working = result.endpoints.filter(endpoint => endpoint.ok).length;
+        console.log(`\n⛓️  ${getChainLabel(chainName)} (${chainName}) — ${working}/${result.endpoints.length} working`);
+        result.endpoints.forEach(endpoint => console.log(formatEndpoint(endpoint)));
+        console.log(result.status === 'connected'
+          ? `  → Next requests use ${result.rpc}`
+          : '  → No working endpoint: add one with node src/chains.js add <chain> --rpc <url>');
+      }
+      console.log('');
+    }
+
+    if (failed) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+main().catch(error => {
+  exitWithError(`Unexpected error: ${error.message}`);
+});
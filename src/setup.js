@@ -2,16 +2,39 @@
 
 /**
  * Setup Script - Generate new wallet
- * Creates a new wallet and saves it securely to state/wallet.json
+ * Creates a new wallet and saves it securely to ~/.evm-wallet/wallets/<name>.json
+ * With --encrypt the private key is stored as a passphrase-protected v3 keystore
+ * With --mnemonic / --import-mnemonic a BIP-39 HD wallet is created instead of a single key
+ * With --import-key / --import-mnemonic / --import-keystore an existing secret is imported
  */
 
-import { generate, save, exists, getWalletInfo } from './lib/wallet.js';
-import { homedir } from 'os';
-import { join } from 'path';
+import { readFileSync, writeFileSync } from 'fs';
+
+import {
+  generate,
+  generateMnemonicWallet,
+  fromMnemonic,
+  fromPrivateKey,
+  fromKeystore,
+  save,
+  exists,
+  getWalletInfo,
+  getWalletPath,
+  resolveWalletName,
+  encryptWallet,
+  isDevMode
+} from './lib/wallet.js';
+import { getNewPassphrase, getPassphrase, readSecret } from './lib/passphrase.js';
+import { takeOption } from './lib/args.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const forceFlag = args.includes('--force');
+const encryptFlag = args.includes('--encrypt');
+const mnemonicFlag = args.includes('--mnemonic');
+const importMnemonicFlag = args.includes('--import-mnemonic');
+const importKeyFlag = args.includes('--import-key');
+const yesFlag = args.includes('--yes') || args.includes('-y');
 const jsonFlag = args.includes('--json');
 const helpFlag = args.includes('--help') || args.includes('-h');
 
@@ -22,13 +45,53 @@ EVM Wallet Setup
 Usage: node src/setup.js [options]
 
 Options:
+  --wallet <name>
+             Wallet name (default: EVM_WALLET or configured default)
   --force    Overwrite existing wallet
+  --mnemonic Generate a BIP-39 mnemonic (HD) wallet instead of a single key
+  --words <12|24>
+             Mnemonic length for --mnemonic (default: 12)
+  --mnemonic-file <path>
+             Write the new recovery phrase to a new file (chmod 600) instead of
+             printing it; required with --mnemonic --json
+  --import-key
+             Import an existing private key
+  --import-mnemonic
+             Import an existing mnemonic
+  --import-keystore <file>
+             Import a v3 keystore file (stays encrypted with its passphrase)
+  --secret-file <path>
+             Read the key/mnemonic to import from a file (default: stdin)
+  --yes      Save imported wallet without confirming the derived address
+             (required when stdin is not a terminal, and with --json)
+  --encrypt  Encrypt the private key with a passphrase (v3 keystore);
+             not with --import-keystore, which is kept as is
+  --kdf <scrypt|pbkdf2>
+             Key derivation function for --encrypt (default: scrypt)
+  --passphrase-file <path>
+             Read the passphrase from a file instead of prompting
   --json     Output in JSON format
   --help     Show this help message
 
+Passphrase can also be supplied via EVM_WALLET_PASSPHRASE or
+EVM_WALLET_PASSPHRASE_FILE environment variables.
+
 Examples:
-  node src/setup.js           # Generate new wallet
-  node src/setup.js --force   # Overwrite existing wallet
+  node src/setup.js             # Generate new wallet
+  node src/setup.js --encrypt   # Generate new passphrase-encrypted wallet
+  node src/setup.js --mnemonic --words 24 --encrypt  # Encrypted 24-word HD wallet
+  node src/setup.js --mnemonic --mnemonic-file phrase.txt --json
+  node src/setup.js --force     # Overwrite existing wallet
+  node src/setup.js --wallet agent-2  # Create a second, named wallet
+  node src/setup.js --import-mnemonic --yes < phrase.txt   # Import existing mnemonic
+  node src/setup.js --import-key --secret-file key.txt --encrypt
+  node src/setup.js --import-keystore UTC--2024-...--0x1234.json
+
+Secrets to import are never accepted as arguments (they would leak into
+shell history and process lists).
+
+HD wallets derive accounts on m/44'/60'/0'/0/i. Select one with
+--account-index <i> on balance, transfer, contract and swap.
 `);
 }
 
@@ -41,6 +104,22 @@ function exitWithError(message, code = 1) {
   process.exit(code);
 }
 
+/**
+ * Prompt for user confirmation
+ */
+async function confirm(message) {
+  process.stdout.write(`${message} (y/N): `);
+  
+  return new Promise((resolve) => {
+    process.stdin.resume();
+    process.stdin.once('data', (data) => {
+      process.stdin.pause();
+      const response = data.toString().trim().toLowerCase();
+      resolve(response === 'y' || response === 'yes');
+    });
+  });
+}
+
 async function main() {
   try {
     if (helpFlag) {
@@ -48,9 +127,16 @@ async function main() {
       return;
     }
 
+    // Dev mode signs with the test mnemonic: a wallet created now would never be used
+    if (isDevMode()) {
+      exitWithError('Dev mode (EVM_WALLET_DEV) never writes wallet files. Unset it to create or import a wallet.');
+    }
+
+    const walletOptions = { wallet: takeOption(args, '--wallet') };
+
     // Check if wallet already exists
-    if (exists() && !forceFlag) {
-      const info = getWalletInfo();
+    if (exists(walletOptions) && !forceFlag) {
+      const info = getWalletInfo(walletOptions);
       if (jsonFlag) {
         console.log(JSON.stringify({
           success: false,
@@ -66,27 +152,129 @@ async function main() {
       process.exit(1);
     }
 
+    const kdf = takeOption(args, '--kdf') || 'scrypt';
+    const passphraseFile = takeOption(args, '--passphrase-file');
+    const words = Number(takeOption(args, '--words') || 12);
+    const keystorePath = takeOption(args, '--import-keystore');
+    const secretFile = takeOption(args, '--secret-file');
+    const mnemonicFile = takeOption(args, '--mnemonic-file');
+    
+    const importModes = [importKeyFlag, importMnemonicFlag, Boolean(keystorePath)].filter(Boolean);
+    if (importModes.length > 1) {
+      exitWithError('Use only one of --import-key, --import-mnemonic, --import-keystore.');
+    }
+    const isImport = importModes.length === 1;
+    if (isImport && jsonFlag && !yesFlag) {
+      exitWithError('Cannot confirm import in --json mode. Re-run with --yes to save the wallet (its address is in the output).');
+    }
+    if (mnemonicFile && (!mnemonicFlag || isImport)) {
+      exitWithError('--mnemonic-file applies to a new --mnemonic wallet.');
+    }
+    if (mnemonicFlag && jsonFlag && !mnemonicFile) {
+      exitWithError('--mnemonic --json would create a wallet whose recovery phrase is never shown. Add --mnemonic-file <path> to back it up.');
+    }
+    if (keystorePath && encryptFlag) {
+      exitWithError('--encrypt does not apply to --import-keystore: the keystore is saved as is, encrypted with its own passphrase.');
+    }
+    
+    // Read the secret first, then the passphrase (both may need the terminal)
+    let wallet;
+    if (importKeyFlag) {
+      wallet = fromPrivateKey(await readSecret('Private key: ', { file: secretFile }));
+    } else if (importMnemonicFlag) {
+      wallet = fromMnemonic(await readSecret('Mnemonic: ', { file: secretFile }));
+    } else if (keystorePath) {
+      let keystore;
+      try {
+        keystore = JSON.parse(readFileSync(keystorePath, 'utf8'));
+      } catch (error) {
+        exitWithError(`Failed to read keystore file: ${error.message}`);
+      }
+      const keystorePassphrase = await getPassphrase({ passphraseFile, prompt: 'Keystore passphrase: ' });
+      wallet = fromKeystore(keystore, keystorePassphrase);
+    }
+    
+    // Show the derived address so a wrong key/phrase is caught before saving
+    if (isImport) {
+      if (!jsonFlag) {
+        console.log(`\n🔍 Derived address: ${wallet.address}`);
+      }
+      if (!yesFlag) {
+        if (!process.stdin.isTTY) {
+          exitWithError('Cannot confirm import: stdin is not a terminal. Check the address above and re-run with --yes.');
+        }
+        const confirmed = await confirm('Save this wallet?');
+        if (!confirmed) {
+          console.log('❌ Import cancelled.');
+          return;
+        }
+      }
+    }
+    
+    // Ask for the passphrase before generating anything
+    const passphrase = encryptFlag ? await getNewPassphrase({ passphraseFile }) : null;
+    
     // Generate new wallet
-    if (!jsonFlag) {
-      console.log('🔐 Generating new wallet...');
+    if (!wallet) {
+      if (!jsonFlag) {
+        console.log('🔐 Generating new wallet...');
+      }
+      wallet = mnemonicFlag ? generateMnemonicWallet(words) : generate();
+    }
+    
+    // Keep the phrase around to show once; it is not printed for --json or imports
+    const newMnemonic = mnemonicFlag && !importMnemonicFlag ? wallet.mnemonic : null;
+    
+    // Back the phrase up before saving, so a failed write leaves no wallet without a backup
+    if (newMnemonic && mnemonicFile) {
+      try {
+        writeFileSync(mnemonicFile, `${newMnemonic}\n`, { mode: 0o600, flag: 'wx' });
+      } catch (error) {
+        exitWithError(`Failed to write --mnemonic-file: ${error.message}`);
+      }
     }
     
-    const wallet = generate();
-    save(wallet);
+    if (passphrase) {
+      wallet = encryptWallet(wallet, passphrase, { kdf });
+    }
+    // Without --force, save refuses (under lock) if another process created it meanwhile
+    save(wallet, { ...walletOptions, overwrite: forceFlag });
     
     if (jsonFlag) {
       console.log(JSON.stringify({
         success: true,
+        wallet: resolveWalletName(walletOptions),
         address: wallet.address,
-        created_at: wallet.createdAt
+        created_at: wallet.createdAt,
+        type: wallet.xpub ? 'mnemonic' : 'privateKey',
+        encrypted: Boolean(wallet.keystore),
+        imported: isImport,
+        ...(mnemonicFile && { mnemonic_file: mnemonicFile })
       }));
     } else {
-      console.log('✅ Wallet created successfully!');
+      console.log(isImport ? '✅ Wallet imported successfully!' : '✅ Wallet created successfully!');
       console.log(`\nAddress: ${wallet.address}`);
       console.log(`Created: ${wallet.createdAt}`);
-      console.log(`\nWallet saved to: ${join(homedir(), '.evm-wallet.json')}`);
-      console.log('🔒 Private key stored securely (chmod 600)');
-      console.log('\n⚠️  IMPORTANT: Back up your wallet file! If lost, funds cannot be recovered.');
+      
+      if (newMnemonic && mnemonicFile) {
+        console.log(`\n📝 Recovery phrase written to ${mnemonicFile} (chmod 600). Copy it somewhere safe offline, then delete the file.`);
+        console.log("Accounts derive on m/44'/60'/0'/0/i — all of them are recoverable from this phrase.");
+      } else if (newMnemonic) {
+        console.log('\n📝 Recovery phrase (write it down, never share it):\n');
+        console.log(`   ${newMnemonic}\n`);
+        console.log("Accounts derive on m/44'/60'/0'/0/i — all of them are recoverable from this phrase.");
+      }
+      
+      console.log(`\nWallet saved to: ${getWalletPath(walletOptions)}`);
+      const secretName = wallet.xpub ? 'Recovery phrase' : 'Private key';
+      if (wallet.keystore) {
+        console.log(`🔒 ${secretName} encrypted with your passphrase (v3 keystore, chmod 600)`);
+        console.log('\n⚠️  IMPORTANT: Back up your wallet file AND remember your passphrase! Losing either means funds cannot be recovered.');
+      } else {
+        console.log(`🔒 ${secretName} stored securely (chmod 600)`);
+        console.log(`💡 Tip: use --encrypt (or run node src/migrate.js) to protect the ${wallet.xpub ? 'phrase' : 'key'} with a passphrase.`);
+        console.log('\n⚠️  IMPORTANT: Back up your wallet file! If lost, funds cannot be recovered.');
+      }
       
       console.log('\nNext steps:');
       console.log('1. Fund your wallet by sending ETH to the address above');
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Sign Script - Sign off-chain messages
+ * Usage:
+ *   node src/sign.js <message>                      # EIP-191 personal_sign (UTF-8)
+ *   node src/sign.js 0x48656c6c6f --hex             # EIP-191 personal_sign (raw bytes)
+ *   node src/sign.js --typed-data <file.json>       # EIP-712 typed data
+ */
+
+import { readFileSync } from 'fs';
+import { hashMessage, hashTypedData, recoverMessageAddress, recoverTypedDataAddress } from 'viem';
+import { printUpdateNag } from './check-update.js';
+import { takeOption } from './lib/args.js';
+import { parseMessage, loadTypedData } from './lib/messages.js';
+import { getAccount, exists } from './lib/wallet.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const jsonFlag = args.includes('--json');
+const yesFlag = args.includes('--yes') || args.includes('-y');
+const hexFlag = args.includes('--hex');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM Message Signing
+
+Usage: node src/sign.js [options] <message>
+       node src/sign.js [options] --typed-data <file>
+
+Arguments:
+  message        Message to sign with EIP-191 personal_sign
+
+Options:
+  --hex          Treat message as hex-encoded bytes (0x...) instead of UTF-8
+  --message-file <path>
+                 Read the message from a file instead of the command line
+  --typed-data <file>
+                 Sign EIP-712 typed data (JSON with domain, types, primaryType, message)
+  --yes          Skip confirmation prompt
+  --wallet <name> Wallet to use (default: EVM_WALLET or configured default)
+  --account-index <i>
+                 HD account index for mnemonic wallets (default: 0)
+  --passphrase-file <path>
+                 Read wallet passphrase from file (encrypted wallets)
+  --json         Output in JSON format
+  --help         Show this help message
+
+Examples:
+  node src/sign.js "Sign in to example.com"                 # Login message
+  node src/sign.js 0xdeadbeef --hex                         # Raw bytes
+  node src/sign.js --typed-data order.json --yes --json     # EIP-712 order / permit
+`);
+}
+
+function exitWithError(message, code = 1) {
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: false, error: message }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(code);
+}
+
+/**
+ * Pretty-print a struct value using its EIP-712 type definition
+ */
+function formatStruct(types, typeName, value, indent = '    ') {
+  const lines = [];
+
+  for (const { name, type } of types[typeName] || []) {
+    const fieldValue = value?.[name];
+    const baseType = type.replace(/\[\d*\]$/, '');
+
+    if (types[baseType] && type.endsWith(']')) {
+      lines.push(`${indent}${name} (${type}):`);
+      (fieldValue || []).forEach((item, i) => {
+        lines.push(`${indent}  [${i}]`);
+        lines.push(...formatStruct(types, baseType, item, `${indent}    `));
+      });
+    } else if (types[type]) {
+      lines.push(`${indent}${name} (${type}):`);
+      lines.push(...formatStruct(types, type, fieldValue, `${indent}  `));
+    } else {
+      const display = Array.isArray(fieldValue) ? `[${fieldValue.join(', ')}]` : String(fieldValue);
+      lines.push(`${indent}${name}: ${display}  (${type})`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Prompt for user confirmation
+ */
+async function confirm(message) {
+  if (yesFlag || jsonFlag) {
+    return true;
+  }
+
+  process.stdout.write(`${message} (y/N): `);
+
+  return new Promise((resolve) => {
+    process.stdin.resume();
+    process.stdin.once('data', (data) => {
+      process.stdin.pause();
+      const response = data.toString().trim().toLowerCase();
+      resolve(response === 'y' || response === 'yes');
+    });
+  });
+}
+
+async function main() {
+  try {
+    if (helpFlag) {
+      showHelp();
+      return;
+    }
+
+    const walletOptions = {
+      wallet: takeOption(args, '--wallet'),
+      passphraseFile: takeOption(args, '--passphrase-file'),
+      accountIndex: takeOption(args, '--account-index')
+    };
+    const typedDataPath = takeOption(args, '--typed-data');
+    const messageFile = takeOption(args, '--message-file');
+
+    // Check if wallet exists
+    if (!exists(walletOptions)) {
+      exitWithError('No wallet found. Run setup.js first to generate a wallet.');
+    }
+
+    const [messageArg] = args.filter(arg => !arg.startsWith('--') && arg !== '-y');
+
+    let request;
+    if (typedDataPath) {
+      const typedData = loadTypedData(typedDataPath);
+      request = {
+        type: 'eip712',
+        typedData,
+        hash: hashTypedData(typedData)
+      };
+    } else {
+      const text = messageFile ? readFileSync(messageFile, 'utf8') : messageArg;
+      if (text === undefined) {
+        exitWithError('Message is required. Use --help for usage information.');
+      }
+
+      const message = parseMessage(text, { hex: hexFlag });
+      request = {
+        type: 'personal_sign',
+        message,
+        hash: hashMessage(message)
+      };
+    }
+
+    // Show what is being signed
+    if (!jsonFlag) {
+      if (request.type === 'eip712') {
+        const { domain, types, primaryType, message } = request.typedData;
+        console.log('\n✍️  EIP-712 Typed Data Signature');
+        console.log('\n  Domain:');
+        for (const [key, value] of Object.entries(domain)) {
+          console.log(`    ${key}: ${value}`);
+        }
+        console.log(`\n  Primary Type: ${primaryType}`);
+        console.log('\n  Message:');
+        console.log(formatStruct(types, primaryType, message).join('\n'));
+      } else {
+        console.log('\n✍️  Personal Message Signature (EIP-191)');
+        console.log(`\n  Message: ${hexFlag ? request.message.raw : request.message}`);
+      }
+      console.log(`\n  Hash: ${request.hash}\n`);
+    }
+
+    const confirmed = await confirm('Sign this message?');
+    if (!confirmed) {
+      if (jsonFlag) {
+        console.log(JSON.stringify({ success: false, error: 'Signing cancelled by user' }));
+      } else {
+        console.log('❌ Signing cancelled.');
+      }
+      return;
+    }
+
+    const account = await getAccount(walletOptions);
+
+    let signature, signer;
+    if (request.type === 'eip712') {
+      signature = await account.signTypedData(request.typedData);
+      signer = await recoverTypedDataAddress({ ...request.typedData, signature });
+    } else {
+      signature = await account.signMessage({ message: request.message });
+      signer = await recoverMessageAddress({ message: request.message, signature });
+    }
+
+    // Sanity check: the signature must recover to the signing account
+    if (signer.toLowerCase() !== account.address.toLowerCase()) {
+      exitWithError(`Signature recovers to ${signer}, expected ${account.address}`);
+    }
+
+    if (jsonFlag) {
+      console.log(JSON.stringify({
+        success: true,
+        type: request.type,
+        signature,
+        signer,
+        hash: request.hash,
+        ...(request.type === 'eip712' ? { primaryType: request.typedData.primaryType } : {})
+      }, null, 2));
+    } else {
+      console.log('\n✅ Message signed!');
+      console.log(`Signer:    ${signer}`);
+      console.log(`Signature: ${signature}`);
+    }
+
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+main().then(() => printUpdateNag()).catch(error => {
+  exitWithError(`Unexpected error: ${error.message}`);
+});
@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+
+/**
+ * Signer Server - Stand-alone signer that holds a key and answers signature requests
+ * Speaks the JSON-RPC methods used by remote/subprocess signer wallets:
+ *   eth_accounts, eth_sign, eth_signTypedData(_v4), eth_signTransaction
+ * Every request is checked against an optional policy and may be refused.
+ * Usage:
+ *   node src/signer-server.js --wallet vault [--port 8550] [--policy policy.json]   # HTTP
+ *   node src/signer-server.js --wallet vault --stdio [--policy policy.json]         # One request on stdin
+ * Can also be imported: loadPolicy, handleRequest and createSignerServer run without the CLI.
+ */
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { hexToBigInt, hexToNumber, parseEther, formatEther, isAddress, decodeFunctionData, erc20Abi } from 'viem';
+import { takeOption } from './lib/args.js';
+import { getAccount, exists } from './lib/wallet.js';
+
+// JSON-RPC error codes
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const REFUSED = -32000;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const stdioFlag = args.includes('--stdio');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM Signer Server - isolated signer for remote/subprocess signer wallets
+
+Usage: node src/signer-server.js [options]
+
+Options:
+  --wallet <name>   Wallet whose key this signer holds (default: EVM_WALLET or configured default)
+  --port <port>     HTTP port (default: 8550)
+  --host <host>     HTTP listen address (default: 127.0.0.1)
+  --stdio           Answer a single JSON-RPC request from stdin and exit (subprocess signer)
+  --policy <file>   JSON policy restricting what may be signed
+  --passphrase-file <path>
+                    Read wallet passphrase from file (encrypted wallets)
+  --help            Show this help message
+
+Policy file (all fields optional):
+  {
+    "allowMessages": true,           // eth_sign
+    "allowTypedData": true,          // eth_signTypedData
+    "allowTransactions": true,       // eth_signTransaction
+    "chainIds": [8453],              // Only these chains
+    "allowedRecipients": ["0x..."],  // Only transactions to these addresses
+    "maxValue": "0.1"                // Max native value per transaction
+  }
+
+For ERC-20 transfer, transferFrom and approve calls, allowedRecipients is checked
+against the token recipient or spender, not the token contract. maxValue only
+limits the native value, not token amounts.
+
+Examples:
+  node src/signer-server.js --wallet vault --policy policy.json
+  node src/wallets.js signer agent --url http://127.0.0.1:8550
+`);
+}
+
+/**
+ * Error carrying a JSON-RPC error code
+ */
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function log(message) {
+  process.stderr.write(`[signer] ${message}\n`);
+}
+
+/**
+ * Load and validate the signing policy
+ * @param {string} [path] - Policy file; no file means everything is allowed
+ * @returns {Object} Policy
+ */
+export function loadPolicy(path) {
+  if (!path) {
+    return {};
+  }
+
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read policy file: ${error.message}`);
+  }
+
+  if (policy.allowedRecipients && !policy.allowedRecipients.every(address => isAddress(address))) {
+    throw new Error('Policy allowedRecipients must be addresses');
+  }
+  if (policy.maxValue !== undefined) {
+    policy.maxValueWei = parseEther(String(policy.maxValue));
+  }
+
+  return policy;
+}
+
+/**
+ * Convert an eth_signTransaction request (hex quantities) to a viem transaction
+ */
+function parseTransactionRequest(request) {
+  const quantity = value => (value === undefined ? undefined : hexToBigInt(value));
+
+  const transaction = {
+    to: request.to,
+    value: quantity(request.value) ?? 0n,
+    data: request.data ?? request.input,
+    nonce: request.nonce === undefined ? undefined : hexToNumber(request.nonce),
+    gas: quantity(request.gas),
+    chainId: request.chainId === undefined ? undefined : hexToNumber(request.chainId)
+  };
+
+  if (request.maxFeePerGas !== undefined) {
+    transaction.type = 'eip1559';
+    transaction.maxFeePerGas = quantity(request.maxFeePerGas);
+    transaction.maxPriorityFeePerGas = quantity(request.maxPriorityFeePerGas);
+  } else {
+    transaction.gasPrice = quantity(request.gasPrice);
+  }
+
+  if (transaction.nonce === undefined || transaction.gas === undefined || transaction.chainId === undefined) {
+    throw new RpcError(INVALID_PARAMS, 'Transaction must include nonce, gas and chainId');
+  }
+
+  return transaction;
+}
+
+/**
+ * The address a transaction pays or authorizes: the recipient or spender of an ERC-20 call, else `to`
+ */
+function getPolicyRecipient(transaction) {
+  if (transaction.to && transaction.data && transaction.data !== '0x') {
+    try {
+      const { functionName, args: callArgs } = decodeFunctionData({ abi: erc20Abi, data: transaction.data });
+      if (functionName === 'transfer' || functionName === 'approve') {
+        return { address: callArgs[0], role: functionName === 'approve' ? 'Token spender' : 'Token recipient' };
+      }
+      if (functionName === 'transferFrom') {
+        return { address: callArgs[1], role: 'Token recipient' };
+      }
+    } catch {
+      // Not an ERC-20 call: the contract itself is the recipient
+    }
+  }
+  return { address: transaction.to, role: 'Recipient' };
+}
+
+/**
+ * Refuse a transaction the policy does not allow
+ */
+function checkTransactionPolicy(policy, transaction) {
+  if (policy.allowTransactions === false) {
+    throw new RpcError(REFUSED, 'Transactions are not allowed by policy');
+  }
+  if (policy.chainIds && !policy.chainIds.includes(transaction.chainId)) {
+    throw new RpcError(REFUSED, `Chain ${transaction.chainId} is not allowed by policy`);
+  }
+  if (policy.allowedRecipients) {
+    const recipient = getPolicyRecipient(transaction);
+    if (!policy.allowedRecipients.some(address => address.toLowerCase() === recipient.address?.toLowerCase())) {
+      throw new RpcError(REFUSED, `${recipient.role} ${recipient.address || '(contract creation)'} is not allowed by policy`);
+    }
+  }
+  if (policy.maxValueWei !== undefined && transaction.value > policy.maxValueWei) {
+    throw new RpcError(REFUSED, `Value ${formatEther(transaction.value)} exceeds policy maximum ${policy.maxValue}`);
+  }
+}
+
+/**
+ * Check that a request is for the account this signer holds
+ */
+function checkAddress(account, address) {
+  if (!address || address.toLowerCase() !== account.address.toLowerCase()) {
+    throw new RpcError(INVALID_PARAMS, `Unknown account ${address}`);
+  }
+}
+
+/**
+ * Handle one JSON-RPC request
+ * @param {Object} account - Viem account holding the key
+ * @param {Object} policy - Policy from loadPolicy
+ * @param {Object|null} request - Parsed JSON-RPC request (null if unparseable)
+ * @returns {Promise<Object>} JSON-RPC response
+ */
+export async function handleRequest(account, policy, request) {
+  if (!request || typeof request.method !== 'string') {
+    return { jsonrpc: '2.0', id: null, error: { code: INVALID_REQUEST, message: 'Invalid JSON-RPC request' } };
+  }
+
+  const { id = null, method, params = [] } = request;
+
+  try {
+    let result;
+    switch (method) {
+      case 'eth_accounts':
+        result = [account.address];
+        break;
+
+      case 'eth_sign': {
+        const [address, data] = params;
+        checkAddress(account, address);
+        if (policy.allowMessages === false) {
+          throw new RpcError(REFUSED, 'Message signing is not allowed by policy');
+        }
+        result = await account.signMessage({ message: { raw: data } });
+        log(`signed message for ${address}`);
+        break;
+      }
+
+      case 'eth_signTypedData':
+      case 'eth_signTypedData_v4': {
+        const [address, typedDataParam] = params;
+        checkAddress(account, address);
+        if (policy.allowTypedData === false) {
+          throw new RpcError(REFUSED, 'Typed data signing is not allowed by policy');
+        }
+        const typedData = typeof typedDataParam === 'string' ? JSON.parse(typedDataParam) : typedDataParam;
+        if (policy.chainIds && typedData.domain?.chainId !== undefined && !policy.chainIds.includes(Number(typedData.domain.chainId))) {
+          throw new RpcError(REFUSED, `Chain ${typedData.domain.chainId} is not allowed by policy`);
+        }
+        result = await account.signTypedData(typedData);
+        log(`signed typed data ${typedData.primaryType} for ${address}`);
+        break;
+      }
+
+      case 'eth_signTransaction': {
+        const [txRequest] = params;
+        checkAddress(account, txRequest?.from);
+        const transaction = parseTransactionRequest(txRequest);
+        checkTransactionPolicy(policy, transaction);
+        result = await account.signTransaction(transaction);
+        log(`signed transaction on chain ${transaction.chainId} to ${transaction.to} value ${formatEther(transaction.value)}`);
+        break;
+      }
+
+      default:
+        throw new RpcError(METHOD_NOT_FOUND, `Method ${method} not supported`);
+    }
+
+    return { jsonrpc: '2.0', id, result };
+  } catch (error) {
+    log(`refused ${method}: ${error.message}`);
+    return { jsonrpc: '2.0', id, error: { code: error.code || REFUSED, message: error.message } };
+  }
+}
+
+/**
+ * Create an HTTP server answering JSON-RPC POSTs (not yet listening)
+ * @param {Object} account - Viem account holding the key
+ * @param {Object} policy - Policy from loadPolicy
+ * @returns {Object} http.Server
+ */
+export function createSignerServer(account, policy) {
+  return createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      let request;
+      try {
+        request = JSON.parse(body);
+      } catch {
+        request = null;
+      }
+      const response = await handleRequest(account, policy, request);
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function main() {
+  if (helpFlag) {
+    showHelp();
+    return;
+  }
+
+  const walletOptions = {
+    wallet: takeOption(args, '--wallet'),
+    passphraseFile: takeOption(args, '--passphrase-file')
+  };
+  const port = Number(takeOption(args, '--port') || 8550);
+  const host = takeOption(args, '--host') || '127.0.0.1';
+  const policy = loadPolicy(takeOption(args, '--policy'));
+
+  if (!exists(walletOptions)) {
+    throw new Error('No wallet found for the signer. Run setup.js first to generate a wallet.');
+  }
+
+  const account = await getAccount(walletOptions);
+  if (account.source === 'custom') {
+    throw new Error('The signer wallet must hold its own key (not another external signer)');
+  }
+
+  if (stdioFlag) {
+    let request;
+    try {
+      request = JSON.parse(await readStdin());
+    } catch {
+      request = null;
+    }
+    process.stdout.write(JSON.stringify(await handleRequest(account, policy, request)) + '\n');
+    return;
+  }
+
+  const server = createSignerServer(account, policy);
+  server.listen(port, host, () => {
+    log(`serving ${account.address} on http://${host}:${port}`);
+  });
+}
+
+// CLI mode (not when imported)
+if (process.argv[1] && process.argv[1].endsWith('signer-server.js')) {
+  main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
+}
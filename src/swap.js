@@ -4,16 +4,20 @@
  * Swap Script - Swap tokens via Odos aggregator
  * Usage: 
  *   node src/swap.js <chain> <fromToken> <toToken> <amount> [--slippage <percent>] [--yes] [--quote-only]
+ *                    [--gas <preset>] [--max-fee <gwei>] [--priority-fee <gwei>] [--gas-limit <n>]
  *   node src/swap.js base eth 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913 0.01
  */
 
-import { parseEther, parseUnits, formatEther, formatUnits, parseAbi, isAddress } from 'viem';
+import { parseEther, parseUnits, formatEther, formatUnits, parseAbi, isAddress, encodeFunctionData } from 'viem';
 import { printUpdateNag } from './check-update.js';
+import { takeOption, takeNetwork, takeGasOptions, applyRpcUrl } from './lib/args.js';
 import { getWalletClient, getAddress, exists } from './lib/wallet.js';
 import { createPublicClientWithRetry } from './lib/rpc.js';
-import { getChain, getExplorerTxUrl, getSupportedChains } from './lib/chains.js';
+import { getChain, getExplorerTxUrl, getSupportedChains, resolveChainName } from './lib/chains.js';
+import { estimateGas, getFeeParams, formatFeeParams, describeGas } from './lib/gas.js';
+import { sendTransaction, formatReceipt } from './lib/send.js';
 
-const ODOS_API = 'https://api.odos.xyz';
+const DEFAULT_ODOS_API = 'https://api.odos.xyz';
 const NATIVE_TOKEN = '0x0000000000000000000000000000000000000000';
 
 // Standard ERC20 ABI for token info
@@ -58,8 +62,30 @@ Arguments:
 
 Options:
   --slippage <n> Slippage tolerance in percent (default: 0.5)
+  --aggregator-url <url>
+                 Odos-compatible API base URL, e.g. a stub quote server
+                 (default: EVM_WALLET_AGGREGATOR_URL, else ${DEFAULT_ODOS_API})
   --yes          Skip confirmation prompt
   --quote-only   Get a quote without executing the swap
+  --testnet      Use the testnet of the given chain (not supported by Odos)
+  --network <mainnet|testnet>
+                 Select the network (default: EVM_WALLET_NETWORK, else chain as given)
+  --rpc-url <url>
+                 Send RPC calls to this URL instead of the configured RPCs
+                 (local node or fork; same as EVM_WALLET_RPC_<CHAIN>)
+  --wallet <name> Wallet to use (default: EVM_WALLET or configured default)
+  --account-index <i>
+                 HD account index for mnemonic wallets (default: 0)
+  --passphrase-file <path>
+                 Read wallet passphrase from file (encrypted wallets)
+  --gas <slow|standard|fast|urgent>
+                 Speed preset for the approval and the swap (default: standard)
+  --max-fee <gwei>
+                 Max fee per gas (the gas price on legacy chains)
+  --priority-fee <gwei>
+                 Priority fee (tip) per gas
+  --gas-limit <n>
+                 Gas limit of the swap, instead of the aggregator's
   --json         Output in JSON format
   --help         Show this help message
 
@@ -68,6 +94,7 @@ Examples:
   node src/swap.js base 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913 eth 100         # Swap 100 USDC → ETH on Base
   node src/swap.js base eth 0x833589fCD6... 0.01 --slippage 1 --yes                 # 1% slippage, skip confirm
   node src/swap.js base eth 0x833589fCD6... 0.01 --quote-only                       # Just get quote
+  node src/swap.js ethereum eth 0xA0b86991c6... 0.5 --gas fast                      # Higher tip and max fee
 `);
 }
 
@@ -136,7 +163,7 @@ async function getBalance(publicClient, tokenAddress, walletAddress) {
 /**
  * Check and set ERC20 approval for Odos router if needed
  */
-async function ensureApproval(publicClient, walletClient, tokenAddress, spender, amount, walletAddress) {
+async function ensureApproval(chainName, publicClient, walletClient, tokenAddress, spender, amount, walletAddress, fees) {
   if (tokenAddress === NATIVE_TOKEN) return; // No approval needed for native token
 
   const currentAllowance = await publicClient.readContract({
@@ -152,15 +179,16 @@ async function ensureApproval(publicClient, walletClient, tokenAddress, spender,
     console.log('⏳ Approving token spend...');
   }
 
-  const approveTx = await walletClient.writeContract({
-    address: tokenAddress,
-    abi: ERC20_ABI,
-    functionName: 'approve',
-    args: [spender, amount]
+  // Send the approval and wait for it to be mined
+  const { receipt } = await sendTransaction(chainName, walletClient, {
+    to: tokenAddress,
+    data: encodeFunctionData({
+      abi: ERC20_ABI,
+      functionName: 'approve',
+      args: [spender, amount]
+    }),
+    ...fees
   });
-
-  // Wait for approval to be mined
-  const receipt = await publicClient.waitForTransactionReceipt({ hash: approveTx });
   if (receipt.status !== 'success') {
     exitWithError('Token approval transaction failed');
   }
@@ -173,7 +201,7 @@ async function ensureApproval(publicClient, walletClient, tokenAddress, spender,
 /**
  * Get swap quote from Odos
  */
-async function getQuote(chainId, fromToken, toToken, amount, userAddr, slippagePercent) {
+async function getQuote(api, chainId, fromToken, toToken, amount, userAddr, slippagePercent) {
   const body = {
     chainId,
     inputTokens: [{ tokenAddress: fromToken, amount: amount.toString() }],
@@ -185,7 +213,7 @@ async function getQuote(chainId, fromToken, toToken, amount, userAddr, slippageP
     compact: true
   };
 
-  const res = await fetch(`${ODOS_API}/sor/quote/v2`, {
+  const res = await fetch(`${api}/sor/quote/v2`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body)
@@ -204,14 +232,14 @@ async function getQuote(chainId, fromToken, toToken, amount, userAddr, slippageP
 /**
  * Assemble swap transaction from Odos
  */
-async function assembleSwap(userAddr, pathId) {
+async function assembleSwap(api, userAddr, pathId) {
   const body = {
     userAddr,
     pathId,
     simulate: true
   };
 
-  const res = await fetch(`${ODOS_API}/sor/assemble`, {
+  const res = await fetch(`${api}/sor/assemble`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body)
@@ -236,7 +264,9 @@ async function confirm(message) {
   process.stdout.write(`${message} (y/N): `);
 
   return new Promise((resolve) => {
+    process.stdin.resume();
     process.stdin.once('data', (data) => {
+      process.stdin.pause();
       const response = data.toString().trim().toLowerCase();
       resolve(response === 'y' || response === 'yes');
     });
@@ -250,7 +280,19 @@ async function main() {
       return;
     }
 
-    if (!exists()) {
+    const walletOptions = {
+      wallet: takeOption(args, '--wallet'),
+      passphraseFile: takeOption(args, '--passphrase-file'),
+      accountIndex: takeOption(args, '--account-index')
+    };
+
+    const network = takeNetwork(args);
+    const rpcUrl = takeOption(args, '--rpc-url');
+    const aggregatorApi = (takeOption(args, '--aggregator-url') || process.env.EVM_WALLET_AGGREGATOR_URL || DEFAULT_ODOS_API)
+      .replace(/\/+$/, '');
+    const gasOptions = takeGasOptions(args);
+
+    if (!exists(walletOptions)) {
       exitWithError('No wallet found. Run setup.js first to generate a wallet.');
     }
 
@@ -266,16 +308,20 @@ async function main() {
       positional.push(args[i]);
     }
 
-    const [chainName, fromTokenArg, toTokenArg, amountStr] = positional;
+    const [chainArg, fromTokenArg, toTokenArg, amountStr] = positional;
 
-    if (!chainName || !fromTokenArg || !toTokenArg || !amountStr) {
+    if (!chainArg || !fromTokenArg || !toTokenArg || !amountStr) {
       exitWithError('Missing required arguments. Use --help for usage information.');
     }
 
+    const chainName = resolveChainName(chainArg, network);
+    applyRpcUrl(rpcUrl, [chainName]);
     const chain = getChain(chainName);
+    if (chain.testnet) {
+      exitWithError(`Swaps are not available on ${chain.name}: the Odos aggregator only routes mainnet liquidity.`);
+    }
     const publicClient = createPublicClientWithRetry(chainName);
-    const walletClient = getWalletClient(chainName);
-    const walletAddress = getAddress();
+    const walletAddress = getAddress(walletOptions);
 
     const fromToken = resolveTokenAddress(fromTokenArg);
     const toToken = resolveTokenAddress(toTokenArg);
@@ -309,7 +355,7 @@ async function main() {
       console.log(`\n🔍 Getting quote: ${amountStr} ${fromInfo.symbol} → ${toInfo.symbol} on ${chain.name}...`);
     }
 
-    const quote = await getQuote(chain.chainId, fromToken, toToken, inputAmount, walletAddress, slippage);
+    const quote = await getQuote(aggregatorApi, chain.chainId, fromToken, toToken, inputAmount, walletAddress, slippage);
 
     // Parse output amount
     const outAmount = BigInt(quote.outAmounts[0]);
@@ -352,6 +398,17 @@ async function main() {
       return;
     }
 
+    // Fees for the approval and the swap; the gas limit comes with the assembled transaction
+    let gasEstimate;
+    try {
+      gasEstimate = await estimateGas(chainName, gasOptions);
+    } catch (error) {
+      exitWithError(`Gas estimation failed: ${error.message}`);
+    }
+    if (gasOptions.gasLimit !== null) {
+      gasEstimate.gasLimit = gasOptions.gasLimit;
+    }
+
     // Show swap details and confirm
     if (!jsonFlag) {
       console.log(`
@@ -359,7 +416,7 @@ async function main() {
   Sell:         ${amountStr} ${fromInfo.symbol}
   Buy:          ~${formattedOutput} ${toInfo.symbol}
   Price Impact: ${priceImpact}%
-  Gas Estimate: ${gasEstimateUnits} units
+  ${gasOptions.gasLimit === null ? `Gas Estimate: ${gasEstimateUnits} units\n  ` : ''}${describeGas(gasEstimate, gasOptions, { labelWidth: 13 }).join('\n  ')}
   Slippage:     ${slippage}%
   Chain:        ${chain.name}
   Wallet:       ${walletAddress}
@@ -376,38 +433,36 @@ async function main() {
       return;
     }
 
+    // Unlock wallet only once the swap is confirmed
+    const walletClient = await getWalletClient(chainName, walletOptions);
+
     // Assemble the transaction
     if (!jsonFlag) {
       console.log('⏳ Assembling transaction...');
     }
 
-    const assembled = await assembleSwap(walletAddress, quote.pathId);
+    const assembled = await assembleSwap(aggregatorApi, walletAddress, quote.pathId);
     const tx = assembled.transaction;
 
     // Approve token if ERC20
     if (fromToken !== NATIVE_TOKEN) {
-      await ensureApproval(publicClient, walletClient, fromToken, tx.to, inputAmount, walletAddress);
+      await ensureApproval(chainName, publicClient, walletClient, fromToken, tx.to, inputAmount, walletAddress, getFeeParams(gasEstimate));
     }
 
     // Execute the swap
     if (!jsonFlag) {
-      console.log('⏳ Sending swap transaction...');
+      console.log('⏳ Sending swap transaction and waiting for confirmation...');
     }
 
-    const gasParam = tx.gas && BigInt(tx.gas) > 0n ? BigInt(tx.gas) : undefined;
-    const txHash = await walletClient.sendTransaction({
+    const gasParam = gasOptions.gasLimit ?? (tx.gas && BigInt(tx.gas) > 0n ? BigInt(tx.gas) : undefined);
+    // Sent and confirmed in one call on chains with a sync send method, otherwise polled
+    const { hash: txHash, receipt, sync } = await sendTransaction(chainName, walletClient, {
       to: tx.to,
       data: tx.data,
       value: BigInt(tx.value),
-      gas: gasParam
+      gas: gasParam,
+      ...getFeeParams(gasEstimate)
     });
-
-    // Wait for receipt
-    if (!jsonFlag) {
-      console.log('⏳ Waiting for confirmation...');
-    }
-
-    const receipt = await publicClient.waitForTransactionReceipt({ hash: txHash });
     const explorerUrl = getExplorerTxUrl(chainName, txHash);
 
     if (receipt.status !== 'success') {
@@ -425,6 +480,13 @@ async function main() {
         output: { token: toToken, symbol: toInfo.symbol, expectedAmount: formattedOutput },
         priceImpact: quote.priceImpact,
         gasUsed: receipt.gasUsed?.toString(),
+        gas: {
+          preset: gasEstimate.preset,
+          ...formatFeeParams(gasEstimate),
+          gasLimit: gasParam?.toString() ?? null,
+          overrides: gasOptions.overrides
+        },
+        receipt: formatReceipt(receipt, sync),
         slippage
       }, null, 2));
     } else {
@@ -433,6 +495,7 @@ async function main() {
   Sold:     ${amountStr} ${fromInfo.symbol}
   Got:      ~${formattedOutput} ${toInfo.symbol}
   Tx Hash:  ${txHash}
+  Block:    ${receipt.blockNumber}${sync ? ' (sync send)' : ''}, gas used ${receipt.gasUsed.toLocaleString()}
   Explorer: ${explorerUrl}
 
 💡 Check your balance: node src/balance.js ${chainName}${toToken !== NATIVE_TOKEN ? ' ' + toToken : ''}
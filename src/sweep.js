@@ -0,0 +1,592 @@
+#!/usr/bin/env node
+
+/**
+ * Sweep Script - Move every token and all native currency to another wallet
+ * For key rotation and incident response (suspected key compromise)
+ * Usage:
+ *   node src/sweep.js --to <address|wallet> [--dry-run]
+ *   node src/sweep.js --new-wallet <name> [--encrypt [--new-passphrase-file <path>]] [--dry-run]
+ */
+
+import { formatUnits, encodeFunctionData, parseAbi, isAddress } from 'viem';
+import { printUpdateNag } from './check-update.js';
+import { takeOption, takeNetwork, applyRpcUrl } from './lib/args.js';
+import {
+  getAccount,
+  getAddress,
+  getWalletClient,
+  resolveAddress,
+  exists,
+  generate,
+  encryptWallet,
+  save
+} from './lib/wallet.js';
+import { getNewPassphrase } from './lib/passphrase.js';
+import { createPublicClientWithRetry } from './lib/rpc.js';
+import { sendTransaction } from './lib/send.js';
+import { waitForReceipt } from './lib/subscribe.js';
+import { getChain, getNetworkChains, resolveChainName, getChainLabel, getExplorerTxUrl } from './lib/chains.js';
+import { estimateGas, estimateGasLimit, estimateL1Fee, getFeeParams, formatGwei } from './lib/gas.js';
+
+const ERC20_ABI = parseAbi([
+  'function balanceOf(address) view returns (uint256)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+]);
+
+// How long to wait for each sweep transaction to be mined
+const RECEIPT_TIMEOUT_MS = 120_000;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const jsonFlag = args.includes('--json');
+const yesFlag = args.includes('--yes') || args.includes('-y');
+const dryRunFlag = args.includes('--dry-run');
+const encryptFlag = args.includes('--encrypt');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM Wallet Sweep - Move all funds to another wallet
+
+Usage: node src/sweep.js (--to <address|wallet> | --new-wallet <name>) [options]
+
+Destination (one of):
+  --to <address|wallet>
+                 Existing address or wallet name to receive the funds
+  --new-wallet <name>
+                 Generate a new named wallet and sweep into it
+
+Options:
+  --encrypt      Encrypt the new wallet with a passphrase (with --new-wallet), read from
+                 --new-passphrase-file or asked on the terminal. EVM_WALLET_PASSPHRASE and
+                 EVM_WALLET_PASSPHRASE_FILE are never used: they unlock the swept wallet
+  --new-passphrase-file <path>
+                 Read the new wallet's passphrase from file (with --encrypt)
+  --chains <a,b> Only sweep these chains (default: all mainnets)
+  --testnet      Sweep testnets instead (--chains base maps to base-sepolia)
+  --network <mainnet|testnet>
+                 Select the network (default: EVM_WALLET_NETWORK, else mainnet)
+  --rpc-url <url>
+                 Send RPC calls to this URL instead of the configured RPCs
+                 (local node or fork; same as EVM_WALLET_RPC_<CHAIN>)
+  --token <chain>:<address>
+                 Also sweep this ERC20 (repeatable; well-known tokens are always checked)
+  --dry-run      Show balances and the sweep plan without sending anything
+  --yes          Skip confirmation prompt
+  --wallet <name> Wallet to sweep (default: EVM_WALLET or configured default)
+  --account-index <i>
+                 HD account index for mnemonic wallets (default: 0)
+  --passphrase-file <path>
+                 Read wallet passphrase from file (encrypted wallets)
+  --json         Output in JSON format
+  --help         Show this help message
+
+Tokens are sent first, then the native balance minus the most the final
+transfer can cost (gas limit x max fee). The part of that fee not charged stays
+behind as dust, as does an L1 data fee reserve on OP Stack chains. If a token
+transfer is not confirmed in time, that chain's native transfer is skipped.
+
+Examples:
+  node src/sweep.js --new-wallet rotated --dry-run      # Preview
+  node src/sweep.js --new-wallet rotated --encrypt      # Rotate to a fresh key
+  node src/sweep.js --new-wallet rotated --encrypt --new-passphrase-file new.txt --yes
+  node src/sweep.js --to 0x1234... --chains base,arbitrum --yes
+  node src/sweep.js --to rehearsal --testnet --yes      # Rehearse on all testnets
+`);
+}
+
+function exitWithError(message, code = 1) {
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: false, error: message }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(code);
+}
+
+/**
+ * Prompt for user confirmation
+ */
+async function confirm(message) {
+  if (yesFlag || jsonFlag) {
+    return true;
+  }
+
+  process.stdout.write(`${message} (y/N): `);
+
+  return new Promise((resolve) => {
+    process.stdin.resume();
+    process.stdin.once('data', (data) => {
+      process.stdin.pause();
+      const response = data.toString().trim().toLowerCase();
+      resolve(response === 'y' || response === 'yes');
+    });
+  });
+}
+
+/**
+ * Collect --token <chain>:<address> options
+ * @param {string|null} network - Selected network, applied to the chain names
+ * @returns {Object} Extra token addresses by chain name
+ */
+function takeExtraTokens(network) {
+  const extra = {};
+  let value;
+  while ((value = takeOption(args, '--token')) !== null) {
+    const [chainName, address] = value.split(':');
+    if (!chainName || !isAddress(address || '')) {
+      throw new Error(`Invalid --token "${value}". Expected <chain>:<address>`);
+    }
+    (extra[resolveChainName(chainName, network)] ||= []).push({ address });
+  }
+  return extra;
+}
+
+/**
+ * Discover balances on one chain and work out the sweep transactions
+ * @returns {Promise<Object>} Chain plan with token and native steps
+ */
+async function planChain(chainName, from, to, extraTokens) {
+  const chain = getChain(chainName);
+  const client = createPublicClientWithRetry(chainName);
+
+  // Well-known tokens plus any requested with --token, without duplicates
+  const seen = new Set();
+  const candidates = [...(chain.tokens || []), ...(extraTokens[chainName] || [])]
+    .filter(token => !seen.has(token.address.toLowerCase()) && seen.add(token.address.toLowerCase()));
+
+  const nativeBalance = await client.getBalance({ address: from });
+
+  const plan = {
+    chain: chainName,
+    name: chain.name,
+    symbol: chain.nativeToken.symbol,
+    nativeBalance,
+    tokens: [],
+    native: null,
+    warnings: []
+  };
+
+  for (const token of candidates) {
+    try {
+      const balance = await client.readContract({
+        address: token.address,
+        abi: ERC20_ABI,
+        functionName: 'balanceOf',
+        args: [from]
+      });
+      if (balance === 0n) {
+        continue;
+      }
+
+      const [symbol, decimals] = await Promise.all([
+        token.symbol || client.readContract({ address: token.address, abi: ERC20_ABI, functionName: 'symbol' }),
+        client.readContract({ address: token.address, abi: ERC20_ABI, functionName: 'decimals' })
+      ]);
+      plan.tokens.push({ address: token.address, symbol, decimals, balance });
+    } catch (error) {
+      // One broken token must not block sweeping the rest of the chain
+      plan.warnings.push(`Skipped token ${token.symbol || token.address}: ${error.shortMessage || error.message}`);
+    }
+  }
+  const { tokens } = plan;
+
+  if (tokens.length === 0 && nativeBalance === 0n) {
+    return plan;
+  }
+
+  const gas = await estimateGas(chainName);
+  plan.gas = gas;
+  plan.nonce = await client.getTransactionCount({ address: from, blockTag: 'pending' });
+
+  // Token transfers, paid for from the native balance
+  let tokenGasCost = 0n;
+  for (const [i, token] of tokens.entries()) {
+    const data = encodeFunctionData({ abi: ERC20_ABI, functionName: 'transfer', args: [to, token.balance] });
+    token.gasLimit = await estimateGasLimit(client, { account: from, to: token.address, data });
+    const l1Fee = await estimateL1Fee(chainName, client, {
+      to: token.address,
+      data,
+      nonce: plan.nonce + i,
+      gas: token.gasLimit,
+      ...getFeeParams(gas)
+    });
+    tokenGasCost += token.gasLimit * gas.gasPrice + l1Fee;
+  }
+  plan.tokenGasCost = tokenGasCost;
+
+  if (nativeBalance < tokenGasCost) {
+    plan.warnings.push(`Not enough ${chain.nativeToken.symbol} for gas: need ${formatUnits(tokenGasCost, 18)}, have ${formatUnits(nativeBalance, 18)}`);
+    plan.tokens = [];
+    return plan;
+  }
+
+  // Native transfer goes last and spends everything except its own fee
+  const native = await planNativeTransfer(chainName, client, from, to, nativeBalance - tokenGasCost, gas, plan.nonce + tokens.length);
+  if (native) {
+    plan.native = native;
+  } else if (nativeBalance > tokenGasCost) {
+    plan.warnings.push(`Remaining ${chain.nativeToken.symbol} is too small to cover the transfer fee; left behind`);
+  }
+
+  return plan;
+}
+
+/**
+ * Work out the native transfer that leaves its highest possible fee behind
+ * The fee reserved is gasLimit × maxFeePerGas with the normal tip; the unused base fee
+ * margin stays behind as dust. (A legacy gasPrice is paid exactly.)
+ * @returns {Promise<Object|null>} Native step, or null if the balance cannot cover the fee
+ */
+async function planNativeTransfer(chainName, client, from, to, balance, gas, nonce) {
+  if (balance <= 0n) {
+    return null;
+  }
+
+  // No buffer: a plain transfer uses exactly its estimate, and any unused gas would be left as dust
+  const gasLimit = await client.estimateGas({ account: from, to, value: 1n });
+
+  // L1 data fees move with L1 gas prices, so reserve twice the current estimate
+  const fees = getFeeParams(gas);
+  const l1Fee = await estimateL1Fee(chainName, client, {
+    to,
+    value: balance,
+    nonce,
+    gas: gasLimit,
+    ...fees
+  });
+  const fee = gasLimit * gas.gasPrice + l1Fee * 2n;
+
+  if (balance <= fee) {
+    return null;
+  }
+
+  return { gasLimit, fees, fee, amount: balance - fee };
+}
+
+/**
+ * Send the planned transfers on one chain: tokens first, native last
+ */
+async function executeChain(plan, account, to) {
+  const client = createPublicClientWithRetry(plan.chain);
+  const walletClient = await getWalletClient(plan.chain, { account });
+  let nonce = plan.nonce;
+
+  for (const token of plan.tokens) {
+    let sent;
+    try {
+      sent = await sendTransaction(plan.chain, walletClient, {
+        to: token.address,
+        data: encodeFunctionData({
+          abi: ERC20_ABI,
+          functionName: 'transfer',
+          args: [to, token.balance]
+        }),
+        gas: token.gasLimit,
+        ...getFeeParams(plan.gas),
+        nonce
+      }, { wait: false });
+    } catch (error) {
+      token.status = 'failed';
+      token.error = error.message;
+      continue;
+    }
+    token.txHash = sent.hash;
+    nonce++;
+    try {
+      const receipt = sent.receipt ?? await waitForReceipt(plan.chain, sent.hash, { timeout: RECEIPT_TIMEOUT_MS });
+      token.status = receipt.status;
+    } catch (error) {
+      token.status = 'unconfirmed';
+      token.error = error.message;
+    }
+  }
+
+  // A transfer still pending may yet spend its gas: the native balance is not final
+  const pending = plan.tokens.find(token => token.status === 'unconfirmed');
+  if (pending) {
+    plan.native = null;
+    plan.warnings.push(`Native transfer skipped: the ${pending.symbol} transfer is not confirmed yet. Re-run once it is mined`);
+    return;
+  }
+
+  // Token gas was reserved at the limit; re-plan native from what is actually left
+  const balance = await client.getBalance({ address: account.address });
+  const native = await planNativeTransfer(plan.chain, client, account.address, to, balance, plan.gas, nonce);
+  plan.native = native;
+  if (!native) {
+    return;
+  }
+
+  try {
+    const sent = await sendTransaction(plan.chain, walletClient, {
+      to,
+      value: native.amount,
+      gas: native.gasLimit,
+      ...native.fees,
+      nonce
+    }, { wait: false });
+    native.txHash = sent.hash;
+    const receipt = sent.receipt ?? await waitForReceipt(plan.chain, sent.hash, { timeout: RECEIPT_TIMEOUT_MS });
+    native.status = receipt.status;
+  } catch (error) {
+    native.status = 'failed';
+    native.error = error.message;
+  }
+}
+
+/**
+ * Convert a chain plan to JSON-safe output
+ */
+function formatPlan(plan) {
+  if (plan.error) {
+    return { chain: plan.chain, error: plan.error };
+  }
+
+  return {
+    chain: plan.chain,
+    testnet: Boolean(getChain(plan.chain).testnet),
+    nativeBalance: formatUnits(plan.nativeBalance, 18),
+    symbol: plan.symbol,
+    tokens: plan.tokens.map(token => ({
+      symbol: token.symbol,
+      address: token.address,
+      amount: formatUnits(token.balance, token.decimals),
+      ...(token.txHash ? { txHash: token.txHash, explorerUrl: getExplorerTxUrl(plan.chain, token.txHash) } : {}),
+      ...(token.status ? { status: token.status } : {}),
+      ...(token.error ? { error: token.error } : {})
+    })),
+    native: plan.native ? {
+      amount: formatUnits(plan.native.amount, 18),
+      fee: formatUnits(plan.native.fee, 18),
+      ...(plan.native.txHash ? { txHash: plan.native.txHash, explorerUrl: getExplorerTxUrl(plan.chain, plan.native.txHash) } : {}),
+      ...(plan.native.status ? { status: plan.native.status } : {}),
+      ...(plan.native.error ? { error: plan.native.error } : {})
+    } : null,
+    warnings: plan.warnings
+  };
+}
+
+/**
+ * Print the per-chain report
+ */
+function printReport(plans, executed) {
+  for (const plan of plans) {
+    console.log(`\n⛓️  ${getChainLabel(plan.chain)}`);
+
+    if (plan.error) {
+      console.log(`  ❌ ${plan.error}`);
+      continue;
+    }
+
+    if (plan.tokens.length === 0 && !plan.native && plan.warnings.length === 0) {
+      console.log('  Nothing to sweep');
+      continue;
+    }
+
+    if (plan.gas && !executed) {
+      console.log(`  ${plan.gas.type === 'legacy' ? 'Gas price' : 'Max fee'}: ${formatGwei(plan.gas.gasPrice)} gwei`);
+    }
+
+    for (const token of plan.tokens) {
+      const status = token.status === 'success' ? '✅' : token.status === 'unconfirmed' ? '⏳' : token.status ? '❌' : '•';
+      console.log(`  ${status} ${formatUnits(token.balance, token.decimals)} ${token.symbol}${token.txHash ? `  ${getExplorerTxUrl(plan.chain, token.txHash)}` : ''}`);
+      if (token.error) {
+        console.log(`     ${token.error}`);
+      }
+    }
+
+    if (plan.native) {
+      const status = plan.native.status === 'success' ? '✅' : plan.native.status ? '❌' : '•';
+      console.log(`  ${status} ${formatUnits(plan.native.amount, 18)} ${plan.symbol} (fee ${formatUnits(plan.native.fee, 18)})${plan.native.txHash ? `  ${getExplorerTxUrl(plan.chain, plan.native.txHash)}` : ''}`);
+      if (plan.native.error) {
+        console.log(`     ${plan.native.error}`);
+      }
+    }
+
+    for (const warning of plan.warnings) {
+      console.log(`  ⚠️  ${warning}`);
+    }
+  }
+}
+
+async function main() {
+  try {
+    if (helpFlag) {
+      showHelp();
+      return;
+    }
+
+    const walletOptions = {
+      wallet: takeOption(args, '--wallet'),
+      passphraseFile: takeOption(args, '--passphrase-file'),
+      accountIndex: takeOption(args, '--account-index')
+    };
+    const toArg = takeOption(args, '--to');
+    const newWalletName = takeOption(args, '--new-wallet');
+    const newPassphraseFile = takeOption(args, '--new-passphrase-file');
+    const chainsArg = takeOption(args, '--chains');
+    const network = takeNetwork(args);
+    const rpcUrl = takeOption(args, '--rpc-url');
+    const extraTokens = takeExtraTokens(network);
+
+    // Check if wallet exists
+    if (!exists(walletOptions)) {
+      exitWithError('No wallet found. Run setup.js first to generate a wallet.');
+    }
+
+    if (!toArg === !newWalletName) {
+      exitWithError('Specify exactly one destination: --to <address|wallet> or --new-wallet <name>');
+    }
+
+    // The fresh wallet must not share the swept wallet's passphrase, so the env vars are out
+    if (newPassphraseFile && !encryptFlag) {
+      exitWithError('--new-passphrase-file applies to --new-wallet with --encrypt');
+    }
+    if (encryptFlag) {
+      if (!newWalletName) {
+        exitWithError('--encrypt applies to --new-wallet');
+      }
+      if (!newPassphraseFile && !process.stdin.isTTY && !dryRunFlag) {
+        exitWithError('--encrypt needs --new-passphrase-file or a terminal to ask for the new passphrase (EVM_WALLET_PASSPHRASE belongs to the swept wallet)');
+      }
+      if (newPassphraseFile && [walletOptions.passphraseFile, process.env.EVM_WALLET_PASSPHRASE_FILE].includes(newPassphraseFile)) {
+        exitWithError('--new-passphrase-file is the swept wallet\'s passphrase file. Use a new passphrase');
+      }
+    }
+
+    // Testnets are only swept when selected, by --testnet or by naming them in --chains
+    const chainNames = chainsArg
+      ? chainsArg.split(',').map(name => resolveChainName(name.trim(), network))
+      : getNetworkChains(network ?? 'mainnet');
+    applyRpcUrl(rpcUrl, chainNames);
+
+    const from = getAddress(walletOptions);
+
+    // A new wallet is generated up front (so gas can be estimated) but only saved for a real sweep
+    const newWallet = newWalletName ? generate() : null;
+    const to = newWallet ? newWallet.address : resolveAddress(toArg);
+
+    if (to.toLowerCase() === from.toLowerCase()) {
+      exitWithError('Destination is the wallet being swept.');
+    }
+
+    if (!jsonFlag) {
+      console.log(`\n🧹 Sweep ${dryRunFlag ? 'plan (dry run)' : 'plan'}`);
+      console.log(`  From: ${from}`);
+      console.log(`  To:   ${to}${newWallet ? ` (new wallet "${newWalletName}")` : ''}`);
+      console.log(`\n🔍 Checking balances on ${chainNames.length} chain(s)...`);
+    }
+
+    const plans = [];
+    for (const chainName of chainNames) {
+      try {
+        plans.push(await planChain(chainName, from, to, extraTokens));
+      } catch (error) {
+        plans.push({ chain: chainName, error: error.message, tokens: [], native: null, warnings: [] });
+      }
+    }
+
+    const hasWork = plans.some(plan => plan.tokens.length > 0 || plan.native);
+
+    if (dryRunFlag || !hasWork) {
+      if (jsonFlag) {
+        console.log(JSON.stringify({
+          success: true,
+          dryRun: dryRunFlag,
+          from,
+          to,
+          ...(newWallet ? { newWallet: newWalletName } : {}),
+          chains: plans.map(formatPlan)
+        }, null, 2));
+      } else {
+        printReport(plans, false);
+        console.log(hasWork ? '\n💡 Dry run — nothing was sent.' : '\nNothing to sweep.');
+      }
+      return;
+    }
+
+    if (!jsonFlag) {
+      printReport(plans, false);
+      console.log('');
+    }
+
+    const confirmed = await confirm(`Sweep all funds above to ${to}?`);
+    if (!confirmed) {
+      if (jsonFlag) {
+        console.log(JSON.stringify({ success: false, error: 'Sweep cancelled by user' }));
+      } else {
+        console.log('❌ Sweep cancelled.');
+      }
+      return;
+    }
+
+    // Unlock the source before creating anything, so a wrong passphrase leaves no stray wallet
+    const account = await getAccount(walletOptions);
+
+    if (newWallet) {
+      let stored = newWallet;
+      if (encryptFlag) {
+        const passphrase = await getNewPassphrase({ passphraseFile: newPassphraseFile, ignoreEnv: true });
+        if (passphrase === process.env.EVM_WALLET_PASSPHRASE) {
+          throw new Error('The new passphrase is the swept wallet\'s passphrase. Use a new one');
+        }
+        stored = encryptWallet(newWallet, passphrase);
+      }
+      save(stored, { wallet: newWalletName, overwrite: false });
+      if (!jsonFlag) {
+        console.log(`\n🔐 Created wallet "${newWalletName}" (${newWallet.address})`);
+      }
+    }
+
+    for (const plan of plans) {
+      if (plan.error || (plan.tokens.length === 0 && !plan.native)) {
+        continue;
+      }
+      if (!jsonFlag) {
+        console.log(`\n📤 Sweeping ${plan.name}...`);
+      }
+      try {
+        await executeChain(plan, account, to);
+      } catch (error) {
+        plan.error = error.message;
+      }
+    }
+
+    const failed = plans.some(plan =>
+      plan.error ||
+      plan.tokens.some(token => token.status && token.status !== 'success') ||
+      (plan.native?.status && plan.native.status !== 'success')
+    );
+
+    if (jsonFlag) {
+      console.log(JSON.stringify({
+        success: !failed,
+        dryRun: false,
+        from,
+        to,
+        ...(newWallet ? { newWallet: newWalletName } : {}),
+        chains: plans.map(formatPlan)
+      }, null, 2));
+    } else {
+      printReport(plans, true);
+      console.log(failed ? '\n⚠️  Sweep finished with errors — re-run to retry what is left.' : '\n✅ Sweep complete.');
+      if (newWallet) {
+        console.log(`\n💡 Make it the default: node src/wallets.js default ${newWalletName}`);
+      }
+    }
+
+    if (failed) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+main().then(() => printUpdateNag()).catch(error => {
+  exitWithError(`Unexpected error: ${error.message}`);
+});
@@ -5,14 +5,19 @@
  * Usage: 
  *   node src/transfer.js <chain> <to> <amount>                  # Send native ETH
  *   node src/transfer.js <chain> <to> <amount> <tokenAddress>   # Send ERC20
+ *   node src/transfer.js <chain> <to> <amount> --quorum 2       # Balance, nonce and receipt confirmed by 2 RPCs
+ *   node src/transfer.js <chain> <to> <amount> --gas fast       # Speed preset (or --max-fee, --priority-fee, --gas-limit)
  */
 
-import { parseEther, parseUnits, formatEther, parseAbi, isAddress } from 'viem';
+import { parseEther, parseUnits, formatEther, parseAbi, isAddress, encodeFunctionData } from 'viem';
 import { printUpdateNag } from './check-update.js';
+import { takeOption, takeNetwork, takeQuorum, takeGasOptions, applyRpcUrl } from './lib/args.js';
 import { getWalletClient, exists } from './lib/wallet.js';
-import { createPublicClientWithRetry } from './lib/rpc.js';
-import { getChain, getExplorerTxUrl } from './lib/chains.js';
-import { estimateGas, estimateGasLimit, formatGwei } from './lib/gas.js';
+import { createPublicClientWithRetry, readWithQuorum } from './lib/rpc.js';
+import { getChain, resolveChainName, getChainLabel, getExplorerTxUrl } from './lib/chains.js';
+import { estimateGas, estimateGasLimit, estimateTransactionFee, getFeeParams, formatFeeParams, describeGas } from './lib/gas.js';
+import { sendTransaction, formatReceipt } from './lib/send.js';
+import { getReceiptWithQuorum } from './lib/subscribe.js';
 
 // Standard ERC20 ABI
 const ERC20_ABI = parseAbi([
@@ -43,6 +48,29 @@ Arguments:
 
 Options:
   --yes          Skip confirmation prompt
+  --testnet      Use the testnet of the given chain (base → base-sepolia)
+  --network <mainnet|testnet>
+                 Select the network (default: EVM_WALLET_NETWORK, else chain as given)
+  --rpc-url <url>
+                 Send RPC calls to this URL instead of the configured RPCs
+                 (local node or fork; same as EVM_WALLET_RPC_<CHAIN>)
+  --wallet <name> Wallet to use (default: EVM_WALLET or configured default)
+  --account-index <i>
+                 HD account index for mnemonic wallets (default: 0)
+  --passphrase-file <path>
+                 Read wallet passphrase from file (encrypted wallets)
+  --quorum <n>   Check balance and nonce on n independent RPC endpoints at the
+                 same block, send with that nonce, then wait until all n agree
+                 on the receipt. Fails on any disagreement (needs n RPCs configured)
+  --gas <slow|standard|fast|urgent>
+                 Speed preset: tip percentile of recent blocks and max fee margin
+                 over the base fee (default: standard)
+  --max-fee <gwei>
+                 Max fee per gas (the gas price on legacy chains)
+  --priority-fee <gwei>
+                 Priority fee (tip) per gas
+  --gas-limit <n>
+                 Gas limit, instead of the estimate plus 20%
   --json         Output in JSON format
   --help         Show this help message
 
@@ -50,6 +78,10 @@ Examples:
   node src/transfer.js base 0x123... 0.01                    # Send 0.01 ETH on Base
   node src/transfer.js base 0x123... 100 0x833589fcd...      # Send 100 USDC on Base
   node src/transfer.js ethereum 0x123... 0.5 --yes          # Send 0.5 ETH, skip confirmation
+  node src/transfer.js base 0x123... 0.01 --testnet          # Rehearse on Base Sepolia
+  node src/transfer.js ethereum 0x123... 25 --quorum 3       # Large transfer, 3 RPCs must agree
+  node src/transfer.js ethereum 0x123... 0.5 --gas fast      # Outbid the usual tip
+  node src/transfer.js ethereum 0x123... 0.5 --max-fee 20 --priority-fee 1.5
 `);
 }
 
@@ -108,6 +140,26 @@ async function checkTokenBalance(client, tokenAddress, walletAddress) {
   }
 }
 
+/**
+ * Read the balance to spend and the account nonce on a quorum of endpoints at one block
+ */
+async function readStateWithQuorum(chainName, quorum, tokenAddress, walletAddress) {
+  const { value, blockNumber, endpoints } = await readWithQuorum(chainName, quorum, (client, blockNumber) => Promise.all([
+    tokenAddress
+      ? client.readContract({
+        address: tokenAddress,
+        abi: ERC20_ABI,
+        functionName: 'balanceOf',
+        args: [walletAddress],
+        blockNumber
+      })
+      : client.getBalance({ address: walletAddress, blockNumber }),
+    client.getTransactionCount({ address: walletAddress, blockNumber })
+  ]));
+  const [balance, nonce] = value;
+  return { balance, nonce, blockNumber, endpoints };
+}
+
 /**
  * Prompt for user confirmation
  */
@@ -119,7 +171,9 @@ async function confirm(message) {
   process.stdout.write(`${message} (y/N): `);
   
   return new Promise((resolve) => {
+    process.stdin.resume();
     process.stdin.once('data', (data) => {
+      process.stdin.pause();
       const response = data.toString().trim().toLowerCase();
       resolve(response === 'y' || response === 'yes');
     });
@@ -133,19 +187,33 @@ async function main() {
       return;
     }
 
+    const walletOptions = {
+      wallet: takeOption(args, '--wallet'),
+      passphraseFile: takeOption(args, '--passphrase-file'),
+      accountIndex: takeOption(args, '--account-index')
+    };
+
+    const network = takeNetwork(args);
+    const rpcUrl = takeOption(args, '--rpc-url');
+    const quorum = takeQuorum(args);
+    const gasOptions = takeGasOptions(args);
+
     // Check if wallet exists
-    if (!exists()) {
+    if (!exists(walletOptions)) {
       exitWithError('No wallet found. Run setup.js first to generate a wallet.');
     }
 
     // Parse arguments
     const filteredArgs = args.filter(arg => !arg.startsWith('--'));
-    const [chainName, to, amount, tokenAddress] = filteredArgs;
+    const [chainArg, to, amount, tokenAddress] = filteredArgs;
     
-    if (!chainName || !to || !amount) {
+    if (!chainArg || !to || !amount) {
       exitWithError('Missing required arguments. Use --help for usage information.');
     }
     
+    const chainName = resolveChainName(chainArg, network);
+    applyRpcUrl(rpcUrl, [chainName]);
+    
     // Validate recipient address
     if (!isAddress(to)) {
       exitWithError('Invalid recipient address.');
@@ -158,12 +226,22 @@ async function main() {
     
     const chain = getChain(chainName);
     const publicClient = createPublicClientWithRetry(chainName);
-    const walletClient = getWalletClient(chainName);
+    const walletClient = await getWalletClient(chainName, walletOptions);
     const walletAddress = walletClient.account.address;
     
     let transferAmount, symbol, decimals, name;
     let isNativeTransfer = !tokenAddress;
     
+    // With --quorum, the balance and nonce we act on must be confirmed by every endpoint
+    let verified = null;
+    if (quorum) {
+      try {
+        verified = await readStateWithQuorum(chainName, quorum, tokenAddress, walletAddress);
+      } catch (error) {
+        exitWithError(error.message);
+      }
+    }
+    
     if (isNativeTransfer) {
       // Native token transfer
       transferAmount = parseEther(amount);
@@ -172,7 +250,7 @@ async function main() {
       name = `Native ${symbol}`;
       
       // Check ETH balance
-      const balance = await publicClient.getBalance({ address: walletAddress });
+      const balance = verified ? verified.balance : await publicClient.getBalance({ address: walletAddress });
       if (balance < transferAmount) {
         exitWithError(`Insufficient balance. Have: ${formatEther(balance)} ${symbol}, Need: ${amount} ${symbol}`);
       }
@@ -187,7 +265,7 @@ async function main() {
       transferAmount = parseUnits(amount, decimals);
       
       // Check token balance
-      const tokenBalance = await checkTokenBalance(publicClient, tokenAddress, walletAddress);
+      const tokenBalance = verified ? verified.balance : await checkTokenBalance(publicClient, tokenAddress, walletAddress);
       if (tokenBalance < transferAmount) {
         const formattedBalance = decimals === 18 ? 
           formatEther(tokenBalance) : 
@@ -196,37 +274,36 @@ async function main() {
       }
     }
     
-    // Estimate gas
-    let gasEstimate;
+    // The call itself: native value, or an ERC20 transfer
+    const call = isNativeTransfer ? {
+      to,
+      value: transferAmount
+    } : {
+      to: tokenAddress,
+      data: encodeFunctionData({
+        abi: ERC20_ABI,
+        functionName: 'transfer',
+        args: [to, transferAmount]
+      })
+    };
+    
+    // Estimate gas, and the fee including the L1 data fee on rollups
+    let gasEstimate, fee;
     try {
-      if (isNativeTransfer) {
-        gasEstimate = await estimateGas(chainName);
-        const gasLimit = await estimateGasLimit(publicClient, {
-          to,
-          value: transferAmount,
-          account: walletAddress
-        });
-        gasEstimate.gasLimit = gasLimit;
-      } else {
-        gasEstimate = await estimateGas(chainName);
-        const gasLimit = await estimateGasLimit(publicClient, {
-          to: tokenAddress,
-          data: walletClient.encodeFunctionData({
-            abi: ERC20_ABI,
-            functionName: 'transfer',
-            args: [to, transferAmount]
-          }),
-          account: walletAddress
-        });
-        gasEstimate.gasLimit = gasLimit;
-      }
+      gasEstimate = await estimateGas(chainName, gasOptions);
+      gasEstimate.gasLimit = gasOptions.gasLimit ?? await estimateGasLimit(publicClient, { ...call, account: walletAddress });
+      fee = await estimateTransactionFee(chainName, publicClient, {
+        ...call,
+        account: walletAddress,
+        nonce: verified?.nonce,
+        gas: gasEstimate.gasLimit
+      }, gasEstimate);
     } catch (error) {
       exitWithError(`Gas estimation failed: ${error.message}`);
     }
     
-    // Calculate total cost for native transfers
-    const estimatedGasCost = gasEstimate.maxFeePerGas * gasEstimate.gasLimit;
-    const estimatedGasCostEth = formatEther(estimatedGasCost);
+    // Total cost: L2 execution plus the L1 data fee
+    const estimatedGasCostEth = formatEther(fee.total);
     
     // Show confirmation details
     const confirmationMessage = `
@@ -234,14 +311,13 @@ async function main() {
   From: ${walletAddress}
   To: ${to}
   Amount: ${amount} ${symbol}${tokenAddress ? ` (${name})` : ''}
-  Chain: ${chain.name}
+  Chain: ${getChainLabel(chainName)}
   
 ⛽ Gas Estimate:
-  Gas Limit: ${gasEstimate.gasLimit.toLocaleString()}
-  Max Fee: ${formatGwei(gasEstimate.maxFeePerGas)} gwei
-  Est. Cost: ${estimatedGasCostEth} ETH
+  ${describeGas(gasEstimate, gasOptions).join('\n  ')}
+${fee.l1Fee > 0n ? `  L2 Execution: ${formatEther(fee.l2Fee)} ETH\n  L1 Data Fee: ${formatEther(fee.l1Fee)} ETH\n` : ''}  Est. Cost: ${estimatedGasCostEth} ETH
   
-${isNativeTransfer ? `💰 Total Deduction: ${(parseFloat(amount) + parseFloat(estimatedGasCostEth)).toFixed(6)} ETH` : `💰 Gas Cost: ${estimatedGasCostEth} ETH (separate from token transfer)`}
+${verified ? `🛡️  Verified: balance and nonce ${verified.nonce} agree on ${quorum} RPCs at block ${verified.blockNumber}\n\n` : ''}${isNativeTransfer ? `💰 Total Deduction: ${(parseFloat(amount) + parseFloat(estimatedGasCostEth)).toFixed(6)} ETH` : `💰 Gas Cost: ${estimatedGasCostEth} ETH (separate from token transfer)`}
 
 Proceed with transfer?`;
     
@@ -259,34 +335,37 @@ Proceed with transfer?`;
       return;
     }
     
-    // Execute transfer
-    let txHash;
+    // Execute transfer (native value, or an ERC20 transfer call); the receipt comes back
+    // directly on chains with a sync send method, otherwise it is not waited for
+    let txHash, receipt, sync;
     try {
-      if (isNativeTransfer) {
-        // Send native token
-        txHash = await walletClient.sendTransaction({
-          to,
-          value: transferAmount,
-          maxFeePerGas: gasEstimate.maxFeePerGas,
-          maxPriorityFeePerGas: gasEstimate.maxPriorityFeePerGas,
-          gas: gasEstimate.gasLimit
-        });
-      } else {
-        // Send ERC20 token
-        txHash = await walletClient.writeContract({
-          address: tokenAddress,
-          abi: ERC20_ABI,
-          functionName: 'transfer',
-          args: [to, transferAmount],
-          maxFeePerGas: gasEstimate.maxFeePerGas,
-          maxPriorityFeePerGas: gasEstimate.maxPriorityFeePerGas,
-          gas: gasEstimate.gasLimit
-        });
-      }
+      ({ hash: txHash, receipt, sync } = await sendTransaction(chainName, walletClient, {
+        ...call,
+        ...getFeeParams(gasEstimate),
+        gas: gasEstimate.gasLimit,
+        ...(verified ? { nonce: verified.nonce } : {})
+      }, { wait: false }));
     } catch (error) {
       exitWithError(`Transfer failed: ${error.message}`);
     }
     
+    if (receipt && receipt.status !== 'success') {
+      exitWithError(`Transfer reverted in block ${receipt.blockNumber}. Tx: ${getExplorerTxUrl(chainName, txHash)}`);
+    }
+    
+    // With --quorum, wait until every endpoint reports the same receipt
+    let quorumReceipt = null;
+    if (verified) {
+      if (!jsonFlag) {
+        console.log(`\n⏳ Waiting for ${quorum} RPCs to agree on the receipt of ${txHash}...`);
+      }
+      try {
+        quorumReceipt = await getReceiptWithQuorum(chainName, quorum, txHash);
+      } catch (error) {
+        exitWithError(`Transaction ${txHash} was sent, but its receipt is not confirmed: ${error.message}`);
+      }
+    }
+    
     const explorerUrl = getExplorerTxUrl(chainName, txHash);
     
     if (jsonFlag) {
@@ -299,12 +378,31 @@ Proceed with transfer?`;
         amount,
         symbol,
         chain: chainName,
+        testnet: Boolean(chain.testnet),
         tokenAddress: tokenAddress || null,
+        receipt: receipt ? formatReceipt(receipt, sync) : null,
+        ...(verified ? {
+          quorum: {
+            size: quorum,
+            blockNumber: verified.blockNumber.toString(),
+            nonce: verified.nonce,
+            endpoints: verified.endpoints,
+            receipt: {
+              status: quorumReceipt.status,
+              blockNumber: quorumReceipt.blockNumber.toString(),
+              blockHash: quorumReceipt.blockHash,
+              endpoints: quorumReceipt.endpoints
+            }
+          }
+        } : {}),
         gasUsed: {
-          maxFeePerGas: gasEstimate.maxFeePerGas.toString(),
-          maxPriorityFeePerGas: gasEstimate.maxPriorityFeePerGas.toString(),
+          preset: gasEstimate.preset,
+          ...formatFeeParams(gasEstimate),
           gasLimit: gasEstimate.gasLimit.toString(),
-          estimatedCostEth: estimatedGasCostEth
+          l2ExecutionCostEth: formatEther(fee.l2Fee),
+          l1DataFeeEth: formatEther(fee.l1Fee),
+          estimatedCostEth: estimatedGasCostEth,
+          overrides: gasOptions.overrides
         }
       }, null, 2));
     } else {
@@ -313,7 +411,14 @@ Proceed with transfer?`;
       console.log(`Explorer: ${explorerUrl}`);
       console.log(`\nSent ${amount} ${symbol} to ${to}`);
       console.log(`Gas used: ~${estimatedGasCostEth} ETH`);
-      console.log('\n💡 Transaction may take a few minutes to confirm.');
+      if (receipt) {
+        console.log(`Confirmed in block ${receipt.blockNumber}${sync ? ' (sync send)' : ''}, gas used ${receipt.gasUsed.toLocaleString()}`);
+      }
+      if (quorumReceipt) {
+        console.log(`\n🛡️  Receipt confirmed by ${quorum} RPCs: ${quorumReceipt.status} in block ${quorumReceipt.blockNumber}`);
+      } else if (!receipt) {
+        console.log('\n💡 Transaction may take a few minutes to confirm.');
+      }
     }
     
   } catch (error) {
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Verify Script - Check a signature against a claimed signer
+ * Usage:
+ *   node src/verify.js <address> <signature> <message>                  # EIP-191, EOA only
+ *   node src/verify.js <address> <signature> --typed-data <file>        # EIP-712
+ *   node src/verify.js <address> <signature> <message> --chain base     # Also accept ERC-1271 contract wallets
+ */
+
+import { readFileSync } from 'fs';
+import { hashMessage, hashTypedData, recoverAddress, isHex, parseAbi } from 'viem';
+import { takeOption, takeNetwork, applyRpcUrl } from './lib/args.js';
+import { parseMessage, loadTypedData } from './lib/messages.js';
+import { resolveAddress } from './lib/wallet.js';
+import { createPublicClientWithRetry } from './lib/rpc.js';
+import { getChainLabel, isTestnet, resolveChainName } from './lib/chains.js';
+
+// ERC-1271: isValidSignature returns this magic value for a valid signature
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC1271_ABI = parseAbi([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+]);
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const jsonFlag = args.includes('--json');
+const hexFlag = args.includes('--hex');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM Signature Verification
+
+Usage: node src/verify.js <address> <signature> [message] [options]
+
+Arguments:
+  address        Claimed signer (address or wallet/watch-only label)
+  signature      Signature to check (0x...)
+  message        Signed EIP-191 message (omit with --typed-data or --message-file)
+
+Options:
+  --hex          Treat message as hex-encoded bytes (0x...) instead of UTF-8
+  --message-file <path>
+                 Read the message from a file instead of the command line
+  --typed-data <file>
+                 Verify an EIP-712 signature over typed data (JSON)
+  --chain <chain>
+                 Chain used to check contract wallets via ERC-1271 isValidSignature
+  --testnet      Use the testnet of --chain (base → base-sepolia)
+  --network <mainnet|testnet>
+                 Select the network for --chain (default: EVM_WALLET_NETWORK)
+  --rpc-url <url>
+                 Send RPC calls for --chain to this URL (local node or fork)
+  --json         Output in JSON format
+  --help         Show this help message
+
+Without --chain only EOA signatures (ecrecover) are checked.
+Exit code is 0 when the signature is valid, 1 otherwise.
+
+Examples:
+  node src/verify.js 0xAbC... 0x1b2c... "Sign in to example.com"
+  node src/verify.js 0xSafe... 0x... --typed-data order.json --chain base --json
+`);
+}
+
+function exitWithError(message, code = 1) {
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: false, error: message }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(code);
+}
+
+/**
+ * Recover the signer of a hash, or null if the signature is not a valid ECDSA signature
+ */
+async function tryRecover(hash, signature) {
+  try {
+    return await recoverAddress({ hash, signature });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ask a contract wallet whether it accepts the signature (ERC-1271)
+ * @returns {Promise<boolean|null>} Result, or null if the address has no code
+ */
+async function checkErc1271(chainName, address, hash, signature) {
+  const client = createPublicClientWithRetry(chainName);
+
+  const code = await client.getCode({ address });
+  if (!code || code === '0x') {
+    return null;
+  }
+
+  try {
+    const result = await client.readContract({
+      address,
+      abi: ERC1271_ABI,
+      functionName: 'isValidSignature',
+      args: [hash, signature]
+    });
+    return result.toLowerCase() === ERC1271_MAGIC_VALUE;
+  } catch {
+    // Contracts signal rejection by reverting as often as by returning another value
+    return false;
+  }
+}
+
+async function main() {
+  try {
+    if (helpFlag) {
+      showHelp();
+      return;
+    }
+
+    const typedDataPath = takeOption(args, '--typed-data');
+    const messageFile = takeOption(args, '--message-file');
+    const chainArg = takeOption(args, '--chain');
+    const network = takeNetwork(args);
+    const rpcUrl = takeOption(args, '--rpc-url');
+
+    const [addressArg, signature, messageArg] = args.filter(arg => !arg.startsWith('--'));
+
+    if (!addressArg || !signature) {
+      exitWithError('Address and signature are required. Use --help for usage information.');
+    }
+
+    if (!isHex(signature)) {
+      exitWithError('Invalid signature. Expected 0x-prefixed hex.');
+    }
+
+    const chainName = chainArg ? resolveChainName(chainArg, network) : null;
+    applyRpcUrl(rpcUrl, chainName ? [chainName] : []);
+
+    const address = resolveAddress(addressArg);
+
+    let type, hash;
+    if (typedDataPath) {
+      type = 'eip712';
+      hash = hashTypedData(loadTypedData(typedDataPath));
+    } else {
+      const text = messageFile ? readFileSync(messageFile, 'utf8') : messageArg;
+      if (text === undefined) {
+        exitWithError('Message is required. Use --help for usage information.');
+      }
+      type = 'personal_sign';
+      hash = hashMessage(parseMessage(text, { hex: hexFlag }));
+    }
+
+    // EOA: the signature must recover to the claimed address
+    const recovered = await tryRecover(hash, signature);
+    let valid = recovered !== null && recovered.toLowerCase() === address.toLowerCase();
+    let method = valid ? 'ecrecover' : null;
+
+    // Contract wallet: let the contract decide (ERC-1271)
+    let isContract = null;
+    if (!valid && chainName) {
+      const result = await checkErc1271(chainName, address, hash, signature);
+      isContract = result !== null;
+      if (isContract) {
+        valid = result;
+        method = 'erc1271';
+      }
+    }
+
+    if (jsonFlag) {
+      console.log(JSON.stringify({
+        success: true,
+        valid,
+        method,
+        address,
+        recovered,
+        type,
+        hash,
+        ...(chainName ? { chain: chainName, testnet: isTestnet(chainName), isContract } : {})
+      }, null, 2));
+    } else {
+      console.log(valid ? '\n✅ Signature is valid' : '\n❌ Signature is NOT valid');
+      console.log(`\n  Claimed signer: ${address}`);
+      console.log(`  Recovered:      ${recovered || '(not an ECDSA signature)'}`);
+      console.log(`  Method:         ${method || 'none matched'}`);
+      console.log(`  Type:           ${type}`);
+      console.log(`  Hash:           ${hash}`);
+      if (chainName) {
+        console.log(`  Chain:          ${getChainLabel(chainName)}`);
+      }
+      if (!valid && !chainName) {
+        console.log('\n  If the signer is a contract wallet (Safe, smart account), retry with --chain <chain> to check ERC-1271.');
+      }
+      console.log('');
+    }
+
+    if (!valid) {
+      process.exitCode = 1;
+    }
+
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+main().catch(error => {
+  exitWithError(`Unexpected error: ${error.message}`);
+});
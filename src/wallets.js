@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Wallets Script - Manage named wallets
+ * Usage:
+ *   node src/wallets.js [list]                   # List wallets
+ *   node src/wallets.js create <name> [options]  # Create wallet (same options as setup.js)
+ *   node src/wallets.js watch <name> <address>   # Register watch-only address
+ *   node src/wallets.js signer <name> --url <url> # Register remote signer wallet
+ *   node src/wallets.js signer <name> -- <cmd> [args...]  # Register subprocess signer wallet
+ *   node src/wallets.js rename <old> <new>       # Rename wallet
+ *   node src/wallets.js remove <name> --yes      # Delete wallet file
+ *   node src/wallets.js default [name]           # Show or set default wallet
+ */
+
+import { spawnSync } from 'child_process';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  listWallets,
+  renameWallet,
+  removeWallet,
+  setDefaultWallet,
+  getDefaultWalletName,
+  getWalletInfo,
+  createWatchOnly,
+  createExternalSigner,
+  save
+} from './lib/wallet.js';
+import { getSignerAccounts } from './lib/signer.js';
+import { takeOption } from './lib/args.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// setup.js options that take a value, passed through by create
+const SETUP_VALUE_OPTIONS = ['--words', '--kdf', '--passphrase-file', '--import-keystore', '--secret-file', '--mnemonic-file'];
+
+// Parse command line arguments; everything after "--" is a subprocess signer's argv, taken verbatim
+const argv = process.argv.slice(2);
+const separator = argv.indexOf('--');
+const args = separator === -1 ? argv : argv.slice(0, separator);
+const signerArgv = separator === -1 ? [] : argv.slice(separator + 1);
+const jsonFlag = args.includes('--json');
+const yesFlag = args.includes('--yes') || args.includes('-y');
+const helpFlag = args.includes('--help') || args.includes('-h');
+
+function showHelp() {
+  console.log(`
+EVM Wallet Manager
+
+Usage: node src/wallets.js <command> [args] [options]
+
+Commands:
+  list                  List all wallets (default)
+  create <name>         Create a wallet; accepts setup.js options (--mnemonic, --encrypt, ...)
+  watch <name> <addr>   Register a watch-only address under a label (cannot sign)
+  signer <name>         Register a wallet whose key lives in an external signer
+                        (--url <http-url> or -- <cmd> [args...])
+  rename <old> <new>    Rename a wallet
+  remove <name>         Delete a wallet file (requires --yes)
+  default [name]        Show or set the default wallet
+
+Options:
+  --url <url>    Remote JSON-RPC signer (Clef, Web3Signer, signer-server.js)
+  -- <cmd> [args...]
+                 Subprocess signer, given as argv (no shell splitting or quoting);
+                 gets one JSON-RPC request per call on stdin. Must come last
+  --address <addr>
+                 Signer account to use (default: the signer's only account)
+  --yes          Confirm removal
+  --json         Output in JSON format
+  --help         Show this help message
+
+Commands that use a wallet pick it with --wallet <name>, else the
+EVM_WALLET environment variable, else the default wallet.
+
+Examples:
+  node src/wallets.js                          # List wallets
+  node src/wallets.js create agent-2 --mnemonic
+  node src/wallets.js watch cold-storage 0xAbC...   # Then: balance.js --all --address cold-storage
+  node src/wallets.js default agent-2          # Make agent-2 the default
+  node src/wallets.js signer vault --url http://127.0.0.1:8550
+  node src/wallets.js signer vault -- node src/signer-server.js --stdio --wallet cold
+  node src/wallets.js remove old-wallet --yes
+`);
+}
+
+function exitWithError(message, code = 1) {
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: false, error: message }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+  process.exit(code);
+}
+
+function printList() {
+  const wallets = listWallets();
+
+  if (jsonFlag) {
+    console.log(JSON.stringify({ success: true, default: getDefaultWalletName(), wallets }, null, 2));
+    return;
+  }
+
+  if (wallets.length === 0) {
+    console.log('No wallets found. Create one with: node src/wallets.js create <name>');
+    return;
+  }
+
+  console.log('\n👛 Wallets\n');
+  for (const wallet of wallets) {
+    const marker = wallet.isDefault ? '★' : ' ';
+    if (wallet.error) {
+      console.log(`${marker} ${wallet.name.padEnd(16)} ❌ ${wallet.error}`);
+      continue;
+    }
+    const tags = wallet.type === 'watch-only' ? '👀 watch-only'
+      : wallet.type.endsWith('-signer') ? `🔌 ${wallet.type}`
+      : [wallet.type, wallet.encrypted ? 'encrypted' : 'plaintext'].join(', ');
+    console.log(`${marker} ${wallet.name.padEnd(16)} ${wallet.address}  (${tags})`);
+  }
+  console.log('\n★ = default wallet\n');
+}
+
+async function main() {
+  try {
+    if (helpFlag) {
+      showHelp();
+      return;
+    }
+
+    const signerUrl = takeOption(args, '--url');
+    const signerAddress = takeOption(args, '--address');
+
+    // Take option values out first so they are not read as names
+    const setupArgs = [];
+    for (const option of SETUP_VALUE_OPTIONS) {
+      const value = takeOption(args, option);
+      if (value !== null) {
+        setupArgs.push(option, value);
+      }
+    }
+
+    const positional = args.filter(arg => !arg.startsWith('-'));
+    const [command = 'list', ...rest] = positional;
+
+    switch (command) {
+      case 'list':
+        printList();
+        break;
+
+      case 'create': {
+        const [name, extra] = rest;
+        if (!name) {
+          exitWithError('Wallet name is required. Usage: wallets.js create <name>');
+        }
+        if (extra) {
+          exitWithError(`Unexpected argument: ${extra}`);
+        }
+
+        // Delegate to setup.js so create supports every setup option
+        const flags = args.filter(arg => arg.startsWith('-'));
+        const result = spawnSync(process.execPath, [join(__dirname, 'setup.js'), '--wallet', name, ...flags, ...setupArgs], {
+          stdio: 'inherit'
+        });
+        process.exit(result.status ?? 1);
+      }
+
+      case 'watch': {
+        const [name, address] = rest;
+        if (!name || !address) {
+          exitWithError('Usage: wallets.js watch <name> <address>');
+        }
+        const wallet = createWatchOnly(address);
+        save(wallet, { wallet: name, overwrite: false });
+        if (jsonFlag) {
+          console.log(JSON.stringify({ success: true, wallet: name, address: wallet.address, watchOnly: true }));
+        } else {
+          console.log(`👀 Watching ${wallet.address} as "${name}"`);
+          console.log(`   Check it with: node src/balance.js --all --address ${name}`);
+        }
+        break;
+      }
+
+      case 'signer': {
+        const [name] = rest;
+        if (!name || !signerUrl === (signerArgv.length === 0)) {
+          exitWithError('Usage: wallets.js signer <name> [--address <addr>] (--url <url> | -- <cmd> [args...])');
+        }
+
+        const [executable, ...commandArgs] = signerArgv;
+        const signer = signerUrl
+          ? { type: 'remote', url: signerUrl }
+          : { type: 'subprocess', command: executable, args: commandArgs };
+
+        // Ask the signer which account it holds, so a typo cannot register the wrong address
+        const accounts = await getSignerAccounts(signer);
+        let address = signerAddress;
+        if (address) {
+          if (!accounts.some(account => account.toLowerCase() === address.toLowerCase())) {
+            exitWithError(`Signer does not hold ${address} (it has: ${accounts.join(', ') || 'none'})`);
+          }
+        } else if (accounts.length === 1) {
+          [address] = accounts;
+        } else {
+          exitWithError(`Signer holds ${accounts.length} accounts; pick one with --address (${accounts.join(', ')})`);
+        }
+
+        const wallet = createExternalSigner(address, signer);
+        save(wallet, { wallet: name, overwrite: false });
+        if (jsonFlag) {
+          console.log(JSON.stringify({ success: true, wallet: name, address: wallet.address, signer: signer.type }));
+        } else {
+          console.log(`🔌 Registered ${signer.type} signer wallet "${name}" (${wallet.address})`);
+          console.log(`   Use it with: --wallet ${name}`);
+        }
+        break;
+      }
+
+      case 'rename': {
+        const [oldName, newName] = rest;
+        if (!oldName || !newName) {
+          exitWithError('Usage: wallets.js rename <old> <new>');
+        }
+        renameWallet(oldName, newName);
+        if (jsonFlag) {
+          console.log(JSON.stringify({ success: true, renamed: { from: oldName, to: newName } }));
+        } else {
+          console.log(`✅ Renamed wallet "${oldName}" → "${newName}"`);
+        }
+        break;
+      }
+
+      case 'remove': {
+        const [name] = rest;
+        if (!name) {
+          exitWithError('Usage: wallets.js remove <name> --yes');
+        }
+
+        const info = getWalletInfo({ wallet: name });
+        if (!info) {
+          exitWithError(`Wallet "${name}" not found`);
+        }
+
+        // Deleting a key is irreversible: require --yes even in --json mode
+        if (!yesFlag) {
+          exitWithError(`Refusing to remove wallet "${name}" (${info.address}) without --yes. Make sure its funds are moved or it is backed up.`);
+        }
+
+        removeWallet(name);
+        if (jsonFlag) {
+          console.log(JSON.stringify({ success: true, removed: name, address: info.address }));
+        } else {
+          console.log(`🗑️  Removed wallet "${name}" (${info.address})`);
+        }
+        break;
+      }
+
+      case 'default': {
+        const [name] = rest;
+        if (name) {
+          setDefaultWallet(name);
+        }
+        const defaultName = getDefaultWalletName();
+        if (jsonFlag) {
+          console.log(JSON.stringify({ success: true, default: defaultName }));
+        } else {
+          console.log(name ? `✅ Default wallet set to "${defaultName}"` : `Default wallet: ${defaultName}`);
+        }
+        break;
+      }
+
+      default:
+        exitWithError(`Unknown command: ${command}. Use --help for usage information.`);
+    }
+
+  } catch (error) {
+    exitWithError(error.message);
+  }
+}
+
+main().catch(error => {
+  exitWithError(`Unexpected error: ${error.message}`);
+});
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome } from './helpers.js';
+
+useTempHome();
+const {
+  getChain,
+  getSupportedChains,
+  setUserChain,
+  removeUserChain,
+  resolveRpc,
+  validateChain,
+  resolveChainName,
+  getNetworkChains,
+  getChainLabel,
+  setRpcOverride,
+  hasRpcOverride
+} = await import('../src/lib/chains.js');
+const { takeNetwork, applyRpcUrl } = await import('../src/lib/args.js');
+
+const DEVNET = {
+  chainId: 31337,
+  name: 'Devnet',
+  nativeToken: { symbol: 'ETH', decimals: 18 },
+  explorer: { name: 'None', url: 'http://localhost' },
+  rpcs: ['http://127.0.0.1:8545', { url: 'https://rpc.example/${DEVNET_KEY}', headers: { Authorization: 'Bearer ${DEVNET_TOKEN}' } }]
+};
+
+test('adds user chains, found by name or chain ID', () => {
+  setUserChain('Devnet', DEVNET);
+  assert.equal(getChain('devnet').chainId, 31337);
+  assert.equal(getChain(31337).name, 'Devnet');
+  assert.ok(getSupportedChains().includes('devnet'));
+
+  removeUserChain('devnet');
+  assert.throws(() => getChain('devnet'), /Unsupported chain/);
+  assert.throws(() => removeUserChain('devnet'), /No user chain named "devnet"/);
+});
+
+test('overrides only the fields a built-in entry sets', () => {
+  const builtIn = getChain('base');
+  setUserChain('base', { rpcs: ['https://base.example'] });
+  assert.deepEqual(getChain('base').rpcs, ['https://base.example']);
+  assert.equal(getChain('base').chainId, builtIn.chainId);
+  assert.deepEqual(getChain('base').explorer, builtIn.explorer);
+
+  removeUserChain('base');
+  assert.deepEqual(getChain('base').rpcs, builtIn.rpcs);
+  assert.throws(() => removeUserChain('base'), /built-in chain without user overrides/);
+});
+
+test('rejects incomplete or malformed chains', () => {
+  assert.throws(() => validateChain('Dev Net', DEVNET), /lowercase letters/);
+  assert.throws(() => validateChain('devnet', { ...DEVNET, chainId: '31337' }), /chainId must be a positive integer/);
+  assert.throws(() => validateChain('devnet', { ...DEVNET, rpcs: [] }), /at least one RPC/);
+  assert.throws(() => validateChain('devnet', { ...DEVNET, rpcs: ['ftp://rpc.example'] }), /RPC must be/);
+  assert.throws(() => validateChain('devnet', { ...DEVNET, rpcs: ['wss://rpc.example'] }), /WebSocket URL; list it under wss/);
+  assert.throws(() => validateChain('devnet', { ...DEVNET, rpcs: [{ url: 'https://rpc.example', headers: { 'x-key': 1 } }] }), /headers must map/);
+  assert.throws(() => setUserChain('devnet', { ...DEVNET, explorer: {} }), /explorer needs/);
+  assert.throws(() => getChain('devnet'), /Unsupported chain/);
+});
+
+test('fills ${ENV_VAR} placeholders in RPC URLs and headers', () => {
+  process.env.DEVNET_KEY = 'k3y';
+  process.env.DEVNET_TOKEN = 't0ken';
+  assert.deepEqual(resolveRpc(DEVNET.rpcs[1]), { url: 'https://rpc.example/k3y', headers: { Authorization: 'Bearer t0ken' } });
+  assert.deepEqual(resolveRpc(DEVNET.rpcs[0]), { url: 'http://127.0.0.1:8545', headers: {} });
+
+  delete process.env.DEVNET_TOKEN;
+  assert.throws(() => resolveRpc(DEVNET.rpcs[1]), /needs environment variable DEVNET_TOKEN/);
+});
+
+test('maps chains onto the selected network', () => {
+  assert.equal(resolveChainName('base', 'testnet'), 'base-sepolia');
+  assert.equal(resolveChainName('ethereum', 'testnet'), 'sepolia');
+  assert.equal(resolveChainName('base-sepolia', 'mainnet'), 'base');
+  assert.equal(resolveChainName('base-sepolia', 'testnet'), 'base-sepolia');
+  assert.equal(resolveChainName(84532), 'base-sepolia');
+  assert.throws(() => resolveChainName('megaeth', 'testnet'), /No testnet for megaeth/);
+
+  assert.ok(getNetworkChains('testnet').every(name => getChain(name).testnet));
+  assert.ok(!getNetworkChains('mainnet').includes('sepolia'));
+  assert.equal(getChainLabel('base-sepolia'), 'Base Sepolia 🧪 TESTNET');
+  assert.equal(getChainLabel('base'), 'Base');
+});
+
+test('takes --testnet, --network or EVM_WALLET_NETWORK', () => {
+  const args = ['--chain', 'base', '--testnet', '--json'];
+  assert.equal(takeNetwork(args), 'testnet');
+  assert.deepEqual(args, ['--chain', 'base', '--json']);
+  assert.equal(takeNetwork(['--network', 'mainnet']), 'mainnet');
+  assert.throws(() => takeNetwork(['--network', 'mainnet', '--testnet']), /conflicts/);
+  assert.throws(() => takeNetwork(['--network', 'devnet']), /Invalid network "devnet"/);
+
+  assert.equal(takeNetwork([]), null);
+  process.env.EVM_WALLET_NETWORK = 'testnet';
+  assert.equal(takeNetwork([]), 'testnet');
+  assert.equal(takeNetwork(['--network', 'mainnet']), 'mainnet');
+  delete process.env.EVM_WALLET_NETWORK;
+});
+
+test('only testnets name a mainnet counterpart', () => {
+  assert.throws(() => validateChain('devnet', { ...DEVNET, testnet: 'yes' }), /testnet must be true or false/);
+  assert.throws(() => validateChain('devnet', { ...DEVNET, mainnet: 'ethereum' }), /only set on testnets/);
+  assert.equal(validateChain('devnet', { ...DEVNET, testnet: true, mainnet: 'ethereum' }).mainnet, 'ethereum');
+});
+
+test('points chains at local nodes with --rpc-url or EVM_WALLET_RPC_<CHAIN>', () => {
+  process.env.EVM_WALLET_RPC_BASE_SEPOLIA = 'http://127.0.0.1:8545, http://127.0.0.1:8546';
+  applyRpcUrl('http://127.0.0.1:9545', ['optimism']);
+  assert.deepEqual(getChain('base-sepolia').rpcs, ['http://127.0.0.1:8545', 'http://127.0.0.1:8546']);
+  assert.deepEqual(getChain('optimism').rpcs, ['http://127.0.0.1:9545']);
+  assert.ok(hasRpcOverride('base-sepolia') && hasRpcOverride('optimism') && !hasRpcOverride('base'));
+  assert.throws(() => applyRpcUrl('http://127.0.0.1:8545', ['base', 'optimism']), /single chain/);
+
+  setRpcOverride('base', 'http://127.0.0.1:8545,ws://127.0.0.1:8546');
+  assert.deepEqual(getChain('base').rpcs, ['http://127.0.0.1:8545']);
+  assert.deepEqual(getChain('base').wss, ['ws://127.0.0.1:8546']);
+  setRpcOverride('base', undefined);
+
+  delete process.env.EVM_WALLET_RPC_BASE_SEPOLIA;
+  setRpcOverride('optimism', undefined);
+  assert.ok(!getChain('optimism').rpcs.includes('http://127.0.0.1:9545'));
+});
@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { dirname } from 'path';
+import { useTempHome } from './helpers.js';
+
+useTempHome();
+const { recordGasSamples, summarizeGasHistory } = await import('../src/lib/gas-history.js');
+const { GAS_HISTORY_PATH } = await import('../src/lib/paths.js');
+
+const HOUR = 60 * 60_000;
+const DAY = 24 * HOUR;
+
+/**
+ * Start of today (UTC) plus some hours
+ */
+function todayAt(hours) {
+  const midnight = new Date();
+  midnight.setUTCHours(0, 0, 0, 0);
+  return midnight.getTime() + hours * HOUR;
+}
+
+mkdirSync(dirname(GAS_HISTORY_PATH), { recursive: true });
+beforeEach(() => rmSync(GAS_HISTORY_PATH, { force: true }));
+
+test('buckets samples by UTC hour and ranks hours by average price', () => {
+  recordGasSamples([{ chain: 'base', price: 100n }, { chain: 'ethereum', price: 5_000n }], todayAt(3) - DAY);
+  recordGasSamples([{ chain: 'base', price: 300n }], todayAt(3.5) - DAY);
+  recordGasSamples([{ chain: 'base', price: 50n }], todayAt(14) - DAY);
+  recordGasSamples([{ chain: 'base', price: 90n }], todayAt(14.25) - DAY);
+  recordGasSamples([{ chain: 'base', price: 1_000n }], todayAt(20) - DAY);
+
+  const { base, ethereum, polygon } = summarizeGasHistory(['base', 'ethereum', 'polygon']);
+  assert.equal(base.samples, 5);
+  assert.equal(base.averagePrice, 308n);
+  assert.deepEqual(base.hours, [
+    { hour: 3, samples: 2, averagePrice: 200n },
+    { hour: 14, samples: 2, averagePrice: 70n },
+    { hour: 20, samples: 1, averagePrice: 1_000n }
+  ]);
+  assert.equal(base.cheapestHour.hour, 14);
+  assert.equal(base.priciestHour.hour, 20);
+  assert.equal(base.from, todayAt(3) - DAY);
+  assert.equal(base.to, todayAt(20) - DAY);
+
+  assert.equal(ethereum.samples, 1);
+  assert.equal(ethereum.cheapestHour, ethereum.priciestHour);
+  assert.equal(polygon, null);
+});
+
+test('limits the summary to the last days', () => {
+  recordGasSamples([{ chain: 'base', price: 10n }], Date.now() - 5 * DAY);
+  recordGasSamples([{ chain: 'base', price: 20n }], Date.now() - HOUR);
+
+  assert.equal(summarizeGasHistory(['base']).base.samples, 2);
+  assert.equal(summarizeGasHistory(['base'], { days: 1 }).base.samples, 1);
+  assert.equal(summarizeGasHistory(['base'], { days: 1 }).base.averagePrice, 20n);
+});
+
+test('drops samples past the 30-day retention on write', () => {
+  const now = Date.now();
+  recordGasSamples([{ chain: 'base', price: 1n }], now - 31 * DAY);
+  recordGasSamples([{ chain: 'base', price: 2n }], now - 29 * DAY);
+  recordGasSamples([{ chain: 'base', price: 3n }], now);
+
+  const stored = JSON.parse(readFileSync(GAS_HISTORY_PATH, 'utf8'));
+  assert.deepEqual(stored.samples.map(sample => sample.price), ['2', '3']);
+});
+
+test('starts over from a corrupt or outdated file', () => {
+  writeFileSync(GAS_HISTORY_PATH, '{ not json');
+  assert.equal(summarizeGasHistory(['base']).base, null);
+
+  writeFileSync(GAS_HISTORY_PATH, JSON.stringify({ version: 0, samples: [{ chain: 'base', at: Date.now(), price: '1' }] }));
+  assert.equal(summarizeGasHistory(['base']).base, null);
+
+  recordGasSamples([{ chain: 'base', price: 5n }]);
+  assert.equal(summarizeGasHistory(['base']).base.samples, 1);
+});
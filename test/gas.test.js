@@ -0,0 +1,253 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toHex, encodeAbiParameters } from 'viem';
+import { useTempHome, serveRpc } from './helpers.js';
+
+useTempHome();
+const { estimateGas, getFeeParams, estimateTransactionFee } = await import('../src/lib/gas.js');
+const { getChain, setRpcOverride, setUserChain } = await import('../src/lib/chains.js');
+const { takeGasOptions } = await import('../src/lib/args.js');
+const { createPublicClientWithRetry } = await import('../src/lib/rpc.js');
+
+const GWEI = 1_000_000_000n;
+
+/**
+ * Fee history over 20 blocks; rewards per block for REWARD_PERCENTILES [10, 25, 50, 75, 90, 95]
+ */
+function feeHistory({ baseFees, rewards, gasUsedRatio = rewards.map(() => 0.5) }) {
+  return {
+    oldestBlock: '0x1',
+    baseFeePerGas: baseFees.map(toHex),
+    gasUsedRatio,
+    reward: rewards.map(block => block.map(toHex))
+  };
+}
+
+/**
+ * Point a chain at a local node; handlers override eth_feeHistory and friends
+ * @returns {Promise<Object>} Call counts by method
+ */
+async function serveChain(chainName, handlers) {
+  const block = { number: '0x15', hash: `0x${'11'.repeat(32)}`, timestamp: '0x1', baseFeePerGas: toHex(GWEI), transactions: [] };
+  const { url, calls } = await serveRpc({
+    eth_chainId: () => toHex(getChain(chainName).chainId),
+    eth_getBlockByNumber: () => block,
+    ...handlers
+  });
+  setRpcOverride(chainName, url);
+  return calls;
+}
+
+// Local chain; its RPC is set by serveChain
+const DEVNET = {
+  chainId: 31337,
+  name: 'Devnet',
+  nativeToken: { symbol: 'ETH', decimals: 18 },
+  explorer: { name: 'None', url: 'http://localhost' },
+  rpcs: ['http://127.0.0.1:8545']
+};
+
+// Plain ETH transfer, as estimateTransactionFee gets it
+const TRANSFER = {
+  account: '0x000000000000000000000000000000000000dEaD',
+  to: '0x000000000000000000000000000000000000dEaD',
+  value: 1n,
+  nonce: 0
+};
+
+const flat = (value, length = 21) => Array.from({ length }, () => value);
+const tips = gwei => flat([1n, 2n, 3n, 4n, 5n, 6n].map(step => step * gwei), 20);
+
+test('samples the tip at the preset percentile and covers the base fee with the margin', async () => {
+  // Empty blocks report meaningless rewards and are left out
+  const rewards = [...tips(100n * GWEI).slice(0, 5), ...tips(GWEI).slice(5)];
+  const gasUsedRatio = [...flat(0, 5), ...flat(0.5, 15)];
+  const calls = await serveChain('ethereum', { eth_feeHistory: () => feeHistory({ baseFees: flat(10n * GWEI), rewards, gasUsedRatio }) });
+
+  const standard = await estimateGas('ethereum');
+  assert.equal(standard.type, 'eip1559');
+  assert.deepEqual(getFeeParams(standard), { maxFeePerGas: 24n * GWEI, maxPriorityFeePerGas: 4n * GWEI });
+  assert.equal(standard.baseFeePerGas, 10n * GWEI);
+  assert.equal(standard.projectedBaseFeePerGas, 10n * GWEI);
+  assert.equal(standard.maxPriorityFeePerGas, 4n * GWEI);
+  assert.equal(standard.maxFeePerGas, 2n * 10n * GWEI + 4n * GWEI);
+
+  // Served from the same fee history: p25 tip, 1.5 × base fee
+  const slow = await estimateGas('ethereum', { preset: 'slow' });
+  assert.equal(slow.preset, 'slow');
+  assert.equal(slow.maxPriorityFeePerGas, 2n * GWEI);
+  assert.equal(slow.maxFeePerGas, 15n * GWEI + 2n * GWEI);
+  assert.equal((await estimateGas('ethereum', { preset: 'urgent' })).maxPriorityFeePerGas, 6n * GWEI);
+  assert.equal(calls.eth_feeHistory, 1);
+
+  await assert.rejects(estimateGas('ethereum', { priorityFeePercentile: 60 }), /Invalid priority fee percentile 60/);
+});
+
+test('projects a rising base fee, capped at 12.5% per block', async () => {
+  // Ten-fold in five blocks is far above the EIP-1559 limit: 1.125^3 over the next three blocks
+  const baseFees = [...flat(GWEI, 16), 2n * GWEI, 4n * GWEI, 6n * GWEI, 8n * GWEI, 10n * GWEI];
+  await serveChain('base', { eth_feeHistory: () => feeHistory({ baseFees, rewards: tips(GWEI / 1000n) }) });
+
+  const gas = await estimateGas('base');
+  assert.equal(gas.baseFeePerGas, 10n * GWEI);
+  assert.equal(gas.projectedBaseFeePerGas, 10n * GWEI * 14_239n / 10_000n);
+});
+
+test('does not project a falling base fee down', async () => {
+  const baseFees = [...flat(10n * GWEI, 16), 9n * GWEI, 8n * GWEI, 7n * GWEI, 6n * GWEI, 5n * GWEI];
+  await serveChain('optimism', { eth_feeHistory: () => feeHistory({ baseFees, rewards: tips(GWEI / 1000n) }) });
+
+  const gas = await estimateGas('optimism');
+  assert.equal(gas.projectedBaseFeePerGas, 5n * GWEI);
+});
+
+test('uses the chain default tip when every block was empty', async () => {
+  await serveChain('sepolia', {
+    eth_feeHistory: () => feeHistory({ baseFees: flat(GWEI), rewards: tips(GWEI), gasUsedRatio: flat(0, 20) })
+  });
+
+  // sepolia: priorityFee { min: "0.01", default: "1" }
+  const gas = await estimateGas('sepolia');
+  assert.equal(gas.maxPriorityFeePerGas, GWEI);
+});
+
+test('raises a sampled tip to the chain minimum', async () => {
+  await serveChain('base-sepolia', { eth_feeHistory: () => feeHistory({ baseFees: flat(GWEI), rewards: tips(1n) }) });
+
+  // base-sepolia: priorityFee { min: "0.001" }
+  const gas = await estimateGas('base-sepolia');
+  assert.equal(gas.maxPriorityFeePerGas, 1_000_000n);
+});
+
+test('falls back to the latest block and eth_maxPriorityFeePerGas, and retries a failed fee history', async () => {
+  let failing = true;
+  const calls = await serveChain('megaeth', {
+    eth_feeHistory: () => {
+      if (failing) {
+        throw new Error('method not supported');
+      }
+      return feeHistory({ baseFees: flat(GWEI), rewards: tips(GWEI) });
+    },
+    eth_maxPriorityFeePerGas: () => toHex(7n)
+  });
+
+  // megaeth has no priorityFee bounds: the node's suggestion is used as is
+  const fallback = await estimateGas('megaeth');
+  assert.equal(fallback.baseFeePerGas, GWEI);
+  assert.equal(fallback.maxPriorityFeePerGas, 7n);
+
+  // The failure is not cached: the next estimate asks for the fee history again
+  failing = false;
+  const recovered = await estimateGas('megaeth');
+  assert.equal(calls.eth_feeHistory, 2);
+  assert.equal(recovered.maxPriorityFeePerGas, 4n * GWEI);
+});
+
+test('parses priority fee bounds exactly', async () => {
+  // 1.005 × 1e9 is 1004999999.99… in floating point
+  setUserChain('tipnet', { ...DEVNET, chainId: 31339, feeModel: 'eip1559', priorityFee: { min: '1.005' } });
+  await serveChain('tipnet', { eth_feeHistory: () => feeHistory({ baseFees: flat(GWEI), rewards: tips(1n) }) });
+
+  assert.equal((await estimateGas('tipnet')).maxPriorityFeePerGas, 1_005_000_000n);
+});
+
+test('prices chains without a base fee with eth_gasPrice, probing once per run', async () => {
+  setUserChain('devnet', DEVNET);
+  const calls = await serveChain('devnet', {
+    eth_getBlockByNumber: () => ({ number: '0x15', hash: `0x${'11'.repeat(32)}`, timestamp: '0x1', transactions: [] }),
+    eth_gasPrice: () => toHex(3n * GWEI)
+  });
+
+  const gas = await estimateGas('devnet');
+  assert.equal(gas.type, 'legacy');
+  assert.deepEqual(getFeeParams(gas), { gasPrice: 3n * GWEI });
+  await estimateGas('devnet');
+  assert.equal(calls.eth_getBlockByNumber, 1);
+  assert.equal(calls.eth_feeHistory, undefined);
+
+  // A configured fee model is not probed
+  setUserChain('legacynet', { ...DEVNET, chainId: 31338, feeModel: 'legacy' });
+  const configured = await serveChain('legacynet', { eth_gasPrice: () => toHex(GWEI) });
+  assert.equal((await estimateGas('legacynet')).gasPrice, GWEI);
+  assert.equal(configured.eth_getBlockByNumber, undefined);
+});
+
+test('adds the preset premium to a legacy gas price', async () => {
+  setUserChain('legacynet', { ...DEVNET, chainId: 31338, feeModel: 'legacy' });
+  await serveChain('legacynet', { eth_gasPrice: () => toHex(GWEI) });
+
+  assert.equal((await estimateGas('legacynet', { preset: 'fast' })).gasPrice, 11n * GWEI / 10n);
+  assert.equal((await estimateGas('legacynet', { maxFeePerGas: 2n * GWEI })).gasPrice, 2n * GWEI);
+  await assert.rejects(estimateGas('legacynet', { maxPriorityFeePerGas: GWEI }), /has no priority fee/);
+});
+
+test('applies and checks explicit fees', async () => {
+  await serveChain('optimism-sepolia', { eth_feeHistory: () => feeHistory({ baseFees: flat(GWEI), rewards: tips(GWEI) }) });
+
+  const manual = await estimateGas('optimism-sepolia', { maxFeePerGas: 3n * GWEI, maxPriorityFeePerGas: GWEI });
+  assert.equal(manual.maxFeePerGas, 3n * GWEI);
+  assert.equal(manual.maxPriorityFeePerGas, GWEI);
+
+  // A max fee below the sampled tip caps it
+  const capped = await estimateGas('optimism-sepolia', { maxFeePerGas: 2n * GWEI });
+  assert.equal(capped.maxPriorityFeePerGas, 2n * GWEI);
+
+  await assert.rejects(estimateGas('optimism-sepolia', { maxFeePerGas: GWEI / 2n }), /below the current base fee/);
+  await assert.rejects(estimateGas('optimism-sepolia', { maxFeePerGas: 2n * GWEI, maxPriorityFeePerGas: 3n * GWEI }), /above the max fee/);
+  await assert.rejects(estimateGas('optimism-sepolia', { preset: 'ludicrous' }), /Invalid gas preset/);
+});
+
+test('takes --gas, --max-fee, --priority-fee and --gas-limit', () => {
+  const args = ['0xabc', '--gas', 'fast', '--max-fee', '1.5', '--priority-fee', '0.001', '--gas-limit', '60000', '--yes'];
+  assert.deepEqual(takeGasOptions(args), {
+    preset: 'fast',
+    maxFeePerGas: 1_500_000_000n,
+    maxPriorityFeePerGas: 1_000_000n,
+    gasLimit: 60_000n,
+    overrides: { maxFee: '1.5', priorityFee: '0.001', gasLimit: '60000' }
+  });
+  assert.deepEqual(args, ['0xabc', '--yes']);
+  assert.equal(takeGasOptions([]).preset, 'standard');
+  assert.throws(() => takeGasOptions(['--gas', 'turbo']), /Invalid --gas "turbo"/);
+  assert.throws(() => takeGasOptions(['--max-fee', '1e9']), /amount in gwei/);
+  assert.throws(() => takeGasOptions(['--gas-limit', '0']), /whole number/);
+});
+
+test('adds the OP Stack L1 data fee from the GasPriceOracle', async () => {
+  const oracleCalls = [];
+  await serveChain('base', {
+    eth_call: ([call]) => {
+      oracleCalls.push(call.to.toLowerCase());
+      return encodeAbiParameters([{ type: 'uint256' }], [5_000n]);
+    }
+  });
+
+  const gas = { type: 'eip1559', maxFeePerGas: 2n * GWEI, maxPriorityFeePerGas: GWEI, gasPrice: 2n * GWEI };
+  const transaction = { ...TRANSFER, gas: 21_000n };
+  const fee = await estimateTransactionFee('base', createPublicClientWithRetry('base'), transaction, gas);
+  assert.deepEqual(fee, { l2Fee: 42_000n * GWEI, l1Fee: 5_000n, total: 42_000n * GWEI + 5_000n });
+  assert.deepEqual(oracleCalls, ['0x420000000000000000000000000000000000000f']);
+
+  // Chains without an L1 data fee ask nothing more
+  const plain = await estimateTransactionFee('ethereum', createPublicClientWithRetry('ethereum'), transaction, gas);
+  assert.equal(plain.l1Fee, 0n);
+  assert.equal(plain.total, 42_000n * GWEI);
+});
+
+test('splits the Arbitrum gas limit into L2 execution and the L1 share', async () => {
+  await serveChain('arbitrum', {
+    eth_call: () => encodeAbiParameters(
+      [{ type: 'uint64' }, { type: 'uint64' }, { type: 'uint256' }, { type: 'uint256' }],
+      [30_000n, 3_000n, GWEI / 100n, 10n * GWEI]
+    )
+  });
+
+  const gas = { type: 'eip1559', maxFeePerGas: GWEI / 10n, maxPriorityFeePerGas: 0n, gasPrice: GWEI / 10n };
+  const client = createPublicClientWithRetry('arbitrum');
+  const fee = await estimateTransactionFee('arbitrum', client, { ...TRANSFER, gas: 30_000n }, gas);
+  assert.deepEqual(fee, { l2Fee: 27_000n * GWEI / 10n, l1Fee: 3_000n * GWEI / 10n, total: 3_000n * GWEI });
+
+  // A hand-set limit below the L1 share caps it
+  const capped = await estimateTransactionFee('arbitrum', client, { ...TRANSFER, gas: 2_000n }, gas);
+  assert.deepEqual(capped, { l2Fee: 0n, l1Fee: 200n * GWEI, total: 200n * GWEI });
+});
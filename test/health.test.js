@@ -0,0 +1,95 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempHome } from './helpers.js';
+
+useTempHome();
+const {
+  getEndpointHealth,
+  recordSuccess,
+  recordFailure,
+  recordHead,
+  recordChainId,
+  getBlockLag,
+  scoreEndpoint,
+  rankEndpoints,
+  resetHealth
+} = await import('../src/lib/health.js');
+
+const CHAIN = 'base';
+const [A, B, C] = ['https://a.example', 'https://b.example', 'https://c.example'];
+
+beforeEach(() => resetHealth());
+
+test('untried endpoints keep config order', () => {
+  assert.deepEqual(rankEndpoints(CHAIN, [A, B, C]), [A, B, C]);
+});
+
+test('latency is a rolling average', () => {
+  recordSuccess(CHAIN, A, 100);
+  assert.equal(getEndpointHealth(CHAIN, A).latencyMs, 100);
+  recordSuccess(CHAIN, A, 200);
+  assert.equal(getEndpointHealth(CHAIN, A).latencyMs, 130);
+});
+
+test('faster endpoints rank first', () => {
+  recordSuccess(CHAIN, A, 400);
+  recordSuccess(CHAIN, B, 100);
+  recordSuccess(CHAIN, C, 200);
+  assert.deepEqual(rankEndpoints(CHAIN, [A, B, C]), [B, C, A]);
+});
+
+test('the error rate inflates the score', () => {
+  recordSuccess(CHAIN, A, 100);
+  recordSuccess(CHAIN, B, 100);
+  recordFailure(CHAIN, B, 'timeout');
+  recordSuccess(CHAIN, B, 100);
+  assert.ok(scoreEndpoint(CHAIN, B) > scoreEndpoint(CHAIN, A));
+  assert.deepEqual(rankEndpoints(CHAIN, [B, A]), [A, B]);
+});
+
+test('failures start a doubling cooldown that a success clears', () => {
+  recordFailure(CHAIN, A, 'unavailable');
+  const first = getEndpointHealth(CHAIN, A).cooldownUntil - Date.now();
+  recordFailure(CHAIN, A, 'unavailable');
+  const second = getEndpointHealth(CHAIN, A).cooldownUntil - Date.now();
+  assert.ok(first > 25_000 && first <= 30_000);
+  assert.ok(second > 55_000 && second <= 60_000);
+  assert.equal(getEndpointHealth(CHAIN, A).lastError, 'unavailable');
+
+  recordSuccess(CHAIN, A, 100);
+  assert.equal(getEndpointHealth(CHAIN, A).cooldownUntil, 0);
+  assert.equal(getEndpointHealth(CHAIN, A).consecutiveFailures, 0);
+});
+
+test('cooling endpoints follow ready ones, soonest available first', () => {
+  recordSuccess(CHAIN, C, 900);
+  recordFailure(CHAIN, A, 'rate-limit');
+  recordFailure(CHAIN, A, 'rate-limit');
+  recordFailure(CHAIN, B, 'rate-limit');
+  assert.deepEqual(rankEndpoints(CHAIN, [A, B, C]), [C, B, A]);
+});
+
+test('block lag behind the best head adds a penalty', () => {
+  recordSuccess(CHAIN, A, 100);
+  recordSuccess(CHAIN, B, 100);
+  recordHead(CHAIN, A, 1_000n);
+  recordHead(CHAIN, B, 990n);
+  assert.equal(getBlockLag(CHAIN, A), 0);
+  assert.equal(getBlockLag(CHAIN, B), 10);
+  assert.equal(scoreEndpoint(CHAIN, B) - scoreEndpoint(CHAIN, A), 1_000);
+  assert.deepEqual(rankEndpoints(CHAIN, [B, A]), [A, B]);
+});
+
+test('endpoints serving another chain go last', () => {
+  recordSuccess(CHAIN, A, 50);
+  recordChainId(CHAIN, A, 1, 8453);
+  recordFailure(CHAIN, B, 'timeout');
+  recordChainId(CHAIN, C, 8453, 8453);
+  assert.deepEqual(rankEndpoints(CHAIN, [A, B, C]), [C, B, A]);
+});
+
+test('endpoints with headers are keyed by their URL template', () => {
+  const withKey = { url: 'https://d.example/${API_KEY}', headers: { Authorization: 'Bearer ${TOKEN}' } };
+  recordSuccess(CHAIN, withKey, 80);
+  assert.equal(getEndpointHealth(CHAIN, 'https://d.example/${API_KEY}').latencyMs, 80);
+});
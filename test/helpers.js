@@ -0,0 +1,273 @@
+/**
+ * Shared test fixtures
+ */
+
+import { after } from 'node:test';
+import { spawn } from 'child_process';
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Point HOME and EVM_WALLET_HOME at a throwaway directory, removed when the file's tests finish
+ * Call before importing any module under src/, which resolve their paths at load time
+ * @returns {string} Temporary home directory
+ */
+export function useTempHome() {
+  const home = mkdtempSync(join(tmpdir(), 'evm-wallet-test-'));
+  process.env.HOME = home;
+  process.env.EVM_WALLET_HOME = join(home, '.evm-wallet');
+  after(() => rmSync(home, { recursive: true, force: true }));
+  return home;
+}
+
+/**
+ * Run a CLI script under src/ in the test environment, without the caller's passphrase env vars
+ * Runs asynchronously so servers in the test process keep answering the script
+ * @param {string} script - Script file name, e.g. 'setup.js'
+ * @param {string[]} args - Arguments
+ * @param {Object} [options]
+ * @param {string} [options.input] - Piped stdin
+ * @param {Object} [options.env] - Extra environment variables
+ * @returns {Promise<{status: number, stdout: string, stderr: string}>} Exit status and output
+ */
+export function runScript(script, args, options = {}) {
+  const { EVM_WALLET_PASSPHRASE, EVM_WALLET_PASSPHRASE_FILE, ...env } = process.env;
+  
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [fileURLToPath(new URL(`../src/${script}`, import.meta.url)), ...args], {
+      env: { ...env, ...options.env },
+      timeout: 60_000
+    });
+    
+    let stdout = '';
+    let stderr = '';
+    child.stdout.setEncoding('utf8').on('data', chunk => { stdout += chunk; });
+    child.stderr.setEncoding('utf8').on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', status => resolve({ status, stdout, stderr }));
+    child.stdin.end(options.input ?? '');
+  });
+}
+
+/**
+ * Start listening on a free loopback port; the server is closed when the file's tests finish
+ * @param {Object} server - http.Server
+ * @returns {Promise<string>} Base URL
+ */
+export async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Error answered as a JSON-RPC error, or with `status` as a bare HTTP error
+ * @param {string} message - Error message
+ * @param {Object} [fields] - { code } or { status }
+ * @returns {Error}
+ */
+export function rpcFailure(message, fields = {}) {
+  return Object.assign(new Error(message), { code: -32000, ...fields });
+}
+
+/**
+ * Answer one JSON-RPC request from the handlers
+ * @returns {Promise<{status: number, reply: Object}>} HTTP status and JSON-RPC response
+ */
+async function answerRpc(handlers, calls, request) {
+  const { id, method, params } = request;
+  calls[method] = (calls[method] || 0) + 1;
+  
+  try {
+    if (!handlers[method]) {
+      throw rpcFailure(`Method ${method} not found`, { code: -32601 });
+    }
+    return { status: 200, reply: { jsonrpc: '2.0', id, result: await handlers[method](params, request) } };
+  } catch (error) {
+    return { status: error.status || 200, reply: { jsonrpc: '2.0', id, error: { code: error.code ?? -32000, message: error.message } } };
+  }
+}
+
+/**
+ * Local JSON-RPC server answering each method from a handler
+ * Handlers get the params and return the result (or a promise); thrown errors become JSON-RPC errors.
+ * Unknown methods answer "method not found".
+ * @param {Object} handlers - Method name → (params, request) => result
+ * @returns {Promise<Object>} { url, calls } where calls counts requests by method
+ */
+export async function serveRpc(handlers) {
+  const calls = {};
+  const server = createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', async () => {
+      const { status, reply } = await answerRpc(handlers, calls, JSON.parse(data));
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  
+  return { url: await listen(server), calls };
+}
+
+// RFC 6455 handshake constant
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Read one complete frame from the start of a buffer (client frames are masked)
+ * @returns {Object|null} { opcode, payload, length } or null until the frame is complete
+ */
+function readFrame(buffer) {
+  if (buffer.length < 2) {
+    return null;
+  }
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let size = buffer[1] & 0x7f;
+  let offset = 2;
+  if (size === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+    size = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (size === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+    size = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  offset += masked ? 4 : 0;
+  if (buffer.length < offset + size) {
+    return null;
+  }
+  const payload = Buffer.from(buffer.subarray(offset, offset + size));
+  if (mask) {
+    payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+  }
+  return { opcode, payload, length: offset + size };
+}
+
+/**
+ * Encode an unfragmented, unmasked server frame
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Local JSON-RPC WebSocket server: answers handlers like serveRpc, plus eth_subscribe / eth_unsubscribe
+ * Only what the viem client sends is understood (text, ping and close frames, no fragmentation).
+ * @param {Object} handlers - Method name → (params, request) => result
+ * @returns {Promise<Object>} {
+ *   url, calls,
+ *   subscribed(kind) - resolves once a subscription of that kind ('newHeads', 'logs') is open,
+ *   notify(kind, result) - push a result to every subscription of that kind,
+ *   drop() - cut every connection without a close frame
+ * }
+ */
+export async function serveWebSocket(handlers) {
+  const calls = {};
+  const sockets = new Set();
+  const subscriptions = new Map();
+  let waiting = [];
+  let nextId = 0;
+  
+  const send = (socket, message) => socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+  
+  const subscribe = (socket, [kind]) => {
+    const id = `0x${(++nextId).toString(16)}`;
+    subscriptions.set(id, { socket, kind });
+    return id;
+  };
+  
+  // Waiters are told once the client has the subscription ID, so notifications reach it
+  const announce = () => {
+    const open = new Set([...subscriptions.values()].map(subscription => subscription.kind));
+    waiting.filter(waiter => open.has(waiter.kind)).forEach(waiter => waiter.resolve());
+    waiting = waiting.filter(waiter => !open.has(waiter.kind));
+  };
+  
+  const server = createServer();
+  server.on('upgrade', (req, socket) => {
+    const accept = createHash('sha1').update(req.headers['sec-websocket-key'] + WS_GUID).digest('base64');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    sockets.add(socket);
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      sockets.delete(socket);
+      for (const [id, subscription] of subscriptions) {
+        if (subscription.socket === socket) {
+          subscriptions.delete(id);
+        }
+      }
+    });
+    
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let frame;
+      while ((frame = readFrame(buffer))) {
+        buffer = buffer.subarray(frame.length);
+        if (frame.opcode === 0x8) {
+          socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+          return;
+        }
+        if (frame.opcode === 0x9) {
+          socket.write(encodeFrame(0xa, frame.payload));
+          continue;
+        }
+        if (frame.opcode === 0x1) {
+          const request = JSON.parse(frame.payload.toString());
+          answerRpc({
+            eth_subscribe: params => subscribe(socket, params),
+            eth_unsubscribe: ([id]) => subscriptions.delete(id),
+            ...handlers
+          }, calls, request).then(({ reply }) => {
+            send(socket, reply);
+            announce();
+          });
+        }
+      }
+    });
+  });
+  
+  const url = (await listen(server)).replace(/^http/, 'ws');
+  after(() => sockets.forEach(socket => socket.destroy()));
+  
+  return {
+    url,
+    calls,
+    subscribed: kind => ([...subscriptions.values()].some(subscription => subscription.kind === kind)
+      ? Promise.resolve()
+      : new Promise(resolve => waiting.push({ kind, resolve }))),
+    notify: (kind, result) => {
+      for (const [id, subscription] of subscriptions) {
+        if (subscription.kind === kind) {
+          send(subscription.socket, { jsonrpc: '2.0', method: 'eth_subscription', params: { subscription: id, result } });
+        }
+      }
+    },
+    drop: () => sockets.forEach(socket => socket.destroy())
+  };
+}
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, runScript } from './helpers.js';
+
+const home = useTempHome();
+const { fromPrivateKey, fromKeystore, load } = await import('../src/lib/wallet.js');
+const { encryptPrivateKey } = await import('../src/lib/keystore.js');
+
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+/**
+ * Run setup.js against the temporary home
+ */
+function setup(args, input) {
+  return runScript('setup.js', args, { input });
+}
+
+/**
+ * Write a file into the temporary home
+ */
+function file(name, contents) {
+  const path = join(home, name);
+  writeFileSync(path, contents);
+  return path;
+}
+
+test('normalizes imported private keys', () => {
+  const wallet = fromPrivateKey(`  ${KEY.slice(2).toUpperCase()}\n`);
+  assert.equal(wallet.privateKey, KEY);
+  assert.equal(wallet.address, ADDRESS);
+  assert.throws(() => fromPrivateKey('0x1234'), /expected 32 bytes/);
+  assert.throws(() => fromPrivateKey(`0x${'0'.repeat(64)}`), /not a valid secp256k1 key/);
+});
+
+test('keeps imported keystores encrypted after checking the passphrase', () => {
+  const { crypto, ...rest } = encryptPrivateKey(KEY, 'pass', { kdf: 'pbkdf2' });
+  // MetaMask and older geth exports spell it "Crypto"
+  const wallet = fromKeystore({ ...rest, Crypto: crypto }, 'pass');
+  assert.equal(wallet.address, ADDRESS);
+  assert.equal(wallet.privateKey, undefined);
+  assert.deepEqual(wallet.keystore.crypto, crypto);
+  assert.throws(() => fromKeystore({ ...rest, crypto }, 'wrong'), /MAC mismatch/);
+});
+
+test('imports a private key from a secret file', async () => {
+  const result = await setup(['--import-key', '--secret-file', file('key.txt', KEY), '--wallet', 'key', '--yes', '--json']);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(JSON.parse(result.stdout).imported, true);
+  assert.equal(load({ wallet: 'key' }).privateKey, KEY);
+});
+
+test('imports a mnemonic from stdin once confirmed with --yes', async () => {
+  const refused = await setup(['--import-mnemonic', '--wallet', 'phrase'], MNEMONIC);
+  assert.notEqual(refused.status, 0);
+  assert.match(refused.stderr, /re-run with --yes/);
+
+  const result = await setup(['--import-mnemonic', '--wallet', 'phrase', '--yes'], MNEMONIC);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(load({ wallet: 'phrase' }).address, ADDRESS);
+});
+
+test('imports a keystore file with its own passphrase', async () => {
+  const keystore = file('keystore.json', JSON.stringify(encryptPrivateKey(KEY, 'pass', { kdf: 'pbkdf2' })));
+  const result = await setup(['--import-keystore', keystore, '--passphrase-file', file('pass.txt', 'pass'), '--wallet', 'ks', '--yes', '--json']);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(load({ wallet: 'ks' }).address, ADDRESS);
+  assert.equal(load({ wallet: 'ks' }).keystore.crypto.kdf, 'pbkdf2');
+});
+
+test('accepts only one import mode', async () => {
+  const result = await setup(['--import-key', '--import-mnemonic', '--wallet', 'both'], KEY);
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /only one of/);
+});
+
+test('refuses unconfirmed --json imports and re-encrypting keystores', async () => {
+  const unconfirmed = await setup(['--import-key', '--secret-file', file('key.txt', KEY), '--wallet', 'quiet', '--json']);
+  assert.notEqual(unconfirmed.status, 0);
+  assert.match(unconfirmed.stdout + unconfirmed.stderr, /Re-run with --yes/);
+
+  const keystore = file('keystore.json', JSON.stringify(encryptPrivateKey(KEY, 'pass', { kdf: 'pbkdf2' })));
+  const encrypted = await setup(['--import-keystore', keystore, '--encrypt', '--wallet', 'twice', '--yes']);
+  assert.notEqual(encrypted.status, 0);
+  assert.match(encrypted.stderr, /--encrypt does not apply to --import-keystore/);
+  assert.equal(load({ wallet: 'quiet' }), null);
+  assert.equal(load({ wallet: 'twice' }), null);
+});
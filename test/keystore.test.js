@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptSecret, decryptSecret, encryptPrivateKey, decryptPrivateKey } from '../src/lib/keystore.js';
+
+// pbkdf2 test vector from the Web3 Secret Storage definition (password "testpassword")
+const VECTOR_KEY = '0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d';
+const PBKDF2_VECTOR = {
+  crypto: {
+    cipher: 'aes-128-ctr',
+    cipherparams: { iv: '6087dab2f9fdbbfaddc31a909735c1e6' },
+    ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+    kdf: 'pbkdf2',
+    kdfparams: { c: 262144, dklen: 32, prf: 'hmac-sha256', salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd' },
+    mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2'
+  },
+  id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+  version: 3
+};
+const KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+
+test('decrypts the pbkdf2 test vector', () => {
+  assert.equal(decryptPrivateKey(PBKDF2_VECTOR, 'testpassword'), VECTOR_KEY);
+});
+
+test('round-trips a private key with each KDF', () => {
+  for (const kdf of ['scrypt', 'pbkdf2']) {
+    const keystore = encryptPrivateKey(KEY, 'correct horse', { kdf });
+    assert.equal(keystore.version, 3);
+    assert.equal(keystore.crypto.kdf, kdf);
+    assert.equal(keystore.address, '2c7536e3605d9c16a7a3d7b1898e529396a65c23');
+    assert.equal(decryptPrivateKey(keystore, 'correct horse'), KEY);
+  }
+});
+
+test('round-trips arbitrary secret bytes', () => {
+  const secret = new TextEncoder().encode('test test test test test test test test test test test junk');
+  const keystore = encryptSecret(secret, 'pass', { kdf: 'pbkdf2' });
+  assert.deepEqual(decryptSecret(keystore, 'pass'), secret);
+});
+
+test('rejects a wrong passphrase', () => {
+  assert.throws(() => decryptPrivateKey(PBKDF2_VECTOR, 'wrong'), /MAC mismatch/);
+});
+
+test('rejects a keystore whose address does not match the key', () => {
+  const keystore = encryptPrivateKey(KEY, 'pass', { kdf: 'pbkdf2' });
+  keystore.address = '0000000000000000000000000000000000000001';
+  assert.throws(() => decryptPrivateKey(keystore, 'pass'), /address does not match/);
+});
+
+test('rejects unsupported versions and KDFs', () => {
+  assert.throws(() => decryptSecret({ ...PBKDF2_VECTOR, version: 2 }, 'testpassword'), /version/);
+  assert.throws(() => encryptSecret(new Uint8Array(32), 'pass', { kdf: 'argon2' }), /Unsupported KDF/);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, writeFileSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { useTempHome } from './helpers.js';
+
+const home = useTempHome();
+const { withLock } = await import('../src/lib/lock.js');
+
+const lockPath = join(home, 'test.lock');
+
+test('holds the lock only while the function runs', () => {
+  assert.equal(withLock(lockPath, () => existsSync(lockPath)), true);
+  assert.equal(existsSync(lockPath), false);
+});
+
+test('releases the lock when the function throws', () => {
+  assert.throws(() => withLock(lockPath, () => { throw new Error('boom'); }), /boom/);
+  assert.equal(existsSync(lockPath), false);
+});
+
+test('breaks a lock left by a process that has exited', () => {
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  writeFileSync(lockPath, String(pid));
+  assert.equal(withLock(lockPath, () => 'ran'), 'ran');
+  assert.equal(existsSync(lockPath), false);
+});
+
+test('breaks a lock that has not been touched for too long', () => {
+  writeFileSync(lockPath, String(process.ppid));
+  const old = new Date(Date.now() - 60_000);
+  utimesSync(lockPath, old, old);
+  assert.equal(withLock(lockPath, () => 'ran'), 'ran');
+});
+
+test('clears a break lock left by a process that crashed while breaking', () => {
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  writeFileSync(lockPath, String(pid));
+  writeFileSync(`${lockPath}.break`, '');
+  const old = new Date(Date.now() - 60_000);
+  utimesSync(`${lockPath}.break`, old, old);
+
+  assert.equal(withLock(lockPath, () => 'ran'), 'ran');
+  assert.equal(existsSync(`${lockPath}.break`), false);
+  assert.equal(existsSync(lockPath), false);
+});
@@ -0,0 +1,181 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { keccak256 } from 'viem';
+import { useTempHome, serveRpc, rpcFailure, runScript } from './helpers.js';
+
+useTempHome();
+const { classifyRpcError, isRetryableRpcError, createRpcTransport, resetRpcState, testRpcConnectivity, readWithQuorum } = await import('../src/lib/rpc.js');
+const { setUserChain } = await import('../src/lib/chains.js');
+const { getEndpointHealth, rankEndpoints } = await import('../src/lib/health.js');
+
+const RAW_TX = '0x02f86b0180843b9aca00843b9aca0082520894000000000000000000000000000000000000dead0180c0';
+
+beforeEach(() => resetRpcState());
+
+/**
+ * Error shaped like viem's, with the fields classifyRpcError reads along the cause chain
+ */
+function rpcError(fields, cause) {
+  return Object.assign(new Error(fields.message || 'RPC error'), fields, { cause });
+}
+
+/**
+ * Local endpoint serving base (chain ID 8453)
+ */
+function endpoint(handlers) {
+  return serveRpc({ eth_chainId: () => '0x2105', ...handlers });
+}
+
+/**
+ * Failover transport for base over the given endpoints
+ */
+function transportFor(...endpoints) {
+  setUserChain('base', { rpcs: endpoints.map(({ url }) => url) });
+  return createRpcTransport('base', { timeout: 2_000 })({});
+}
+
+test('classifies endpoint problems as retryable', () => {
+  const cases = [
+    [rpcError({ status: 429 }), 'rate-limit'],
+    [rpcError({ code: -32005, message: 'limit exceeded' }), 'rate-limit'],
+    [rpcError({ name: 'TimeoutError', message: 'The request took too long' }), 'timeout'],
+    [rpcError({ status: 503 }), 'unavailable'],
+    [rpcError({ message: 'HTTP request failed' }, rpcError({ message: 'fetch failed' }, rpcError({ message: 'connect ECONNREFUSED' }))), 'unavailable']
+  ];
+  for (const [error, expected] of cases) {
+    assert.equal(classifyRpcError(error), expected);
+    assert.equal(isRetryableRpcError(expected), true);
+  }
+});
+
+test('classifies node answers as final', () => {
+  const cases = [
+    [rpcError({ code: 3, message: 'execution reverted' }), 'revert'],
+    [rpcError({ message: 'RPC error' }, rpcError({ details: 'out of gas' })), 'revert'],
+    [rpcError({ status: 500, details: 'nonce too low' }), 'rejected'],
+    [rpcError({ details: 'insufficient funds for gas * price + value' }), 'rejected'],
+    [rpcError({ code: -32602, message: 'invalid argument' }), 'rejected']
+  ];
+  for (const [error, expected] of cases) {
+    assert.equal(classifyRpcError(error), expected);
+    assert.equal(isRetryableRpcError(expected), false);
+  }
+});
+
+test('fails over to the next endpoint and puts the failing one in cooldown', async () => {
+  const down = await endpoint({ eth_blockNumber: () => { throw rpcFailure('unavailable', { status: 503 }); } });
+  const up = await endpoint({ eth_blockNumber: () => '0x10' });
+
+  const transport = transportFor(down, up);
+  assert.equal(await transport.request({ method: 'eth_blockNumber' }), '0x10');
+  assert.equal(await transport.request({ method: 'eth_blockNumber' }), '0x10');
+  assert.equal(down.calls.eth_blockNumber, 1);
+  assert.equal(up.calls.eth_blockNumber, 2);
+
+  assert.equal(getEndpointHealth('base', down.url).consecutiveFailures, 1);
+  assert.ok(getEndpointHealth('base', down.url).cooldownUntil > Date.now());
+  assert.equal(getEndpointHealth('base', up.url).successes, 2);
+  assert.deepEqual(rankEndpoints('base', [down.url, up.url]), [up.url, down.url]);
+});
+
+test('gives up with the last error when every endpoint fails', async () => {
+  const down = await endpoint({ eth_blockNumber: () => { throw rpcFailure('rate limited', { status: 429 }); } });
+
+  await assert.rejects(transportFor(down).request({ method: 'eth_blockNumber' }), /HTTP request failed/);
+  assert.equal(down.calls.eth_blockNumber, 3);
+});
+
+test('returns node errors without trying another endpoint', async () => {
+  const reverting = await endpoint({ eth_call: () => { throw rpcFailure('execution reverted', { code: 3 }); } });
+  const spare = await endpoint({ eth_call: () => '0x' });
+
+  await assert.rejects(transportFor(reverting, spare).request({ method: 'eth_call', params: [{}, 'latest'] }), /reverted/);
+  assert.equal(reverting.calls.eth_call, 1);
+  assert.equal(spare.calls.eth_call, undefined);
+});
+
+test('resolves an "already known" broadcast to the transaction hash', async () => {
+  const known = await endpoint({ eth_sendRawTransaction: () => { throw rpcFailure('already known'); } });
+
+  assert.equal(await transportFor(known).request({ method: 'eth_sendRawTransaction', params: [RAW_TX] }), keccak256(RAW_TX));
+});
+
+test('resolves "nonce too low" to the hash only when the node has the transaction', async () => {
+  let mined = null;
+  const node = await endpoint({
+    eth_sendRawTransaction: () => { throw rpcFailure('nonce too low'); },
+    eth_getTransactionByHash: () => mined
+  });
+
+  const transport = transportFor(node);
+  await assert.rejects(transport.request({ method: 'eth_sendRawTransaction', params: [RAW_TX] }), /nonce too low/);
+  mined = { hash: keccak256(RAW_TX) };
+  assert.equal(await transport.request({ method: 'eth_sendRawTransaction', params: [RAW_TX] }), keccak256(RAW_TX));
+});
+
+test('checks eth_chainId once per endpoint and never uses one serving another chain', async () => {
+  const wrongChain = await serveRpc({ eth_chainId: () => '0x1', eth_blockNumber: () => '0x99' });
+  const right = await endpoint({ eth_blockNumber: () => '0x10' });
+
+  const transport = transportFor(wrongChain, right);
+  assert.equal(await transport.request({ method: 'eth_blockNumber' }), '0x10');
+  assert.equal(await transport.request({ method: 'eth_blockNumber' }), '0x10');
+  assert.equal(wrongChain.calls.eth_blockNumber, undefined);
+  assert.equal(right.calls.eth_chainId, 1);
+
+  const only = await serveRpc({ eth_chainId: () => '0x1', eth_blockNumber: () => '0x99' });
+  await assert.rejects(transportFor(only).request({ method: 'eth_blockNumber' }), /serves chain ID 1, but base is chain ID 8453/);
+  assert.equal(only.calls.eth_blockNumber, undefined);
+});
+
+test('pins quorum reads to the lowest head and returns the agreed value', async () => {
+  const blocks = [];
+  const balance = (params) => { blocks.push(params[1]); return '0xde0b6b3a7640000'; };
+  const ahead = await endpoint({ eth_blockNumber: () => '0x66', eth_getBalance: balance });
+  const behind = await endpoint({ eth_blockNumber: () => '0x64', eth_getBalance: balance });
+  setUserChain('base', { rpcs: [ahead.url, behind.url] });
+
+  const result = await readWithQuorum('base', 2, (client, blockNumber) =>
+    client.getBalance({ address: '0x000000000000000000000000000000000000dEaD', blockNumber }));
+  assert.equal(result.value, 10n ** 18n);
+  assert.equal(result.blockNumber, 100n);
+  assert.deepEqual(blocks, ['0x64', '0x64']);
+  assert.equal(result.endpoints.length, 2);
+});
+
+test('refuses a quorum read when endpoints disagree', async () => {
+  const honest = await endpoint({ eth_blockNumber: () => '0x64', eth_getBalance: () => '0x1' });
+  const lying = await endpoint({ eth_blockNumber: () => '0x64', eth_getBalance: () => '0x2' });
+  setUserChain('base', { rpcs: [honest.url, lying.url] });
+
+  const read = (client, blockNumber) => client.getBalance({ address: '0x000000000000000000000000000000000000dEaD', blockNumber });
+  await assert.rejects(readWithQuorum('base', 2, read), /Quorum disagreement on base at block 100/);
+  await assert.rejects(readWithQuorum('base', 3, read), /Quorum of 3 needs 3 endpoints, but base has 2/);
+});
+
+test('probes every endpoint for head, lag, chain ID, archive state and fee history', async () => {
+  const best = await endpoint({ eth_blockNumber: () => '0x64', eth_getBalance: () => '0x0', eth_feeHistory: () => ({}) });
+  const pruned = await endpoint({ eth_blockNumber: () => '0x60', eth_getBalance: () => { throw rpcFailure('missing trie node'); } });
+  const wrongChain = await serveRpc({ eth_chainId: () => '0x1', eth_blockNumber: () => '0x99' });
+  const down = await endpoint({ eth_blockNumber: () => { throw rpcFailure('unavailable', { status: 503 }); } });
+  setUserChain('base', { rpcs: [best.url, pruned.url, wrongChain.url, down.url] });
+
+  const { base } = await testRpcConnectivity({ chains: ['base'] });
+  const [bestResult, prunedResult, wrongResult, downResult] = base.endpoints;
+  assert.equal(base.status, 'connected');
+  assert.equal(base.blockNumber, '100');
+  assert.deepEqual([bestResult.lag, bestResult.archive, bestResult.feeHistory], [0, true, true]);
+  assert.deepEqual([prunedResult.lag, prunedResult.archive, prunedResult.feeHistory], [4, false, false]);
+  assert.equal(wrongResult.chainIdMatch, false);
+  assert.match(wrongResult.error, /Serves chain 1, expected 8453/);
+  assert.equal(downResult.errorClass, 'unavailable');
+});
+
+test('rpc-status exits non-zero when a chain has no working endpoint', async () => {
+  const down = await endpoint({ eth_blockNumber: () => { throw rpcFailure('unavailable', { status: 503 }); } });
+  setUserChain('base', { rpcs: [down.url] });
+
+  const result = await runScript('rpc-status.js', ['--chains', 'base', '--json']);
+  assert.equal(result.status, 1);
+  assert.equal(JSON.parse(result.stdout).chains.base.status, 'failed');
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWalletClient, keccak256 } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { useTempHome, serveRpc } from './helpers.js';
+
+useTempHome();
+const { sendTransaction } = await import('../src/lib/send.js');
+const { createRpcTransport, getViemChain } = await import('../src/lib/rpc.js');
+const { setUserChain } = await import('../src/lib/chains.js');
+
+const account = privateKeyToAccount('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+
+/**
+ * Receipt as a node returns it over JSON-RPC
+ */
+function receiptFor(serialized) {
+  return {
+    transactionHash: keccak256(serialized),
+    transactionIndex: '0x0',
+    blockHash: `0x${'ab'.repeat(32)}`,
+    blockNumber: '0x65',
+    from: account.address.toLowerCase(),
+    to: '0x000000000000000000000000000000000000dead',
+    cumulativeGasUsed: '0x5208',
+    gasUsed: '0x5208',
+    effectiveGasPrice: '0x3b9aca00',
+    contractAddress: null,
+    logs: [],
+    logsBloom: `0x${'00'.repeat(256)}`,
+    status: '0x1',
+    type: '0x2'
+  };
+}
+
+/**
+ * Local devnet node declaring syncRpc, with a wallet client over the failover transport
+ */
+async function devnet(handlers) {
+  const sent = [];
+  const node = await serveRpc({
+    eth_chainId: () => '0x7a69',
+    eth_blockNumber: () => '0x65',
+    eth_getTransactionCount: () => '0x0',
+    eth_estimateGas: () => '0x5208',
+    eth_maxPriorityFeePerGas: () => '0x1',
+    eth_getBlockByNumber: () => ({ number: '0x65', baseFeePerGas: '0x3b9aca00', timestamp: '0x0', transactions: [] }),
+    eth_getTransactionReceipt: ([hash]) => sent.map(receiptFor).find(receipt => receipt.transactionHash === hash) ?? null,
+    ...handlers(sent)
+  });
+  setUserChain('devnet', {
+    chainId: 31337,
+    name: 'Devnet',
+    nativeToken: { symbol: 'ETH', decimals: 18 },
+    explorer: { name: 'None', url: 'http://localhost' },
+    rpcs: [node.url],
+    syncRpc: 'eth_sendRawTransactionSync'
+  });
+  return {
+    node,
+    walletClient: createWalletClient({ account, chain: getViemChain('devnet'), transport: createRpcTransport('devnet', { timeout: 2_000 }) })
+  };
+}
+
+const REQUEST = { to: '0x000000000000000000000000000000000000dEaD', value: 1n };
+
+test('returns the receipt from the sync send method', async () => {
+  const { node, walletClient } = await devnet(sent => ({
+    eth_sendRawTransactionSync: ([serialized]) => { sent.push(serialized); return receiptFor(serialized); }
+  }));
+
+  const { hash, receipt, sync } = await sendTransaction('devnet', walletClient, REQUEST);
+  assert.equal(sync, true);
+  assert.equal(receipt.transactionHash, hash);
+  assert.equal(receipt.status, 'success');
+  assert.equal(node.calls.eth_sendRawTransaction, undefined);
+  assert.equal(node.calls.eth_getTransactionReceipt, undefined);
+});
+
+test('falls back to a normal broadcast when the endpoint lacks the sync method', async () => {
+  const { node, walletClient } = await devnet(sent => ({
+    eth_sendRawTransaction: ([serialized]) => { sent.push(serialized); return keccak256(serialized); }
+  }));
+
+  const { hash, receipt, sync } = await sendTransaction('devnet', walletClient, REQUEST);
+  assert.equal(sync, false);
+  assert.equal(receipt.transactionHash, hash);
+  assert.equal(node.calls.eth_sendRawTransactionSync, 1);
+  assert.equal(node.calls.eth_sendRawTransaction, 1);
+});
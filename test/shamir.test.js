@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { split, combine } from '../src/lib/shamir.js';
+
+const SECRET = new Uint8Array(randomBytes(32));
+
+/**
+ * Every k-sized subset of items
+ */
+function subsets(items, k) {
+  if (k === 0) {
+    return [[]];
+  }
+  return items.flatMap((item, i) => subsets(items.slice(i + 1), k - 1).map(rest => [item, ...rest]));
+}
+
+test('any threshold-sized subset recovers the secret', () => {
+  const shares = split(SECRET, 5, 3);
+  assert.deepEqual(shares.map(share => share.x), [1, 2, 3, 4, 5]);
+  for (const subset of subsets(shares, 3)) {
+    assert.deepEqual(combine(subset), SECRET);
+  }
+});
+
+test('more shares than the threshold also recover the secret', () => {
+  const shares = split(SECRET, 5, 2);
+  assert.deepEqual(combine(shares), SECRET);
+  assert.deepEqual(combine(shares.slice(1, 4).reverse()), SECRET);
+});
+
+test('fewer shares than the threshold do not recover the secret', () => {
+  const shares = split(SECRET, 5, 3);
+  assert.notDeepEqual(combine(shares.slice(0, 2)), SECRET);
+});
+
+test('shares do not contain the secret bytes', () => {
+  const secret = new Uint8Array(64).fill(0xab);
+  for (const share of split(secret, 3, 2)) {
+    assert.notDeepEqual(share.y, secret);
+  }
+});
+
+test('handles the largest share count', () => {
+  const shares = split(SECRET, 255, 2);
+  assert.deepEqual(combine([shares[0], shares[254]]), SECRET);
+});
+
+test('rejects invalid parameters', () => {
+  assert.throws(() => split(SECRET, 3, 1), /Threshold/);
+  assert.throws(() => split(SECRET, 2, 3), /Number of shares/);
+  assert.throws(() => split(SECRET, 256, 2), /Number of shares/);
+});
+
+test('rejects duplicate, zero-index and mismatched shares', () => {
+  const [a, b] = split(SECRET, 3, 2);
+  assert.throws(() => combine([]), /No shares/);
+  assert.throws(() => combine([a, a]), /distinct/);
+  assert.throws(() => combine([a, { x: 0, y: b.y }]), /non-zero/);
+  assert.throws(() => combine([a, { x: 2, y: b.y.slice(1) }]), /different lengths/);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { privateKeyToAccount } from 'viem/accounts';
+import { useTempHome, runScript } from './helpers.js';
+
+const home = useTempHome();
+const { save, fromPrivateKey } = await import('../src/lib/wallet.js');
+
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const account = privateKeyToAccount(KEY);
+save(fromPrivateKey(KEY));
+
+// EIP-712 "Mail" example from the specification
+const MAIL = {
+  domain: { name: 'Ether Mail', version: '1', chainId: 1, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' },
+  types: {
+    Person: [{ name: 'name', type: 'string' }, { name: 'wallet', type: 'address' }],
+    Mail: [{ name: 'from', type: 'Person' }, { name: 'to', type: 'Person' }, { name: 'contents', type: 'string' }]
+  },
+  primaryType: 'Mail',
+  message: {
+    from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+    to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+    contents: 'Hello, Bob!'
+  }
+};
+
+/**
+ * Run sign.js and parse its JSON output
+ */
+async function sign(args) {
+  const result = await runScript('sign.js', [...args, '--yes', '--json']);
+  assert.equal(result.status, 0, result.stdout || result.stderr);
+  return JSON.parse(result.stdout);
+}
+
+test('signs UTF-8 messages with personal_sign', async () => {
+  const output = await sign(['hello world']);
+  assert.equal(output.type, 'personal_sign');
+  assert.equal(output.signer, account.address);
+  assert.equal(output.signature, await account.signMessage({ message: 'hello world' }));
+});
+
+test('signs raw bytes with --hex', async () => {
+  const output = await sign(['0x68656c6c6f', '--hex']);
+  assert.equal(output.signature, await account.signMessage({ message: { raw: '0x68656c6c6f' } }));
+  assert.notEqual(output.signature, await account.signMessage({ message: '0x68656c6c6f' }));
+});
+
+test('signs EIP-712 typed data', async () => {
+  const file = join(home, 'mail.json');
+  writeFileSync(file, JSON.stringify(MAIL));
+  const output = await sign(['--typed-data', file]);
+  assert.equal(output.type, 'eip712');
+  assert.equal(output.primaryType, 'Mail');
+  assert.equal(output.hash, '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+  assert.equal(output.signature, await account.signTypedData(MAIL));
+});
+
+test('rejects typed data whose primary type is not defined', async () => {
+  const file = join(home, 'broken.json');
+  writeFileSync(file, JSON.stringify({ ...MAIL, primaryType: 'Letter' }));
+  const result = await runScript('sign.js', ['--typed-data', file, '--yes', '--json']);
+  assert.notEqual(result.status, 0);
+  assert.match(JSON.parse(result.stdout).error, /"Letter" is not defined/);
+});
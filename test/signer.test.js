@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { parseEther, parseGwei, recoverTransactionAddress, parseTransaction, toHex, encodeFunctionData, erc20Abi } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { useTempHome, listen, serveRpc, runScript } from './helpers.js';
+
+const home = useTempHome();
+const { save, load, fromPrivateKey, createExternalSigner, getAccount } = await import('../src/lib/wallet.js');
+const { getSignerAccounts } = await import('../src/lib/signer.js');
+const { loadPolicy, handleRequest, createSignerServer } = await import('../src/signer-server.js');
+
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const vault = privateKeyToAccount(KEY);
+const RECIPIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const STRANGER = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const SIGNER_SERVER = fileURLToPath(new URL('../src/signer-server.js', import.meta.url));
+
+save(fromPrivateKey(KEY), { wallet: 'vault' });
+
+const POLICY = { chainIds: [8453], allowedRecipients: [RECIPIENT], maxValue: '1' };
+
+const MAIL = {
+  domain: { name: 'Ether Mail', version: '1', chainId: 8453 },
+  types: { Mail: [{ name: 'contents', type: 'string' }] },
+  primaryType: 'Mail',
+  message: { contents: 'Hello, Bob!' }
+};
+
+/**
+ * Transaction the agent would ask the signer for
+ */
+function transaction(fields = {}) {
+  return {
+    to: RECIPIENT,
+    value: parseEther('0.5'),
+    chainId: 8453,
+    nonce: 7,
+    gas: 21_000n,
+    maxFeePerGas: parseGwei('2'),
+    maxPriorityFeePerGas: parseGwei('0.1'),
+    ...fields
+  };
+}
+
+/**
+ * Write a policy file and load it the way signer-server.js does
+ */
+function policyFile(policy, name = 'policy.json') {
+  const path = join(home, name);
+  writeFileSync(path, JSON.stringify(policy));
+  return path;
+}
+
+/**
+ * Register an external signer wallet and return its account
+ */
+async function externalAccount(name, signer) {
+  save(createExternalSigner(vault.address, signer), { wallet: name });
+  return getAccount({ wallet: name });
+}
+
+/**
+ * Send one request straight to the signer's handler
+ */
+function ask(policy, method, params) {
+  return handleRequest(vault, policy, { jsonrpc: '2.0', id: 1, method, params });
+}
+
+/**
+ * Remote signer that alters each transaction request, then signs it with the right key
+ */
+async function tamperingSigner(name, change) {
+  const { url } = await serveRpc({
+    eth_signTransaction: async ([request]) => (await ask({}, 'eth_signTransaction', [{ ...request, ...change }])).result
+  });
+  return externalAccount(name, { type: 'remote', url });
+}
+
+const remote = await externalAccount('remote', {
+  type: 'remote',
+  url: await listen(createSignerServer(vault, loadPolicy(policyFile(POLICY))))
+});
+
+test('remote signer signs messages, typed data and transactions within the policy', async () => {
+  assert.equal(await remote.signMessage({ message: 'hello' }), await vault.signMessage({ message: 'hello' }));
+  assert.equal(await remote.signTypedData(MAIL), await vault.signTypedData(MAIL));
+
+  const raw = await remote.signTransaction(transaction());
+  assert.equal(await recoverTransactionAddress({ serializedTransaction: raw }), vault.address);
+  assert.equal(parseTransaction(raw).value, parseEther('0.5'));
+});
+
+test('remote signer refusals surface as errors', async () => {
+  await assert.rejects(remote.signTransaction(transaction({ value: parseEther('1.5') })), /exceeds policy maximum 1/);
+  await assert.rejects(remote.signTransaction(transaction({ to: STRANGER })), /Recipient 0x3C44.* is not allowed/);
+  await assert.rejects(remote.signTransaction(transaction({ chainId: 1 })), /Chain 1 is not allowed/);
+  await assert.rejects(remote.signTypedData({ ...MAIL, domain: { ...MAIL.domain, chainId: 1 } }), /Chain 1 is not allowed/);
+});
+
+test('subprocess signer answers one request per process', async () => {
+  const signer = {
+    type: 'subprocess',
+    command: process.execPath,
+    args: [SIGNER_SERVER, '--stdio', '--wallet', 'vault', '--policy', policyFile({ maxValue: '0.1' }, 'strict.json')]
+  };
+  assert.deepEqual(await getSignerAccounts(signer), [vault.address]);
+
+  const subprocess = await externalAccount('subprocess', signer);
+  assert.equal(await subprocess.signMessage({ message: { raw: '0xdeadbeef' } }), await vault.signMessage({ message: { raw: '0xdeadbeef' } }));
+  await assert.rejects(subprocess.signTransaction(transaction()), /Signer refused eth_signTransaction: Value 0.5 exceeds/);
+});
+
+test('registers a subprocess signer from the argv after --, kept verbatim', async () => {
+  const policy = policyFile({}, 'open policy.json');
+  const argv = [process.execPath, SIGNER_SERVER, '--stdio', '--wallet', 'vault', '--policy', policy];
+  const result = await runScript('wallets.js', ['signer', 'argv', '--json', '--', ...argv]);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(JSON.parse(result.stdout).address, vault.address);
+  assert.deepEqual(load({ wallet: 'argv' }).signer, { type: 'subprocess', command: argv[0], args: argv.slice(1) });
+});
+
+test('policy switches refuse whole request kinds', async () => {
+  const policy = { allowMessages: false, allowTypedData: false, allowTransactions: false };
+  const refusals = [
+    await ask(policy, 'eth_sign', [vault.address, '0x00']),
+    await ask(policy, 'eth_signTypedData_v4', [vault.address, JSON.stringify(MAIL)]),
+    await ask(policy, 'eth_signTransaction', [{ from: vault.address, nonce: '0x0', gas: '0x5208', chainId: '0x2105', gasPrice: '0x1' }])
+  ];
+  assert.deepEqual(refusals.map(({ error }) => error.code), [-32000, -32000, -32000]);
+  assert.match(refusals[0].error.message, /Message signing/);
+  assert.match(refusals[1].error.message, /Typed data signing/);
+  assert.match(refusals[2].error.message, /Transactions/);
+
+  assert.ok((await ask({}, 'eth_sign', [vault.address, '0x00'])).result);
+});
+
+test('malformed requests get JSON-RPC errors', async () => {
+  assert.equal((await ask({}, 'eth_sign', [STRANGER, '0x00'])).error.code, -32602);
+  assert.equal((await ask({}, 'eth_signTransaction', [{ from: vault.address, to: RECIPIENT }])).error.code, -32602);
+  assert.equal((await ask({}, 'eth_sendTransaction', [])).error.code, -32601);
+  assert.equal((await handleRequest(vault, {}, null)).error.code, -32600);
+  assert.throws(() => loadPolicy(policyFile({ allowedRecipients: ['bob'] }, 'bad.json')), /must be addresses/);
+});
+
+test('rejects transactions the signer changed or signed with another key', async () => {
+  const impostor = await serveRpc({
+    eth_signTransaction: () => privateKeyToAccount(`0x${'11'.repeat(32)}`).signTransaction(transaction())
+  });
+
+  const changed = await tamperingSigner('tampering', { to: STRANGER });
+  await assert.rejects(changed.signTransaction(transaction()), /Signer changed the transaction to/);
+
+  const other = await externalAccount('impostor', { type: 'remote', url: impostor.url });
+  await assert.rejects(other.signTransaction(transaction()), /signed by 0x19E7E376E7C213B7E7e7e46cc70A5dD086DAff2A/);
+});
+
+test('rejects signed fees, gas limits and types that differ from the request', async () => {
+  const fees = await tamperingSigner('fees', { maxFeePerGas: toHex(parseGwei('200')) });
+  await assert.rejects(fees.signTransaction(transaction()), /Signer changed the transaction maxFeePerGas/);
+
+  const gas = await tamperingSigner('gas', { gas: toHex(500_000n) });
+  await assert.rejects(gas.signTransaction(transaction()), /Signer changed the transaction gas \(500000 != 21000\)/);
+
+  const legacy = await tamperingSigner('legacy', {
+    type: '0x0',
+    gasPrice: toHex(parseGwei('2')),
+    maxFeePerGas: undefined,
+    maxPriorityFeePerGas: undefined
+  });
+  await assert.rejects(legacy.signTransaction(transaction()), /Signer changed the transaction type \(legacy != eip1559\)/);
+});
+
+test('matches ERC-20 recipients and spenders against the policy, not the token', async () => {
+  const call = (functionName, args) => transaction({ to: TOKEN, value: 0n, gas: 60_000n, data: encodeFunctionData({ abi: erc20Abi, functionName, args }) });
+
+  const raw = await remote.signTransaction(call('transfer', [RECIPIENT, 10n ** 6n]));
+  assert.equal(parseTransaction(raw).to, TOKEN.toLowerCase());
+  await remote.signTransaction(call('transferFrom', [STRANGER, RECIPIENT, 10n ** 6n]));
+
+  await assert.rejects(remote.signTransaction(call('transfer', [STRANGER, 1n])), /Token recipient 0x3C44.* is not allowed/);
+  await assert.rejects(remote.signTransaction(call('transferFrom', [RECIPIENT, STRANGER, 1n])), /Token recipient 0x3C44.* is not allowed/);
+  await assert.rejects(remote.signTransaction(call('approve', [STRANGER, 1n])), /Token spender 0x3C44.* is not allowed/);
+  // Any other call is checked against the contract itself
+  await assert.rejects(remote.signTransaction(transaction({ to: TOKEN, value: 0n, data: '0xd0e30db0' })), /Recipient 0x8335.* is not allowed/);
+});
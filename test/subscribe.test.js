@@ -0,0 +1,321 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { encodeAbiParameters, encodeEventTopics, parseAbiItem } from 'viem';
+import { useTempHome, serveRpc, serveWebSocket } from './helpers.js';
+
+useTempHome();
+const { watchHeads, watchLogs, getReceiptWithQuorum } = await import('../src/lib/subscribe.js');
+const { setUserChain } = await import('../src/lib/chains.js');
+
+const TOKEN = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const TRANSFER = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 value)');
+const HOLDER = '0x000000000000000000000000000000000000dEaD';
+
+/**
+ * Collects callback values in order; next() resolves with the next one
+ */
+function queue() {
+  const items = [];
+  const waiting = [];
+  return {
+    push: item => (waiting.length > 0 ? waiting.shift()(item) : items.push(item)),
+    next: () => (items.length > 0 ? Promise.resolve(items.shift()) : new Promise(resolve => waiting.push(resolve)))
+  };
+}
+
+/**
+ * Block header as newHeads and eth_getBlockByNumber return it
+ */
+function header(number) {
+  return {
+    number: `0x${number.toString(16)}`,
+    hash: `0x${number.toString(16).padStart(64, '0')}`,
+    parentHash: `0x${(number - 1).toString(16).padStart(64, '0')}`,
+    timestamp: '0x0',
+    baseFeePerGas: '0x1',
+    transactions: []
+  };
+}
+
+/**
+ * Transfer log of 1 token unit to HOLDER
+ */
+function transferLog(blockNumber, logIndex) {
+  return {
+    address: TOKEN.toLowerCase(),
+    topics: encodeEventTopics({ abi: [TRANSFER], args: { from: HOLDER, to: HOLDER } }),
+    data: encodeAbiParameters([{ type: 'uint256' }], [1n]),
+    blockNumber: `0x${blockNumber.toString(16)}`,
+    blockHash: header(blockNumber).hash,
+    transactionHash: `0x${blockNumber.toString(16).padStart(62, '0')}0${logIndex}`,
+    transactionIndex: '0x0',
+    logIndex: `0x${logIndex}`,
+    removed: false
+  };
+}
+
+/**
+ * Devnet with the given HTTP endpoint(s) and wss endpoints
+ */
+function useDevnet(http, wss) {
+  setUserChain('devnet', {
+    chainId: 31337,
+    name: 'Devnet',
+    nativeToken: { symbol: 'ETH', decimals: 18 },
+    explorer: { name: 'None', url: 'http://localhost' },
+    rpcs: [http].flat().map(({ url }) => url),
+    ...(wss.length > 0 && { wss: wss.map(({ url }) => url) })
+  });
+}
+
+/**
+ * Local node: HTTP head at `state.head`, logs from `state.logs`
+ * eth_getLogs holds its answer while `state.gate` is pending
+ */
+function serveNode(state) {
+  return serveRpc({
+    eth_chainId: () => '0x7a69',
+    eth_blockNumber: () => `0x${state.head.toString(16)}`,
+    eth_getBlockByNumber: ([number]) => header(Number(number)),
+    eth_getLogs: async ([filter]) => {
+      state.ranges.push([Number(filter.fromBlock), Number(filter.toBlock)]);
+      await state.gate;
+      return state.logs.filter(log => Number(log.blockNumber) >= Number(filter.fromBlock) && Number(log.blockNumber) <= Number(filter.toBlock));
+    }
+  });
+}
+
+/**
+ * WebSocket endpoint answering as chain `chainId`
+ */
+function serveSocket(chainId = '0x7a69') {
+  return serveWebSocket({
+    eth_chainId: () => chainId,
+    eth_getBlockByNumber: ([number]) => header(Number(number))
+  });
+}
+
+test('delivers new heads over WebSocket after checking the chain ID once', { timeout: 10_000 }, async () => {
+  const http = await serveNode({ head: 100 });
+  const ws = await serveSocket();
+  useDevnet(http, [ws]);
+
+  const blocks = queue();
+  const transports = queue();
+  const unwatch = watchHeads('devnet', blocks.push, { onTransport: transports.push });
+  try {
+    assert.deepEqual(await transports.next(), { type: 'websocket', url: ws.url, resumed: false });
+    await ws.subscribed('newHeads');
+    ws.notify('newHeads', header(101));
+    assert.equal((await blocks.next()).number, 101n);
+    assert.equal(ws.calls.eth_chainId, 1);
+    assert.equal(http.calls.eth_blockNumber, undefined);
+  } finally {
+    unwatch();
+  }
+});
+
+test('reconnects a dropped socket and renews the subscription', { timeout: 10_000 }, async () => {
+  const http = await serveNode({ head: 100 });
+  const ws = await serveSocket();
+  useDevnet(http, [ws]);
+
+  const blocks = queue();
+  const transports = queue();
+  const errors = queue();
+  const unwatch = watchHeads('devnet', blocks.push, { onTransport: transports.push, onError: errors.push });
+  try {
+    await transports.next();
+    await ws.subscribed('newHeads');
+    ws.drop();
+    assert.match((await errors.next()).message, /socket has been closed/i);
+
+    assert.deepEqual(await transports.next(), { type: 'websocket', url: ws.url, resumed: true });
+    await ws.subscribed('newHeads');
+    ws.notify('newHeads', header(102));
+    assert.equal((await blocks.next()).number, 102n);
+    assert.equal(ws.calls.eth_subscribe, 2);
+  } finally {
+    unwatch();
+  }
+});
+
+test('moves on to the next wss endpoint when one cannot connect', { timeout: 10_000 }, async () => {
+  const http = await serveNode({ head: 100 });
+  const ws = await serveSocket();
+  useDevnet(http, [{ url: 'ws://127.0.0.1:1' }, ws]);
+
+  const transports = queue();
+  const unwatch = watchHeads('devnet', () => {}, { onTransport: transports.push });
+  try {
+    assert.deepEqual(await transports.next(), { type: 'websocket', url: ws.url, resumed: false });
+  } finally {
+    unwatch();
+  }
+});
+
+test('polls over HTTP when the socket serves another chain', { timeout: 10_000 }, async () => {
+  const http = await serveNode({ head: 100 });
+  const ws = await serveSocket('0x1');
+  useDevnet(http, [ws]);
+
+  const blocks = queue();
+  const transports = queue();
+  const unwatch = watchHeads('devnet', blocks.push, { onTransport: transports.push });
+  try {
+    const fallback = await transports.next();
+    assert.equal(fallback.type, 'http');
+    assert.match(fallback.reason, /serves chain ID 1, but devnet is chain ID 31337/);
+    assert.equal((await blocks.next()).number, 100n);
+    assert.equal(ws.calls.eth_subscribe, undefined);
+  } finally {
+    unwatch();
+  }
+});
+
+test('polls over HTTP on chains without wss endpoints', { timeout: 10_000 }, async () => {
+  const http = await serveNode({ head: 100 });
+  useDevnet(http, []);
+
+  const blocks = queue();
+  const transports = queue();
+  const unwatch = watchHeads('devnet', blocks.push, { onTransport: transports.push });
+  try {
+    assert.deepEqual(await transports.next(), { type: 'http', intervalMs: 4_000, reason: null });
+    assert.equal((await blocks.next()).number, 100n);
+  } finally {
+    unwatch();
+  }
+});
+
+test('fetches logs emitted while the socket was down, delivering each once', { timeout: 10_000 }, async () => {
+  const state = { head: 100, logs: [], ranges: [] };
+  const http = await serveNode(state);
+  const ws = await serveSocket();
+  useDevnet(http, [ws]);
+
+  const batches = queue();
+  const transports = queue();
+  const unwatch = watchLogs('devnet', { address: TOKEN, event: TRANSFER }, batches.push, { onTransport: transports.push });
+  try {
+    await transports.next();
+    await ws.subscribed('logs');
+    // The first head read sets where catching up starts
+    while (!http.calls.eth_blockNumber) {
+      await sleep(10);
+    }
+    const live = transferLog(101, 0);
+    ws.notify('logs', live);
+    const [first] = await batches.next();
+    assert.equal(first.blockNumber, 101n);
+    assert.equal(first.args.value, 1n);
+
+    // Two more blocks pass while the socket is down; the live log comes back with the range
+    ws.drop();
+    state.head = 103;
+    state.logs = [live, transferLog(103, 1)];
+    assert.equal((await transports.next()).resumed, true);
+    const missed = await batches.next();
+    assert.deepEqual(missed.map(log => log.blockNumber), [103n]);
+    assert.deepEqual(state.ranges, [[101, 103]]);
+  } finally {
+    unwatch();
+  }
+});
+
+test('remembers logs delivered live during a catch-up once the range moves past them', { timeout: 10_000 }, async () => {
+  const state = { head: 100, logs: [], ranges: [] };
+  const http = await serveNode(state);
+  const ws = await serveSocket();
+  useDevnet(http, [ws]);
+
+  const batches = queue();
+  const transports = queue();
+  const unwatch = watchLogs('devnet', { address: TOKEN, event: TRANSFER }, batches.push, { onTransport: transports.push });
+  try {
+    await transports.next();
+    await ws.subscribed('logs');
+    while (!http.calls.eth_blockNumber) {
+      await sleep(10);
+    }
+
+    // Block 104 arrives live while the range up to 103 is still being fetched
+    let release;
+    state.gate = new Promise(resolve => { release = resolve; });
+    ws.drop();
+    state.head = 103;
+    state.logs = [transferLog(103, 0)];
+    await transports.next();
+    await ws.subscribed('logs');
+    while (state.ranges.length === 0) {
+      await sleep(10);
+    }
+    const live = transferLog(104, 0);
+    ws.notify('logs', live);
+    assert.deepEqual((await batches.next()).map(log => log.blockNumber), [104n]);
+    release();
+    assert.deepEqual((await batches.next()).map(log => log.blockNumber), [103n]);
+
+    // The next range returns block 104 again; it is not delivered twice
+    ws.drop();
+    state.head = 104;
+    state.logs = [transferLog(103, 0), live];
+    await transports.next();
+    await ws.subscribed('logs');
+    while (state.ranges.length === 1) {
+      await sleep(10);
+    }
+    ws.notify('logs', transferLog(105, 0));
+    assert.deepEqual((await batches.next()).map(log => log.blockNumber), [105n]);
+    assert.deepEqual(state.ranges, [[101, 103], [104, 104]]);
+  } finally {
+    unwatch();
+  }
+});
+
+test('waits for a quorum receipt until a lagging endpoint reaches its block', { timeout: 10_000 }, async () => {
+  const hash = `0x${'11'.repeat(32)}`;
+  const receipt = {
+    transactionHash: hash,
+    transactionIndex: '0x0',
+    blockHash: header(101).hash,
+    blockNumber: '0x65',
+    from: HOLDER.toLowerCase(),
+    to: HOLDER.toLowerCase(),
+    cumulativeGasUsed: '0x5208',
+    gasUsed: '0x5208',
+    effectiveGasPrice: '0x1',
+    contractAddress: null,
+    logs: [],
+    logsBloom: `0x${'00'.repeat(256)}`,
+    status: '0x1',
+    type: '0x2'
+  };
+  let lagging = 100;
+  const ahead = await serveRpc({ eth_chainId: () => '0x7a69', eth_blockNumber: () => '0x65', eth_getTransactionReceipt: () => receipt });
+  const behind = await serveRpc({
+    eth_chainId: () => '0x7a69',
+    eth_blockNumber: () => `0x${lagging.toString(16)}`,
+    eth_getTransactionReceipt: () => (lagging >= 101 ? receipt : null)
+  });
+  const ws = await serveSocket();
+  useDevnet([ahead, behind], [ws]);
+
+  let result = null;
+  const pending = getReceiptWithQuorum('devnet', 2, hash).then(value => { result = value; });
+  while (!behind.calls.eth_blockNumber) {
+    await sleep(10);
+  }
+  lagging = 101;
+  for (let number = 102; !result; number++) {
+    ws.notify('newHeads', header(number));
+    await sleep(50);
+  }
+  await pending;
+
+  assert.equal(result.status, 'success');
+  assert.equal(result.blockNumber, 101n);
+  assert.deepEqual([...result.endpoints].sort(), [ahead.url, behind.url].sort());
+  assert.ok(behind.calls.eth_blockNumber >= 2);
+});
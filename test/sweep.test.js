@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keccak256, parseTransaction, toHex } from 'viem';
+import { useTempHome, serveRpc, runScript } from './helpers.js';
+
+useTempHome();
+const { save, fromPrivateKey } = await import('../src/lib/wallet.js');
+const { setUserChain } = await import('../src/lib/chains.js');
+
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const DEST = '0x000000000000000000000000000000000000dEaD';
+const GWEI = 1_000_000_000n;
+const BALANCE = 10n ** 18n;
+
+save(fromPrivateKey(KEY));
+
+test('sweeps the native balance minus gas limit × max fee, at the normal tip', async () => {
+  const sent = [];
+  const node = await serveRpc({
+    eth_chainId: () => '0x7a69',
+    eth_blockNumber: () => '0x15',
+    eth_getBlockByNumber: () => ({ number: '0x15', hash: `0x${'11'.repeat(32)}`, timestamp: '0x1', baseFeePerGas: toHex(GWEI), transactions: [] }),
+    eth_feeHistory: () => ({
+      oldestBlock: '0x1',
+      baseFeePerGas: Array.from({ length: 21 }, () => toHex(GWEI)),
+      gasUsedRatio: Array.from({ length: 20 }, () => 0.5),
+      reward: Array.from({ length: 20 }, () => [1n, 2n, 3n, 4n, 5n, 6n].map(step => toHex(step * GWEI)))
+    }),
+    eth_getBalance: () => toHex(BALANCE),
+    eth_getTransactionCount: () => '0x0',
+    eth_estimateGas: () => '0x5208',
+    eth_sendRawTransaction: ([serialized]) => { sent.push(serialized); return keccak256(serialized); },
+    eth_getTransactionReceipt: ([hash]) => ({
+      transactionHash: hash,
+      transactionIndex: '0x0',
+      blockHash: `0x${'ab'.repeat(32)}`,
+      blockNumber: '0x16',
+      from: DEST.toLowerCase(),
+      to: DEST.toLowerCase(),
+      cumulativeGasUsed: '0x5208',
+      gasUsed: '0x5208',
+      effectiveGasPrice: toHex(GWEI),
+      contractAddress: null,
+      logs: [],
+      logsBloom: `0x${'00'.repeat(256)}`,
+      status: '0x1',
+      type: '0x2'
+    })
+  });
+  setUserChain('devnet', {
+    chainId: 31337,
+    name: 'Devnet',
+    nativeToken: { symbol: 'ETH', decimals: 18 },
+    explorer: { name: 'None', url: 'http://localhost' },
+    rpcs: [node.url]
+  });
+
+  const result = await runScript('sweep.js', ['--to', DEST, '--chains', 'devnet', '--yes', '--json']);
+  assert.equal(result.status, 0, result.stdout || result.stderr);
+  const [chain] = JSON.parse(result.stdout).chains;
+  assert.equal(chain.native.status, 'success');
+
+  assert.equal(sent.length, 1);
+  const tx = parseTransaction(sent[0]);
+  assert.ok(tx.maxPriorityFeePerGas < tx.maxFeePerGas);
+  assert.equal(tx.gas, 21_000n);
+  assert.equal(tx.value, BALANCE - tx.gas * tx.maxFeePerGas);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { privateKeyToAccount } from 'viem/accounts';
+import { useTempHome, runScript, serveRpc } from './helpers.js';
+
+const home = useTempHome();
+const { save, createWatchOnly } = await import('../src/lib/wallet.js');
+const { setUserChain } = await import('../src/lib/chains.js');
+
+const signer = privateKeyToAccount('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const other = privateKeyToAccount('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+save(createWatchOnly(signer.address), { wallet: 'signer' });
+
+const PERMIT = {
+  domain: { name: 'Token', version: '1', chainId: 8453, verifyingContract: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' },
+  types: {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  primaryType: 'Permit',
+  message: { owner: signer.address, spender: other.address, value: '1000000', nonce: '0', deadline: '1900000000' }
+};
+
+/**
+ * Run verify.js and parse its JSON output
+ */
+async function verify(args) {
+  const result = await runScript('verify.js', [...args, '--json']);
+  return { status: result.status, ...JSON.parse(result.stdout) };
+}
+
+test('accepts a personal_sign signature from the claimed signer', async () => {
+  const signature = await signer.signMessage({ message: 'hello world' });
+  const result = await verify([signer.address, signature, 'hello world']);
+  assert.equal(result.status, 0);
+  assert.equal(result.valid, true);
+  assert.equal(result.method, 'ecrecover');
+});
+
+test('resolves the claimed signer from a wallet label', async () => {
+  const signature = await signer.signMessage({ message: { raw: '0xdeadbeef' } });
+  assert.equal((await verify(['signer', signature, '0xdeadbeef', '--hex'])).valid, true);
+});
+
+test('rejects a signature from someone else with a non-zero exit code', async () => {
+  const signature = await other.signMessage({ message: 'hello world' });
+  const result = await verify([signer.address, signature, 'hello world']);
+  assert.equal(result.status, 1);
+  assert.equal(result.valid, false);
+  assert.equal(result.recovered, other.address);
+});
+
+test('rejects a signature over a different message', async () => {
+  const signature = await signer.signMessage({ message: 'hello world' });
+  assert.equal((await verify([signer.address, signature, 'hello world!'])).valid, false);
+});
+
+test('checks EIP-712 typed data signatures', async () => {
+  const file = join(home, 'permit.json');
+  writeFileSync(file, JSON.stringify(PERMIT));
+  const signature = await signer.signTypedData(PERMIT);
+  const result = await verify([signer.address, signature, '--typed-data', file]);
+  assert.equal(result.valid, true);
+  assert.equal(result.type, 'eip712');
+
+  writeFileSync(file, JSON.stringify({ ...PERMIT, message: { ...PERMIT.message, value: '2000000' } }));
+  assert.equal((await verify([signer.address, signature, '--typed-data', file])).valid, false);
+});
+
+test('treats non-ECDSA signatures as unrecoverable without --chain', async () => {
+  const result = await verify([signer.address, '0x1234', 'hello world']);
+  assert.equal(result.valid, false);
+  assert.equal(result.recovered, null);
+});
+
+test('asks contract wallets through ERC-1271 on --chain', async () => {
+  const SAFE = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  let answer = '0x1626ba7e';
+  const rpc = await serveRpc({
+    eth_chainId: () => '0x7a69',
+    eth_getCode: ([address]) => (address.toLowerCase() === SAFE.toLowerCase() ? '0x6080' : '0x'),
+    eth_call: () => answer.padEnd(66, '0')
+  });
+  setUserChain('devnet', {
+    chainId: 31337,
+    name: 'Devnet',
+    nativeToken: { symbol: 'ETH', decimals: 18 },
+    explorer: { name: 'None', url: 'http://localhost' },
+    rpcs: [rpc.url]
+  });
+
+  // An owner key signs; the Safe, not the owner, is the claimed signer
+  const signature = await other.signMessage({ message: 'hello world' });
+  const accepted = await verify([SAFE, signature, 'hello world', '--chain', 'devnet']);
+  assert.equal(accepted.valid, true);
+  assert.equal(accepted.method, 'erc1271');
+  assert.equal(accepted.isContract, true);
+
+  answer = '0xffffffff';
+  assert.equal((await verify([SAFE, signature, 'hello world', '--chain', 'devnet'])).valid, false);
+
+  const eoa = await verify([signer.address, signature, 'hello world', '--chain', 'devnet']);
+  assert.equal(eoa.valid, false);
+  assert.equal(eoa.isContract, false);
+});
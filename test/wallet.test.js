@@ -0,0 +1,125 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, runScript } from './helpers.js';
+
+const home = useTempHome();
+const {
+  fromMnemonic,
+  generateMnemonicWallet,
+  encryptWallet,
+  save,
+  getAddress,
+  getAccount,
+  load,
+  getWalletClient,
+  exists,
+  removeWallet,
+  renameWallet,
+  setDefaultWallet,
+  getDefaultWalletName
+} = await import('../src/lib/wallet.js');
+const { setRpcOverride } = await import('../src/lib/chains.js');
+
+// Hardhat/Anvil test mnemonic and its first m/44'/60'/0'/0/i accounts
+const MNEMONIC = 'test test test test test test test test test test test junk';
+const ACCOUNTS = [
+  '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+  '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+  '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC'
+];
+
+beforeEach(() => {
+  delete process.env.EVM_WALLET_PASSPHRASE;
+});
+
+test('derives the BIP-44 account 0 address from a normalized mnemonic', () => {
+  const wallet = fromMnemonic(`  ${MNEMONIC.toUpperCase().replace(/ /g, '  ')}\n`);
+  assert.equal(wallet.mnemonic, MNEMONIC);
+  assert.equal(wallet.address, ACCOUNTS[0]);
+  assert.match(wallet.xpub, /^xpub/);
+});
+
+test('rejects bad checksums and word counts', () => {
+  assert.throws(() => fromMnemonic(MNEMONIC.replace(/junk$/, 'test')), /bad checksum/);
+  assert.throws(() => fromMnemonic('test test test'), /12 or 24 words/);
+  assert.throws(() => generateMnemonicWallet(18), /12 or 24 words/);
+  assert.equal(generateMnemonicWallet(24).mnemonic.split(' ').length, 24);
+});
+
+test('derives account addresses from the stored xpub without unlocking', () => {
+  save(encryptWallet(fromMnemonic(MNEMONIC), 'pass', { kdf: 'pbkdf2' }));
+  ACCOUNTS.forEach((address, accountIndex) => {
+    assert.equal(getAddress({ accountIndex }), address);
+  });
+  assert.throws(() => getAddress({ accountIndex: -1 }), /Invalid account index/);
+});
+
+test('unlocks the same accounts for signing', async () => {
+  save(encryptWallet(fromMnemonic(MNEMONIC), 'pass', { kdf: 'pbkdf2' }));
+  process.env.EVM_WALLET_PASSPHRASE = 'pass';
+  assert.equal((await getAccount({ accountIndex: 2 })).address, ACCOUNTS[2]);
+});
+
+test('refuses account indexes on single-key wallets', async () => {
+  save({ address: ACCOUNTS[0], privateKey: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80' });
+  assert.throws(() => getAddress({ accountIndex: 1 }), /requires a mnemonic/);
+  await assert.rejects(getAccount({ accountIndex: 1 }), /requires a mnemonic/);
+  assert.equal((await getAccount()).address, ACCOUNTS[0]);
+});
+
+test('dev mode signs with the test mnemonic, only against local or testnet RPCs', async () => {
+  process.env.EVM_WALLET_DEV = '1';
+  try {
+    assert.equal(load({ wallet: 'missing' }).address, ACCOUNTS[0]);
+    assert.throws(() => save(fromMnemonic(MNEMONIC)), /never writes wallet files/);
+    await assert.rejects(getWalletClient('base'), /Point base at a local node or fork \(loopback or private network address\) with --rpc-url or EVM_WALLET_RPC_BASE/);
+    assert.equal((await getWalletClient('base-sepolia')).account.address, ACCOUNTS[0]);
+
+    setRpcOverride('base', 'http://127.0.0.1:8545');
+    assert.equal((await getWalletClient('base')).account.address, ACCOUNTS[0]);
+
+    // Only local nodes and forks: a public endpoint, even among local ones, keeps the guard
+    for (const url of ['https://mainnet.base.org', 'http://127.0.0.1:8545,https://base.llamarpc.com', 'http://172.32.0.1:8545']) {
+      setRpcOverride('base', url);
+      await assert.rejects(getWalletClient('base'), /Dev mode signs with the public test mnemonic/);
+    }
+    for (const url of ['http://anvil:8545', 'http://192.168.1.20:8545', 'http://[::1]:8545', 'http://node.localhost:8545']) {
+      setRpcOverride('base', url);
+      assert.equal((await getWalletClient('base')).account.address, ACCOUNTS[0]);
+    }
+  } finally {
+    delete process.env.EVM_WALLET_DEV;
+    setRpcOverride('base', undefined);
+  }
+});
+
+test('dev mode never renames, removes or picks wallet files', () => {
+  save(fromMnemonic(MNEMONIC), { wallet: 'kept' });
+  const defaultName = getDefaultWalletName();
+  process.env.EVM_WALLET_DEV = '1';
+  try {
+    assert.throws(() => removeWallet('kept'), /never writes wallet files/);
+    assert.throws(() => renameWallet('kept', 'moved'), /never writes wallet files/);
+    assert.throws(() => setDefaultWallet('kept'), /never writes wallet files/);
+  } finally {
+    delete process.env.EVM_WALLET_DEV;
+  }
+  assert.ok(exists({ wallet: 'kept' }) && !exists({ wallet: 'moved' }));
+  assert.equal(getDefaultWalletName(), defaultName);
+});
+
+test('writes the new recovery phrase to --mnemonic-file, required with --json', async () => {
+  const unseen = await runScript('setup.js', ['--mnemonic', '--wallet', 'phrase', '--json']);
+  assert.notEqual(unseen.status, 0);
+  assert.match(unseen.stdout + unseen.stderr, /Add --mnemonic-file <path>/);
+
+  const mnemonicFile = join(home, 'phrase.txt');
+  const result = await runScript('setup.js', ['--mnemonic', '--mnemonic-file', mnemonicFile, '--wallet', 'phrase', '--json']);
+  assert.equal(result.status, 0, result.stderr);
+  const { address, mnemonic_file } = JSON.parse(result.stdout);
+  assert.equal(mnemonic_file, mnemonicFile);
+  assert.equal(fromMnemonic(readFileSync(mnemonicFile, 'utf8')).address, address);
+  assert.ok(!result.stdout.includes(readFileSync(mnemonicFile, 'utf8').trim()));
+});
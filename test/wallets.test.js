@@ -0,0 +1,114 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { useTempHome, runScript } from './helpers.js';
+
+const home = useTempHome();
+const {
+  generate,
+  save,
+  load,
+  exists,
+  getAddress,
+  getWalletPath,
+  resolveWalletName,
+  listWallets,
+  renameWallet,
+  removeWallet,
+  setDefaultWallet,
+  createWatchOnly,
+  getWalletInfo,
+  getAccount,
+  encryptWallet,
+  resolveAddress
+} = await import('../src/lib/wallet.js');
+const { WALLET_HOME, LEGACY_WALLET_PATH } = await import('../src/lib/paths.js');
+
+beforeEach(() => {
+  rmSync(WALLET_HOME, { recursive: true, force: true });
+  rmSync(LEGACY_WALLET_PATH, { force: true });
+  delete process.env.EVM_WALLET;
+});
+
+test('keeps each named wallet in its own file', () => {
+  const [alice, bob] = [generate(), generate()];
+  save(alice, { wallet: 'alice' });
+  save(bob, { wallet: 'bob' });
+  assert.equal(getAddress({ wallet: 'alice' }), alice.address);
+  assert.equal(getAddress({ wallet: 'bob' }), bob.address);
+  assert.equal(getWalletPath({ wallet: 'bob' }), join(WALLET_HOME, 'wallets', 'bob.json'));
+  assert.throws(() => save(generate(), { wallet: 'bob', overwrite: false }), /already exists/);
+  assert.deepEqual(listWallets().map(({ name, address }) => [name, address]), [['alice', alice.address], ['bob', bob.address]]);
+});
+
+test('picks --wallet over EVM_WALLET over the configured default', () => {
+  save(generate(), { wallet: 'alice' });
+  save(generate(), { wallet: 'bob' });
+  assert.equal(resolveWalletName(), 'default');
+  setDefaultWallet('alice');
+  assert.equal(resolveWalletName(), 'alice');
+  process.env.EVM_WALLET = 'bob';
+  assert.equal(resolveWalletName(), 'bob');
+  assert.equal(resolveWalletName({ wallet: 'carol' }), 'carol');
+  assert.throws(() => resolveWalletName({ wallet: '../etc' }), /Invalid wallet name/);
+  assert.throws(() => setDefaultWallet('carol'), /not found/);
+});
+
+test('serves the legacy single-wallet file as "default"', () => {
+  const legacy = generate();
+  writeFileSync(join(home, '.evm-wallet.json'), JSON.stringify(legacy));
+  assert.equal(load().address, legacy.address);
+  assert.deepEqual(listWallets().map(({ name, isDefault }) => [name, isDefault]), [['default', true]]);
+});
+
+test('renames and removes wallets, keeping the default setting in step', () => {
+  save(generate(), { wallet: 'alice' });
+  save(generate(), { wallet: 'bob' });
+  setDefaultWallet('alice');
+
+  renameWallet('alice', 'carol');
+  assert.equal(exists({ wallet: 'alice' }), false);
+  assert.equal(resolveWalletName(), 'carol');
+  assert.throws(() => renameWallet('carol', 'bob'), /already exists/);
+
+  removeWallet('carol');
+  assert.equal(exists({ wallet: 'carol' }), false);
+  assert.equal(resolveWalletName(), 'default');
+  assert.throws(() => removeWallet('carol'), /not found/);
+});
+
+test('stores watch-only addresses that resolve by label but cannot sign', async () => {
+  const cold = '0x70997970c51812dc3a010c7d01b50e0d17dc79c8';
+  save(createWatchOnly(cold), { wallet: 'cold' });
+
+  assert.equal(getWalletInfo({ wallet: 'cold' }).type, 'watch-only');
+  assert.equal(resolveAddress('cold'), '0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+  assert.equal(resolveAddress(cold), '0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+  assert.throws(() => resolveAddress('warm'), /neither an address nor a known wallet/);
+  assert.throws(() => createWatchOnly('0x1234'), /Invalid address/);
+  assert.throws(() => encryptWallet(load({ wallet: 'cold' }), 'pass'), /no secret to encrypt/);
+  await assert.rejects(getAccount({ wallet: 'cold' }), /watch-only .* cannot sign/);
+});
+
+test('create passes setup.js option values through without taking them for names', async () => {
+  const mnemonicFile = join(home, 'agent-phrase.txt');
+  const result = await runScript('wallets.js', ['create', 'agent', '--mnemonic', '--words', '24', '--mnemonic-file', mnemonicFile, '--json']);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(readFileSync(mnemonicFile, 'utf8').trim().split(' ').length, 24);
+  assert.equal(getAddress({ wallet: 'agent' }), JSON.parse(result.stdout).address);
+
+  const extra = await runScript('wallets.js', ['create', 'agent-2', 'typo']);
+  assert.notEqual(extra.status, 0);
+  assert.match(extra.stderr, /Unexpected argument: typo/);
+});
+
+test('setup and create refuse to write wallets in dev mode', async () => {
+  const env = { EVM_WALLET_DEV: '1' };
+  for (const args of [['setup.js', ['--force', '--json']], ['wallets.js', ['create', 'agent', '--json']]]) {
+    const result = await runScript(...args, { env });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stdout, /Dev mode \(EVM_WALLET_DEV\) never writes wallet files/);
+  }
+  assert.deepEqual(listWallets(), []);
+});